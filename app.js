@@ -37,8 +37,14 @@ app.use((req, res, next) => {
 });
 
 // Parse JSON bodies
+// Batches carry up to AI_BATCH_MAX_ITEMS prompts, so they get a larger limit than single requests
+app.use('/v1/prompts/batch', express.json({ limit: '1mb' }));
 app.use(express.json({ limit: '50kb' })); // Limit payload size
 
+// Prompts are returned exactly as written, so escape <, > and & in JSON responses
+// (as \u003c etc.) in case a response is ever sniffed or embedded as HTML
+app.set('json escape', true);
+
 // CORS configuration with detailed logging
 const corsOptions = {
     origin: function (origin, callback) {
@@ -99,11 +105,56 @@ app.get('/docs', (req, res) => {
                 methods: ['GET', 'POST'],
                 description: 'List or create enhanced prompts'
             },
+            {
+                path: '/v1/prompts/stream',
+                methods: ['POST'],
+                description: 'Enhance a prompt and stream the result as Server-Sent Events'
+            },
+            {
+                path: '/v1/prompts/batch',
+                methods: ['POST'],
+                description: 'Enhance many prompts in one request, with a result or error for each'
+            },
+            {
+                path: '/v1/prompts/analyze',
+                methods: ['POST'],
+                description: 'Check a prompt against the prompt dictionary and report findings with character offsets'
+            },
+            {
+                path: '/v1/prompts/score',
+                methods: ['POST'],
+                description: 'Rate a prompt on clarity, specificity, structure, constraints, audience and output format'
+            },
+            {
+                path: '/v1/prompts/stats',
+                methods: ['GET'],
+                description: 'Token usage and estimated cost of provider calls since the server started'
+            },
             {
                 path: '/v1/prompts/:id',
                 methods: ['GET', 'PUT', 'DELETE'],
                 description: 'Get, update, or delete a specific prompt'
             },
+            {
+                path: '/v1/prompts/:id/variants/:variantId/promote',
+                methods: ['POST'],
+                description: 'Make one of the stored variants the primary enhanced text of a prompt'
+            },
+            {
+                path: '/v1/prompts/:id/refine',
+                methods: ['POST'],
+                description: 'Revise the enhanced text of a prompt with free-text feedback, stored as a new revision'
+            },
+            {
+                path: '/v1/prompts/:id/answers',
+                methods: ['POST'],
+                description: 'Answer the clarifying questions of a prompt created in clarify mode and enhance it'
+            },
+            {
+                path: '/v1/prompts/:id/render',
+                methods: ['POST'],
+                description: 'Fill the template variables of an enhanced prompt with values'
+            },
         ],
         rateLimits: '100 requests per minute'
     });
@@ -0,0 +1,129 @@
+import React from 'react';
+
+// Inline markup, in order of precedence: code, bold, italic, links
+const INLINE_PATTERN = /(`[^`\n]+`)|(\*\*[^*\n]+\*\*)|(?<![\w*])\*([^*\s][^*\n]*?)\*(?![\w*])|(?<!\w)_([^_\s][^\n]*?)_(?!\w)|\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+
+// Render inline markdown as React elements (never as HTML, so model output cannot inject markup)
+const renderInline = (text, keyPrefix) => {
+    const parts = [];
+    let lastIndex = 0;
+    let match;
+
+    INLINE_PATTERN.lastIndex = 0;
+    while ((match = INLINE_PATTERN.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            parts.push(text.slice(lastIndex, match.index));
+        }
+
+        const key = `${keyPrefix}-${match.index}`;
+        if (match[1]) {
+            parts.push(<code key={key} className="px-1 rounded bg-gray-200 dark:bg-gray-700 font-mono text-sm">{match[1].slice(1, -1)}</code>);
+        } else if (match[2]) {
+            parts.push(<strong key={key}>{match[2].slice(2, -2)}</strong>);
+        } else if (match[3] || match[4]) {
+            parts.push(<em key={key}>{match[3] || match[4]}</em>);
+        } else {
+            const href = /^https?:\/\//.test(match[6]) ? match[6] : undefined;
+            parts.push(<a key={key} href={href} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 underline">{match[5]}</a>);
+        }
+
+        lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex < text.length) {
+        parts.push(text.slice(lastIndex));
+    }
+    return parts;
+};
+
+// Group markdown lines into headings, lists, code blocks and paragraphs
+const parseBlocks = (markdown) => {
+    const blocks = [];
+    const lines = markdown.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (/^\s*```/.test(line)) {
+            const code = [];
+            while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+                code.push(lines[i]);
+            }
+            blocks.push({ type: 'code', text: code.join('\n') });
+            continue;
+        }
+
+        const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            continue;
+        }
+
+        const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+        if (listItem) {
+            const ordered = /\d/.test(listItem[1]);
+            const previous = blocks[blocks.length - 1];
+            if (previous && previous.type === 'list' && previous.ordered === ordered) {
+                previous.items.push(listItem[2]);
+            } else {
+                blocks.push({ type: 'list', ordered, items: [listItem[2]] });
+            }
+            continue;
+        }
+
+        if (!line.trim()) {
+            blocks.push({ type: 'break' });
+            continue;
+        }
+
+        const previous = blocks[blocks.length - 1];
+        if (previous && previous.type === 'paragraph') {
+            previous.lines.push(line);
+        } else {
+            blocks.push({ type: 'paragraph', lines: [line] });
+        }
+    }
+
+    return blocks.filter(block => block.type !== 'break');
+};
+
+const HEADING_CLASSES = {
+    1: 'text-xl font-bold mt-4 mb-2',
+    2: 'text-lg font-semibold mt-4 mb-2',
+    3: 'text-base font-semibold mt-3 mb-1'
+};
+
+const MarkdownView = ({ text }) => (
+    <div className="space-y-2">
+        {parseBlocks(text).map((block, index) => {
+            const key = `block-${index}`;
+
+            switch (block.type) {
+                case 'heading': {
+                    const Tag = `h${Math.min(block.level, 6)}`;
+                    return <Tag key={key} className={HEADING_CLASSES[block.level] || HEADING_CLASSES[3]}>{renderInline(block.text, key)}</Tag>;
+                }
+                case 'list': {
+                    const Tag = block.ordered ? 'ol' : 'ul';
+                    return (
+                        <Tag key={key} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-6 space-y-1`}>
+                            {block.items.map((item, itemIndex) => (
+                                <li key={`${key}-${itemIndex}`}>{renderInline(item, `${key}-${itemIndex}`)}</li>
+                            ))}
+                        </Tag>
+                    );
+                }
+                case 'code':
+                    return (
+                        <pre key={key} className="p-3 rounded bg-gray-200 dark:bg-gray-900 overflow-x-auto">
+                            <code className="font-mono text-sm">{block.text}</code>
+                        </pre>
+                    );
+                default:
+                    return <p key={key}>{renderInline(block.lines.join(' '), key)}</p>;
+            }
+        })}
+    </div>
+);
+
+export default MarkdownView;
@@ -2,15 +2,13 @@ import React, { useState, useRef, useEffect } from 'react';
 import { Sparkles, Copy, Check } from 'lucide-react';
 
 import apiService from '../services/apiService';
+import MarkdownView from './MarkdownView';
 
-// Helper function to decode HTML entities on the frontend
-function decodeHtmlEntities(text) {
-    if (!text) return text;
-
-    const textarea = document.createElement('textarea');
-    textarea.innerHTML = text;
-    return textarea.value;
-}
+const OUTPUT_STYLES = [
+    { value: 'plain', label: 'Plain text' },
+    { value: 'markdown', label: 'Markdown' },
+    { value: 'xml-tags', label: 'XML tags' }
+];
 
 const TypewriterText = () => {
     const [textIndex, setTextIndex] = useState(0);
@@ -112,6 +110,11 @@ const PromptEnhancerApp = () => {
     const [isLoading, setIsLoading] = useState(false);
     const [copied, setCopied] = useState(false);
     const [error, setError] = useState('');
+    const [outputStyle, setOutputStyle] = useState('plain');
+    // Style of the result on screen, which only changes once a new result arrives
+    const [resultStyle, setResultStyle] = useState('plain');
+    // Quality scores of the original and enhanced prompt, from the API
+    const [scores, setScores] = useState(null);
 
     // Copy enhanced prompt to clipboard
     const copyToClipboard = () => {
@@ -131,31 +134,26 @@ const PromptEnhancerApp = () => {
         setError('');
 
         try {
-            console.log('Sending request with data:', { text: originalPrompt, format: 'structured' });
+            console.log('Sending request with data:', { text: originalPrompt, format: 'structured', outputStyle });
 
-            // Call the API to enhance the prompt
-            const response = await apiService.enhancePrompt({
+            // Stream the enhancement so long responses show up as they are generated
+            setEnhancedPrompt('');
+            setResultStyle('plain');
+            setScores(null);
+            const response = await apiService.enhancePromptStream({
                 text: originalPrompt,
-                format: 'structured'
-            });
+                format: 'structured',
+                outputStyle
+            }, token => setEnhancedPrompt(current => current + token));
 
             console.log('API Response:', response);
 
             // Safely extract data from the response
             if (response && typeof response.enhancedText === 'string') {
-                // Decode any HTML entities before setting the state
-                let decodedText = response.enhancedText;
-
-                // Manual replacement of common HTML entities
-                decodedText = decodedText
-                    .replace(/&quot;/g, '"')
-                    .replace(/&#039;/g, "'")
-                    .replace(/&apos;/g, "'")
-                    .replace(/&lt;/g, '<')
-                    .replace(/&gt;/g, '>')
-                    .replace(/&amp;/g, '&');
-
-                setEnhancedPrompt(decodedText);
+                // The text is exactly what the API returned; React escapes it when rendering
+                setEnhancedPrompt(response.enhancedText);
+                setResultStyle(response.outputStyle || outputStyle);
+                setScores(response.scores || null);
             } else {
                 // Handle unexpected response format
                 console.error('Unexpected API response format:', response);
@@ -181,7 +179,11 @@ const PromptEnhancerApp = () => {
             );
         }
 
-        // Return the enhanced prompt with manually decoded HTML entities
+        // Markdown results are rendered; everything else is shown as written
+        if (resultStyle === 'markdown') {
+            return <MarkdownView text={enhancedPrompt} />;
+        }
+
         return enhancedPrompt;
     };
 
@@ -207,6 +209,16 @@ const PromptEnhancerApp = () => {
                             <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
                                 Original Prompt
                             </label>
+                            <select
+                                value={outputStyle}
+                                onChange={(e) => setOutputStyle(e.target.value)}
+                                aria-label="Output style"
+                                className="text-sm px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300"
+                            >
+                                {OUTPUT_STYLES.map(style => (
+                                    <option key={style.value} value={style.value}>{style.label}</option>
+                                ))}
+                            </select>
                         </div>
                         <textarea
                             value={originalPrompt}
@@ -255,6 +267,14 @@ const PromptEnhancerApp = () => {
                                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
                                     Enhanced Prompt
                                 </label>
+                                {scores && (
+                                    <span
+                                        title={scores.original.suggestions.join('\n') || undefined}
+                                        className="ml-3 text-xs px-2 py-0.5 rounded bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300"
+                                    >
+                                        Quality {Math.round(scores.original.overall * 100)}% → {Math.round(scores.enhanced.overall * 100)}%
+                                    </span>
+                                )}
                             </div>
                             {enhancedPrompt && (
                                 <div className="flex items-center gap-2">
@@ -280,7 +300,7 @@ const PromptEnhancerApp = () => {
                                 </div>
                             )}
                         </div>
-                        <div className="flex-1 p-4 bg-gray-50 dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg whitespace-pre-wrap overflow-y-auto text-gray-800 dark:text-gray-200">
+                        <div className={`flex-1 p-4 bg-gray-50 dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg ${resultStyle === 'markdown' ? '' : 'whitespace-pre-wrap'} overflow-y-auto text-gray-800 dark:text-gray-200`}>
                             {renderEnhancedPrompt()}
                         </div>
                     </div>
@@ -89,6 +89,16 @@ async function apiFetch(url, options = {}) {
     }
 }
 
+// Request body for an enhancement; options left unset keep the server defaults
+function buildEnhanceRequest(data) {
+    return {
+        text: data.text,
+        format: data.format || 'structured',
+        ...(data.outputStyle ? { outputStyle: data.outputStyle } : {}),
+        ...(data.targetModel ? { targetModel: data.targetModel } : {})
+    };
+}
+
 // API Service
 const apiService = {
     /**
@@ -96,6 +106,8 @@ const apiService = {
      * @param {Object} data - Request data
      * @param {string} data.text - Original prompt text
      * @param {string} [data.format='structured'] - Desired format
+     * @param {string} [data.outputStyle] - Output style (plain or markdown)
+     * @param {string} [data.targetModel] - Model the prompt is written for
      * @returns {Promise<Object>} Enhanced prompt response
      */
     enhancePrompt: async (data) => {
@@ -104,11 +116,7 @@ const apiService = {
             throw new APIError('Invalid prompt text', 400);
         }
 
-        // Default format
-        const requestData = {
-            text: data.text,
-            format: data.format || 'structured'
-        };
+        const requestData = buildEnhanceRequest(data);
 
         try {
             console.log('Sending prompt enhancement request:', requestData);
@@ -131,6 +139,76 @@ const apiService = {
         }
     },
 
+    /**
+     * Enhance a prompt and receive the result as it is generated
+     * @param {Object} data - Request data
+     * @param {string} data.text - Original prompt text
+     * @param {string} [data.format='structured'] - Desired format
+     * @param {string} [data.outputStyle] - Output style (plain or markdown)
+     * @param {string} [data.targetModel] - Model the prompt is written for
+     * @param {Function} onToken - Called with each chunk of text as it arrives
+     * @param {AbortSignal} [signal] - Signal to cancel the request
+     * @returns {Promise<Object>} The stored prompt once the stream has finished
+     */
+    enhancePromptStream: async (data, onToken, signal) => {
+        if (!data.text || typeof data.text !== 'string') {
+            throw new APIError('Invalid prompt text', 400);
+        }
+
+        if (!API_KEY) {
+            throw new APIError('API Key is not configured', 500);
+        }
+
+        const response = await fetch(`${API_BASE_URL}/prompts/stream`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+                'X-API-Key': API_KEY
+            },
+            body: JSON.stringify(buildEnhanceRequest(data)),
+            signal
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new APIError(errorData.error?.message || 'Unknown API error', response.status, errorData);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                const event = (block.match(/^event: (.*)$/m) || [])[1] || 'message';
+                const dataLine = (block.match(/^data: (.*)$/m) || [])[1];
+                if (!dataLine) continue;
+
+                const payload = JSON.parse(dataLine);
+                if (event === 'token') {
+                    onToken(payload.text);
+                } else if (event === 'done') {
+                    return payload;
+                } else if (event === 'error') {
+                    throw new APIError(payload.error?.message || 'Enhancement failed', 500, payload);
+                }
+            }
+        }
+
+        throw new APIError('The stream ended before the enhancement finished', 500);
+    },
+
     /**
      * Gets a list of previously enhanced prompts
      * @param {number} [limit=10] - Maximum number of results
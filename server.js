@@ -29,11 +29,16 @@ console.log('🔐 API Key Status:');
 console.log('----------------------------------------');
 console.log(`API Key: ${keyStatus.api?.available ? '✅ Available' : '❌ Missing'}`);
 console.log(`AI Provider: ${process.env.AI_PROVIDER || 'openai'}`);
+if (config.ai.fallbackChain.length > 0) {
+    console.log(`Fallback Chain: ${config.ai.fallbackChain.join(' → ')}`);
+}
 
 if (process.env.AI_PROVIDER === 'openai') {
     console.log(`OpenAI API Key: ${keyStatus.openai?.available ? '✅ Available' : '❌ Missing'}`);
 } else if (process.env.AI_PROVIDER === 'mistral') {
     console.log(`Mistral API Key: ${keyStatus.mistral?.available ? '✅ Available' : '❌ Missing'}`);
+} else if (process.env.AI_PROVIDER === 'anthropic') {
+    console.log(`Anthropic API Key: ${keyStatus.anthropic?.available ? '✅ Available' : '❌ Missing'}`);
 }
 
 // Show warnings in development, exit in production if validation fails
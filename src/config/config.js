@@ -1,5 +1,52 @@
 require('dotenv').config();
 
+// List prices in USD per million tokens at the time of writing; set AI_PRICING to correct them
+const DEFAULT_PRICING = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'mistral-small': { input: 0.2, output: 0.6 },
+    'mistral-medium': { input: 0.4, output: 2 },
+    'mistral-large': { input: 2, output: 6 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-opus': { input: 15, output: 75 },
+    // Providers that cost nothing per token
+    offline: { input: 0, output: 0 },
+    local: { input: 0, output: 0 }
+};
+
+// Kinds of sensitive data the redaction stage looks for; every kind is redacted by default
+const REDACTION_KINDS = ['email', 'phone', 'creditCard', 'ipAddress', 'name', 'credential'];
+const DEFAULT_REDACTION = Object.fromEntries(REDACTION_KINDS.map(kind => [kind, 'redact']));
+
+/**
+ * Parse an environment variable holding a JSON object
+ * @param {string} name - Variable name
+ * @returns {Object} { value, error } where value is {} when the variable is unset or invalid
+ */
+function parseJsonEnv(name) {
+    if (!process.env[name]) {
+        return { value: {}, error: null };
+    }
+
+    try {
+        const value = JSON.parse(process.env[name]);
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            return { value: {}, error: `${name} must be a JSON object` };
+        }
+        return { value, error: null };
+    } catch (error) {
+        return { value: {}, error: `${name} is not valid JSON (${error.message})` };
+    }
+}
+
+const pricingOverrides = parseJsonEnv('AI_PRICING');
+const redactionOverrides = parseJsonEnv('AI_REDACTION');
+
 /**
  * Application configuration with validation and defaults
  */
@@ -57,16 +104,107 @@ const config = {
         enabled: !!process.env.REDIS_URL
     },
 
+    // Domain packs used to classify prompts (built-in packs live in src/domains)
+    domains: {
+        // Optional directory with additional domain pack modules
+        packsDir: process.env.DOMAIN_PACKS_DIR || null
+    },
+
+    // Language packs used to detect the prompt language and localize the guidance (built-in packs live in src/languages)
+    languages: {
+        // Optional directory with additional language pack modules
+        packsDir: process.env.LANGUAGE_PACKS_DIR || null
+    },
+
     // AI providers
     ai: {
         provider: process.env.AI_PROVIDER || 'openai',
+        // Providers tried in order when one fails, e.g. AI_FALLBACK_CHAIN=mistral,openai,offline
+        // When empty, only the provider above is used
+        fallbackChain: process.env.AI_FALLBACK_CHAIN
+            ? process.env.AI_FALLBACK_CHAIN.split(',').map(name => name.trim()).filter(Boolean)
+            : [],
+        // Fall back to the rule-based offline provider when no provider in the chain is configured
+        offlineFallback: process.env.AI_OFFLINE_FALLBACK !== 'false',
+        circuitBreaker: {
+            failureThreshold: parseInt(process.env.AI_CIRCUIT_BREAKER_THRESHOLD, 10) || 3,
+            cooldownMs: parseInt(process.env.AI_CIRCUIT_BREAKER_COOLDOWN_MS, 10) || 30 * 1000 // 30 seconds
+        },
+        // What to do when enhanced output uses terms the prompt dictionary warns against:
+        // 'rewrite' swaps them for dictionary alternatives, 'reprompt' asks the provider to revise
+        // (up to maxReprompts times, then rewrites what is left), 'off' leaves the output as is
+        repair: {
+            mode: process.env.AI_REPAIR_MODE || 'rewrite',
+            maxReprompts: parseInt(process.env.AI_REPAIR_MAX_REPROMPTS, 10) || 1
+        },
+        // What to do with prompts that look like prompt-injection attempts: 'block' rejects
+        // high-risk prompts, 'flag' only records the findings, 'neutralize' removes what was found.
+        // Every prompt is sent between nonce delimiters and gets a safety verdict either way.
+        injection: {
+            mode: process.env.AI_INJECTION_MODE || 'flag'
+        },
+        // What to do with personal data and secrets in prompts, per kind of data: 'redact' sends
+        // placeholders to the provider and puts the values back in the output, 'reject' refuses
+        // the prompt, 'off' sends it as written.
+        // AI_REDACTION overrides kinds, e.g. {"credential": "reject", "ipAddress": "off"}
+        redaction: { ...DEFAULT_REDACTION, ...redactionOverrides.value },
+        // Writing guidance block appended to enhanced prompts
+        // Terms and phrases are picked at random; a seed makes the pick reproducible
+        guidance: {
+            enabled: process.env.CONTENT_GUIDANCE_ENABLED !== 'false',
+            terms: process.env.CONTENT_GUIDANCE_TERMS ? parseInt(process.env.CONTENT_GUIDANCE_TERMS, 10) : 3,
+            phrases: process.env.CONTENT_GUIDANCE_PHRASES ? parseInt(process.env.CONTENT_GUIDANCE_PHRASES, 10) : 2,
+            // Default seed for requests without one; a new seed is generated per request when unset
+            seed: process.env.CONTENT_GUIDANCE_SEED ? parseInt(process.env.CONTENT_GUIDANCE_SEED, 10) : undefined
+        },
+        // Most enhancement variants a single request may ask for
+        variants: {
+            max: parseInt(process.env.AI_MAX_VARIANTS, 10) || 5
+        },
+        // Batch requests: most items per request, and how many items are enhanced at a time
+        batch: {
+            maxItems: parseInt(process.env.AI_BATCH_MAX_ITEMS, 10) || 50,
+            concurrency: parseInt(process.env.AI_BATCH_CONCURRENCY, 10) || 4
+        },
+        // Template placeholder syntaxes kept through enhancement: mustache ({{name}}), dollar
+        // (${name}) and underscore (__name__), e.g. TEMPLATE_VARIABLE_SYNTAXES=mustache,dollar
+        templateVariables: {
+            syntaxes: process.env.TEMPLATE_VARIABLE_SYNTAXES
+                ? process.env.TEMPLATE_VARIABLE_SYNTAXES.split(',').map(syntax => syntax.trim()).filter(Boolean)
+                : ['mustache']
+        },
+        // Prices in USD per million input and output tokens, used to estimate the cost of each
+        // enhancement. Keys are model names, matched exactly and then as the longest prefix (so
+        // "gpt-4o" covers "gpt-4o-2024-08-06"), or provider names as a fallback.
+        // AI_PRICING adds or overrides entries, e.g. {"gpt-4o": {"input": 2.5, "output": 10}}
+        pricing: { ...DEFAULT_PRICING, ...pricingOverrides.value },
+        temperature: 0.7,
+        maxTokens: 800,
         openai: {
             apiKey: process.env.OPENAI_API_KEY,
-            defaultModel: 'gpt-3.5-turbo'
+            defaultModel: 'gpt-3.5-turbo',
+            // Optional override, e.g. for a proxy or an Azure/OpenAI-compatible gateway
+            baseUrl: process.env.OPENAI_BASE_URL || undefined,
+            timeout: 30000, // 30 seconds
+            maxRetries: 2
         },
         mistral: {
             apiKey: process.env.MISTRAL_API_KEY,
-            defaultModel: 'mistral-medium'
+            defaultModel: 'mistral-medium',
+            baseUrl: process.env.MISTRAL_BASE_URL || undefined
+        },
+        anthropic: {
+            apiKey: process.env.ANTHROPIC_API_KEY,
+            defaultModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+            baseUrl: process.env.ANTHROPIC_BASE_URL || undefined,
+            version: '2023-06-01'
+        },
+        // Self-hosted model behind an OpenAI-compatible API (Ollama, llama.cpp, vLLM)
+        local: {
+            baseUrl: process.env.LOCAL_AI_BASE_URL,
+            model: process.env.LOCAL_AI_MODEL,
+            apiKey: process.env.LOCAL_AI_API_KEY,
+            timeout: parseInt(process.env.LOCAL_AI_TIMEOUT_MS, 10) || 60 * 1000 // 1 minute
         }
     }
 };
@@ -81,12 +219,87 @@ function validateConfig() {
     }
 
     // AI provider configuration validation
+    const providerErrors = [];
+
     if (config.ai.provider === 'openai' && !config.ai.openai.apiKey) {
-        errors.push('OPENAI_API_KEY environment variable must be set when using OpenAI');
+        providerErrors.push('OPENAI_API_KEY environment variable must be set when using OpenAI');
     }
 
     if (config.ai.provider === 'mistral' && !config.ai.mistral.apiKey) {
-        errors.push('MISTRAL_API_KEY environment variable must be set when using Mistral');
+        providerErrors.push('MISTRAL_API_KEY environment variable must be set when using Mistral');
+    }
+
+    if (config.ai.provider === 'anthropic' && !config.ai.anthropic.apiKey) {
+        providerErrors.push('ANTHROPIC_API_KEY environment variable must be set when using Anthropic');
+    }
+
+    if (config.ai.provider === 'local' && !(config.ai.local.baseUrl && config.ai.local.model)) {
+        providerErrors.push('LOCAL_AI_BASE_URL and LOCAL_AI_MODEL environment variables must be set when using a local model');
+    }
+
+    // Without provider credentials the offline provider takes over, so this is only a warning
+    if (providerErrors.length > 0 && config.ai.offlineFallback) {
+        providerErrors.forEach(error => console.warn(`Warning: ${error}`));
+        console.warn('Prompts will be enhanced by the rule-based offline provider until a provider is configured');
+    } else {
+        errors.push(...providerErrors);
+    }
+
+    const { terms, phrases, seed } = config.ai.guidance;
+    if (![terms, phrases].every(count => Number.isInteger(count) && count >= 0)) {
+        errors.push('CONTENT_GUIDANCE_TERMS and CONTENT_GUIDANCE_PHRASES must be non-negative integers');
+    }
+
+    if (seed !== undefined && !(Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF)) {
+        errors.push('CONTENT_GUIDANCE_SEED must be an integer between 0 and 4294967295');
+    }
+
+    if (!['rewrite', 'reprompt', 'off'].includes(config.ai.repair.mode)) {
+        errors.push('AI_REPAIR_MODE must be one of: rewrite, reprompt, off');
+    }
+
+    if (!['block', 'flag', 'neutralize'].includes(config.ai.injection.mode)) {
+        errors.push('AI_INJECTION_MODE must be one of: block, flag, neutralize');
+    }
+
+    const invalidSyntaxes = config.ai.templateVariables.syntaxes
+        .filter(syntax => !['mustache', 'dollar', 'underscore'].includes(syntax));
+    if (invalidSyntaxes.length > 0) {
+        errors.push(`TEMPLATE_VARIABLE_SYNTAXES entries must be mustache, dollar or underscore: ${invalidSyntaxes.join(', ')}`);
+    }
+
+    if (redactionOverrides.error) {
+        errors.push(redactionOverrides.error);
+    }
+
+    const invalidRedaction = Object.entries(config.ai.redaction)
+        .filter(([kind, mode]) => !REDACTION_KINDS.includes(kind) || !['redact', 'reject', 'off'].includes(mode))
+        .map(([kind]) => kind);
+    if (invalidRedaction.length > 0) {
+        errors.push(`AI_REDACTION entries must be one of ${REDACTION_KINDS.join(', ')} set to redact, reject or off: ${invalidRedaction.join(', ')}`);
+    }
+
+    if (!(Number.isInteger(config.ai.variants.max) && config.ai.variants.max >= 1 && config.ai.variants.max <= 10)) {
+        errors.push('AI_MAX_VARIANTS must be an integer between 1 and 10');
+    }
+
+    if (!(Number.isInteger(config.ai.batch.maxItems) && config.ai.batch.maxItems >= 1 && config.ai.batch.maxItems <= 100)) {
+        errors.push('AI_BATCH_MAX_ITEMS must be an integer between 1 and 100');
+    }
+
+    if (!(Number.isInteger(config.ai.batch.concurrency) && config.ai.batch.concurrency >= 1 && config.ai.batch.concurrency <= 20)) {
+        errors.push('AI_BATCH_CONCURRENCY must be an integer between 1 and 20');
+    }
+
+    if (pricingOverrides.error) {
+        errors.push(pricingOverrides.error);
+    }
+
+    const invalidPrices = Object.entries(config.ai.pricing)
+        .filter(([, price]) => !price || ![price.input, price.output].every(value => typeof value === 'number' && value >= 0))
+        .map(([model]) => model);
+    if (invalidPrices.length > 0) {
+        errors.push(`AI_PRICING entries need non-negative "input" and "output" prices: ${invalidPrices.join(', ')}`);
     }
 
     // Print validation errors if any
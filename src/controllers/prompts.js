@@ -1,79 +1,944 @@
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
 const promptEnhancerService = require('../services/promptEnhancerService');
+const { analyzePrompt } = require('../services/promptAnalysisService');
+const { getFormatNames } = require('../services/formatService');
+const { getOutputStyleNames } = require('../services/outputStyleService');
 const { validateRequired, validateEnum, validateMaxLength } = require('../utils/validation');
+const { initEventStream, sendEvent } = require('../utils/sse');
+const { resolveTargetModel, getTargetFamilies } = require('../services/targetModelService');
+const { isValidSeed, MAX_SEED } = require('../utils/random');
+const { scorePrompt, judgePrompt } = require('../services/scoringService');
+const { getUsageStats } = require('../services/usageService');
+const { getLanguageCodes } = require('../services/languageService');
+const { assessPrompt, applyAnswers } = require('../services/clarificationService');
+const { renderTemplate } = require('../services/templateVariableService');
+const { mapSectionText } = require('../services/sectionsService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const MODES = ['enhance', 'clarify'];
 
 // In-memory storage for enhanced prompts (would be replaced with a database in production)
 const promptsStorage = [];
 
+/**
+ * Validate the prompt text of a request
+ * @param {any} text - Prompt text
+ * @returns {Object|null} { status, error } or null if the text is valid
+ */
+function validatePromptText(text) {
+    // Validate required fields
+    const textError = validateRequired(text, 'text');
+    if (textError) {
+        return { status: 400, error: textError };
+    }
+
+    if (typeof text !== 'string' || text.trim() === '') {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: typeof text === 'string' ? "The 'text' field must not be blank" : "The 'text' field must be a string",
+                param: 'text'
+            }
+        };
+    }
+
+    // Validate max length - UPDATED TO STRICTLY ENFORCE THE LIMIT IN TESTS
+    const MAX_TEXT_LENGTH = 8000; // Reduced limit for testing
+    if (text && text.length > MAX_TEXT_LENGTH) {
+        return {
+            status: 413,
+            error: {
+                code: 'payload_too_large',
+                message: `The 'text' field must not exceed ${MAX_TEXT_LENGTH} characters`,
+                param: 'text'
+            }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Validate the optional seed and guidance options of a request
+ * @param {Object} body - Request body
+ * @returns {Object|null} { status, error } or null if the options are valid
+ */
+function validateGuidanceOptions(body) {
+    const { seed, guidance } = body;
+
+    if (seed !== undefined && !isValidSeed(seed)) {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: `The 'seed' parameter must be an integer between 0 and ${MAX_SEED}`,
+                param: 'seed'
+            }
+        };
+    }
+
+    if (guidance === undefined) {
+        return null;
+    }
+
+    if (typeof guidance !== 'object' || guidance === null || Array.isArray(guidance)) {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: "The 'guidance' parameter must be an object",
+                param: 'guidance'
+            }
+        };
+    }
+
+    if (guidance.enabled !== undefined && typeof guidance.enabled !== 'boolean') {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: "The 'guidance.enabled' parameter must be a boolean",
+                param: 'guidance.enabled'
+            }
+        };
+    }
+
+    const MAX_GUIDANCE_ITEMS = 10;
+    for (const field of ['terms', 'phrases']) {
+        const value = guidance[field];
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0 && value <= MAX_GUIDANCE_ITEMS)) {
+            return {
+                status: 400,
+                error: {
+                    code: 'invalid_parameter',
+                    message: `The 'guidance.${field}' parameter must be an integer between 0 and ${MAX_GUIDANCE_ITEMS}`,
+                    param: `guidance.${field}`
+                }
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate the optional target model of a request
+ * @param {any} targetModel - Requested target model
+ * @returns {Object|null} { status, error } or null if the target model is valid
+ */
+function validateTargetModel(targetModel) {
+    if (targetModel === undefined || resolveTargetModel(targetModel)) {
+        return null;
+    }
+
+    return {
+        status: 400,
+        error: {
+            code: 'invalid_parameter',
+            message: `The 'targetModel' parameter must name a supported model family: ${getTargetFamilies().join(', ')}`,
+            param: 'targetModel'
+        }
+    };
+}
+
+/**
+ * Validate the optional target language of a request
+ * @param {any} targetLanguage - Requested language code
+ * @returns {Object|null} { status, error } or null if the language is valid
+ */
+function validateTargetLanguage(targetLanguage) {
+    const codes = getLanguageCodes();
+    if (targetLanguage === undefined || (typeof targetLanguage === 'string' && codes.includes(targetLanguage.toLowerCase()))) {
+        return null;
+    }
+
+    return {
+        status: 400,
+        error: {
+            code: 'invalid_parameter',
+            message: `The 'targetLanguage' parameter must be one of: ${codes.join(', ')}`,
+            param: 'targetLanguage'
+        }
+    };
+}
+
+/**
+ * Validate the optional sections flag of a request
+ * @param {Object} body - Request body
+ * @returns {Object|null} { status, error } or null if the flag is valid
+ */
+function validateSectionsOption(body) {
+    const { sections, targetModel } = body;
+
+    if (sections !== undefined && typeof sections !== 'boolean') {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: "The 'sections' parameter must be a boolean",
+                param: 'sections'
+            }
+        };
+    }
+
+    // Image prompts are descriptor lists, not sections
+    if (sections && resolveTargetModel(targetModel)?.kind === 'image') {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: "The 'sections' parameter is not available for image target models",
+                param: 'sections'
+            }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Validate the optional number of variants of a request
+ * @param {any} variants - Requested number of variants
+ * @returns {Object|null} { status, error } or null if the number is valid
+ */
+function validateVariantsOption(variants) {
+    const { max } = config.ai.variants;
+    if (variants === undefined || (Number.isInteger(variants) && variants >= 1 && variants <= max)) {
+        return null;
+    }
+
+    return {
+        status: 400,
+        error: {
+            code: 'invalid_parameter',
+            message: `The 'variants' parameter must be an integer between 1 and ${max}`,
+            param: 'variants'
+        }
+    };
+}
+
+/**
+ * Validate the feedback of a refine request
+ * @param {string} feedback - What the user wants changed
+ * @returns {Object|null} { status, error } or null if the feedback is valid
+ */
+function validateFeedback(feedback) {
+    const feedbackError = validateRequired(feedback, 'feedback');
+    if (feedbackError) {
+        return { status: 400, error: feedbackError };
+    }
+
+    if (typeof feedback !== 'string' || !feedback.trim()) {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: "The 'feedback' parameter must be a non-empty string",
+                param: 'feedback'
+            }
+        };
+    }
+
+    const MAX_FEEDBACK_LENGTH = 2000;
+    const lengthError = validateMaxLength(feedback, MAX_FEEDBACK_LENGTH, 'feedback');
+    if (lengthError) {
+        return { status: 400, error: lengthError };
+    }
+
+    return null;
+}
+
+/**
+ * Validate the optional mode of a create request
+ * @param {Object} body - Request body
+ * @returns {Object|null} { status, error } or null if the mode is valid
+ */
+function validateModeOption(body) {
+    const modeError = validateEnum(body.mode, MODES, 'mode');
+    if (modeError) {
+        return { status: 400, error: modeError };
+    }
+
+    // The questions are about written output, not image descriptors
+    if (body.mode === 'clarify' && resolveTargetModel(body.targetModel)?.kind === 'image') {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: "The 'clarify' mode is not available for image target models",
+                param: 'mode'
+            }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Validate the answers to a prompt's clarifying questions
+ * @param {any} answers - Answers by question id
+ * @param {Array<Object>} questions - Questions that were asked
+ * @returns {Object|null} { status, error } or null if the answers are valid
+ */
+function validateAnswers(answers, questions) {
+    const answersError = validateRequired(answers, 'answers');
+    if (answersError) {
+        return { status: 400, error: answersError };
+    }
+
+    if (typeof answers !== 'object' || answers === null || Array.isArray(answers)) {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: "The 'answers' parameter must be an object of answers by question id",
+                param: 'answers'
+            }
+        };
+    }
+
+    const MAX_ANSWER_LENGTH = 500;
+    const ids = questions.map(question => question.id);
+    for (const [id, answer] of Object.entries(answers)) {
+        if (!ids.includes(id)) {
+            return {
+                status: 400,
+                error: {
+                    code: 'invalid_parameter',
+                    message: `Unknown question '${id}'; the questions are: ${ids.join(', ')}`,
+                    param: `answers.${id}`
+                }
+            };
+        }
+
+        if (typeof answer !== 'string') {
+            return {
+                status: 400,
+                error: {
+                    code: 'invalid_parameter',
+                    message: `The answer to '${id}' must be a string`,
+                    param: `answers.${id}`
+                }
+            };
+        }
+
+        const lengthError = validateMaxLength(answer, MAX_ANSWER_LENGTH, `answers.${id}`);
+        if (lengthError) {
+            return { status: 400, error: lengthError };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate the values to fill a prompt's template variables with
+ * @param {any} values - Values by variable name
+ * @param {Array<Object>} variables - Variables of the prompt
+ * @returns {Object|null} { status, error } or null if the values are valid
+ */
+function validateVariableValues(values, variables) {
+    const valuesError = validateRequired(values, 'variables');
+    if (valuesError) {
+        return { status: 400, error: valuesError };
+    }
+
+    if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: "The 'variables' parameter must be an object of values by variable name",
+                param: 'variables'
+            }
+        };
+    }
+
+    for (const [name, value] of Object.entries(values)) {
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            return {
+                status: 400,
+                error: {
+                    code: 'invalid_parameter',
+                    message: `The value of '${name}' must be a string, number or boolean`,
+                    param: `variables.${name}`
+                }
+            };
+        }
+    }
+
+    const missing = [...new Set(variables.map(variable => variable.name))].filter(name => values[name] === undefined);
+    if (missing.length > 0) {
+        return {
+            status: 400,
+            error: {
+                code: 'missing_variables',
+                message: `No values given for the template variables: ${missing.join(', ')}`,
+                param: 'variables'
+            }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Validate the items of a batch request
+ * The items themselves are validated one by one, so an invalid item fails on its own.
+ * @param {any} items - Batch items
+ * @returns {Object|null} { status, error } or null if the batch is valid
+ */
+function validateBatchItems(items) {
+    const itemsError = validateRequired(items, 'items');
+    if (itemsError) {
+        return { status: 400, error: itemsError };
+    }
+
+    const { maxItems } = config.ai.batch;
+    if (!Array.isArray(items) || items.length === 0 || items.length > maxItems) {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: `The 'items' parameter must be an array of 1 to ${maxItems} prompts`,
+                param: 'items'
+            }
+        };
+    }
+
+    // Variants would multiply the provider calls of a batch that counts as one request
+    const withVariants = items.findIndex(item => item && item.variants !== undefined);
+    if (withVariants !== -1) {
+        return {
+            status: 400,
+            error: {
+                code: 'invalid_parameter',
+                message: "The 'variants' parameter is not available for batch items",
+                param: `items[${withVariants}].variants`
+            }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Enhance a prompt once, or as ranked variants when a number of variants is given
+ * @param {Object} params - Parameters for the prompt enhancer service
+ * @param {number} [variants] - Number of variants
+ * @returns {Promise<Object>} Result from the prompt enhancer service
+ */
+function runEnhancement(params, variants) {
+    return variants === undefined
+        ? promptEnhancerService.enhancePromptDetailed(params)
+        : promptEnhancerService.enhancePromptVariants(params, variants);
+}
+
+/**
+ * Get the enhancement options a request may set besides the text and format
+ * @param {Object} body - Request body
+ * @returns {Object} { seed, guidance, targetModel, targetLanguage, sections, outputStyle }, omitting fields that were not sent
+ */
+function getEnhancementOptions(body) {
+    const options = {};
+    if (body.outputStyle !== undefined) options.outputStyle = body.outputStyle;
+    if (body.seed !== undefined) options.seed = body.seed;
+    if (body.targetModel !== undefined) options.targetModel = body.targetModel;
+    if (body.targetLanguage !== undefined) options.targetLanguage = body.targetLanguage;
+    if (body.sections !== undefined) options.sections = body.sections;
+    if (body.guidance !== undefined) {
+        const { enabled, terms, phrases } = body.guidance;
+        options.guidance = Object.fromEntries(
+            Object.entries({ enabled, terms, phrases }).filter(([, value]) => value !== undefined)
+        );
+    }
+    return options;
+}
+
+/**
+ * Validate the body of a create request
+ * @param {Object} body - Request body
+ * @returns {Object|null} { status, error } or null if the request is valid
+ */
+function validateCreateRequest(body) {
+    const { text, format = 'structured' } = body;
+
+    const textError = validatePromptText(text);
+    if (textError) {
+        return textError;
+    }
+
+    // Validate enum values for format
+    const formatError = validateEnum(format, getFormatNames(), 'format');
+    if (formatError) {
+        return { status: 400, error: formatError };
+    }
+
+    const styleError = validateEnum(body.outputStyle, getOutputStyleNames(), 'outputStyle');
+    if (styleError) {
+        return { status: 400, error: styleError };
+    }
+
+    return validateGuidanceOptions(body)
+        || validateTargetModel(body.targetModel)
+        || validateTargetLanguage(body.targetLanguage)
+        || validateSectionsOption(body)
+        || validateVariantsOption(body.variants)
+        || validateModeOption(body);
+}
+
+/**
+ * Get the fields of a stored prompt that come from an enhancement result
+ * @param {Object} result - Result from the prompt enhancer service
+ * @returns {Object} Prompt fields
+ */
+function getEnhancementFields(result) {
+    return {
+        enhancedText: result.enhancedText,
+        provider: result.provider,
+        model: result.model,
+        repair: result.repair,
+        seed: result.seed,
+        domain: result.domain,
+        targetModel: result.targetModel,
+        sections: result.sections,
+        outputStyle: result.outputStyle,
+        detectedLanguage: result.detectedLanguage,
+        targetLanguage: result.targetLanguage,
+        // Verdict of the prompt-injection check on the original text
+        safety: result.safety,
+        // What the redaction stage kept from the provider ({ redacted, types }), never the values
+        redaction: result.redaction,
+        // Template placeholders ({ name, syntax, placeholder }) that POST /prompts/:id/render fills
+        variables: result.variables,
+        // Ranked variants, best first; enhancedText starts out as the best one
+        variants: result.variants || null,
+        selectedVariant: result.variants ? result.variants[0].id : null,
+        scores: result.scores,
+        usage: result.usage,
+        estimatedCost: result.estimatedCost
+    };
+}
+
+/**
+ * Record an enhancement in the revision history of a prompt
+ * @param {Object|null} existingPrompt - Prompt before the enhancement, or null for a new prompt
+ * @param {Object} result - Result from the prompt enhancer service
+ * @param {string|null} [feedback=null] - Feedback the enhancement was refined with
+ * @returns {Object} { revision, revisions } where revision is the number of the new revision
+ */
+function addRevision(existingPrompt, result, feedback = null) {
+    const revisions = existingPrompt ? existingPrompt.revisions || [] : [];
+    const revision = revisions.length + 1;
+
+    return {
+        revision,
+        revisions: [...revisions, {
+            revision,
+            enhancedText: result.enhancedText,
+            feedback,
+            provider: result.provider,
+            model: result.model,
+            createdAt: new Date().toISOString()
+        }]
+    };
+}
+
+/**
+ * Build the stored prompt object from an enhancement result
+ * @param {string} text - Original prompt text
+ * @param {string} format - Requested format
+ * @param {Object} result - Result from the prompt enhancer service
+ * @returns {Object} Prompt object
+ */
+function createPromptObject(text, format, result) {
+    return {
+        id: `prompt_${uuidv4()}`,
+        originalText: text,
+        format,
+        ...getEnhancementFields(result),
+        ...addRevision(null, result),
+        clarification: null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Build the stored prompt object for a prompt that is waiting for answers to clarifying questions
+ * The enhancement fields stay empty until the answers come in; the options of the request are
+ * kept to enhance the prompt with then.
+ * @param {string} text - Original prompt text
+ * @param {string} format - Requested format
+ * @param {Object} body - Request body
+ * @param {Array<Object>} questions - Questions from the clarification service
+ * @returns {Object} Prompt object
+ */
+function createPendingPromptObject(text, format, body, questions) {
+    const emptyFields = Object.fromEntries(Object.keys(getEnhancementFields({})).map(field => [field, null]));
+
+    return {
+        id: `prompt_${uuidv4()}`,
+        originalText: text,
+        format,
+        ...emptyFields,
+        revision: 0,
+        revisions: [],
+        clarification: {
+            status: 'pending',
+            questions,
+            answers: null,
+            options: {
+                ...getEnhancementOptions(body),
+                ...(body.variants !== undefined ? { variants: body.variants } : {})
+            }
+        },
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Get the enhancement options a stored prompt was enhanced with, to enhance it again
+ * A prompt waiting for answers to clarifying questions has not been enhanced yet and gives the
+ * options of its create request.
+ * @param {Object} prompt - Stored prompt object
+ * @returns {Object} { seed, targetModel, targetLanguage, sections, outputStyle, variants }, omitting
+ *   options the prompt does not have
+ */
+function getStoredOptions(prompt) {
+    if (prompt.clarification?.status === 'pending') {
+        return prompt.clarification.options;
+    }
+
+    return {
+        seed: prompt.seed,
+        ...(prompt.targetModel ? { targetModel: prompt.targetModel } : {}),
+        ...(prompt.targetLanguage ? { targetLanguage: prompt.targetLanguage } : {}),
+        sections: !!prompt.sections,
+        ...(prompt.outputStyle ? { outputStyle: prompt.outputStyle } : {}),
+        ...(prompt.variants ? { variants: prompt.variants.length } : {})
+    };
+}
+
+/**
+ * Get the text a stored prompt is enhanced from
+ * Answers to its clarifying questions stay part of the prompt, so they are added again whenever
+ * it is re-enhanced or refined, also when its text is replaced.
+ * @param {Object} prompt - Stored prompt object
+ * @param {string} [text=prompt.originalText] - Prompt text to use instead of the stored one
+ * @returns {string} Prompt text with the answered details
+ */
+function getPromptText(prompt, text = prompt.originalText) {
+    const { clarification } = prompt;
+    if (clarification?.status !== 'answered') {
+        return text;
+    }
+    return applyAnswers(text, clarification.questions, clarification.answers);
+}
+
+/**
+ * Build the response for a request that needs an enhanced prompt but found a pending one
+ * @param {string} id - Prompt ID
+ * @returns {Object} Error body
+ */
+function clarificationPendingError(id) {
+    return {
+        error: {
+            code: 'clarification_pending',
+            message: `Prompt ${id} is waiting for answers to its clarifying questions`
+        }
+    };
+}
+
+/**
+ * Build the error response for a failed enhancement
+ * @param {Error} serviceError - Error thrown by the prompt enhancer service
+ * @returns {Object} { status, body }
+ */
+function serviceErrorResponse(serviceError) {
+    let details = serviceError.message;
+    if (serviceError.attempts) {
+        details = { reason: serviceError.message, attempts: serviceError.attempts };
+    } else if (serviceError.safety) {
+        // Blocked prompts report what the injection check found
+        details = { reason: serviceError.message, safety: serviceError.safety };
+    } else if (serviceError.redaction) {
+        // Rejected prompts report the kinds of data found, not the data itself
+        details = { reason: serviceError.message, redaction: serviceError.redaction };
+    } else if (serviceError.variables) {
+        // The provider output lost template variables, even after a repair attempt
+        details = { reason: serviceError.message, variables: serviceError.variables };
+    }
+
+    return {
+        status: serviceError.statusCode || 500,
+        body: {
+            error: {
+                code: serviceError.code || 'service_error',
+                message: 'Error generating enhanced prompt',
+                details
+            }
+        }
+    };
+}
+
+/**
+ * Create and store a prompt from the body of a create request
+ * @param {Object} body - Request body ({ text, format, mode, variants, ...options })
+ * @returns {Promise<Object>} { status, body } where body is the stored prompt object or an error
+ */
+async function createPrompt(body) {
+    const validationError = validateCreateRequest(body);
+    if (validationError) {
+        return { status: validationError.status, body: { error: validationError.error } };
+    }
+
+    const { text, format = 'structured' } = body;
+
+    // Vague prompts get questions first; the enhancement waits for the answers
+    if (body.mode === 'clarify') {
+        const { underspecified, questions } = assessPrompt(text);
+        if (underspecified) {
+            const promptObject = createPendingPromptObject(text, format, body, questions);
+            promptsStorage.push(promptObject);
+            return { status: 200, body: promptObject };
+        }
+    }
+
+    try {
+        // Get enhanced prompt from service
+        const result = await runEnhancement({
+            originalPrompt: text,
+            format,
+            ...getEnhancementOptions(body)
+        }, body.variants);
+
+        // Create the prompt object with a unique ID
+        const promptObject = createPromptObject(text, format, result);
+
+        // Store the prompt (in a real app, this would be saved to a database)
+        promptsStorage.push(promptObject);
+
+        return { status: 200, body: promptObject };
+    } catch (serviceError) {
+        console.error('Error in prompt service:', serviceError);
+        return serviceErrorResponse(serviceError);
+    }
+}
+
 exports.enhancePrompt = async (req, res, next) => {
+    // Clients asking for an event stream get the streaming variant of this endpoint
+    if ((req.get('Accept') || '').includes('text/event-stream')) {
+        return exports.streamPrompt(req, res, next);
+    }
+
     try {
         console.log('Received request body:', req.body);
 
-        const { text, format = 'structured' } = req.body;
+        const { status, body } = await createPrompt(req.body);
 
-        // Validate required fields
-        const textError = validateRequired(text, 'text');
-        if (textError) {
-            return res.status(400).json({ error: textError });
+        // Return the enhanced prompt
+        console.log('Sending response:', body);
+        return res.status(status).json(body);
+    } catch (error) {
+        console.error('Unexpected error in enhancePrompt controller:', error);
+        next(error);
+    }
+};
+
+/**
+ * Enhance many prompts in one request
+ * Items are enhanced a few at a time (config.ai.batch.concurrency) and each gets its own result
+ * or error, so one failed item does not fail the batch. Results are in the order of the items.
+ */
+exports.batchPrompts = async (req, res, next) => {
+    try {
+        const { items } = req.body;
+        const validationError = validateBatchItems(items);
+        if (validationError) {
+            return res.status(validationError.status).json({ error: validationError.error });
         }
 
-        // Validate max length - UPDATED TO STRICTLY ENFORCE THE LIMIT IN TESTS
-        const MAX_TEXT_LENGTH = 8000; // Reduced limit for testing
-        if (text && text.length > MAX_TEXT_LENGTH) {
-            return res.status(413).json({
+        console.log(`Enhancing a batch of ${items.length} prompt(s)`);
+        const results = await mapWithConcurrency(items, config.ai.batch.concurrency, async (item, index) => {
+            try {
+                const { status, body } = typeof item === 'object' && item !== null && !Array.isArray(item)
+                    ? await createPrompt(item)
+                    : {
+                        status: 400,
+                        body: {
+                            error: {
+                                code: 'invalid_parameter',
+                                message: 'Each item must be an object with a text and options',
+                                param: `items[${index}]`
+                            }
+                        }
+                    };
+
+                return status === 200
+                    ? { index, status: 'succeeded', prompt: body }
+                    : { index, status: 'failed', statusCode: status, error: body.error };
+            } catch (error) {
+                // An unexpected error fails its own item, not the items already enhanced
+                console.error(`Unexpected error in batch item ${index}:`, error);
+                return {
+                    index,
+                    status: 'failed',
+                    statusCode: error.statusCode || 500,
+                    error: { code: error.code || 'server_error', message: error.message }
+                };
+            }
+        });
+
+        const succeeded = results.filter(result => result.status === 'succeeded').length;
+        res.status(200).json({
+            results,
+            summary: { total: results.length, succeeded, failed: results.length - succeeded }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create an enhanced prompt, streaming the provider output as Server-Sent Events
+ * Events: `token` ({ text }) for each delta, then `done` with the stored prompt object,
+ * or `error` ({ error }) if the enhancement fails after the stream has started.
+ */
+exports.streamPrompt = async (req, res, next) => {
+    try {
+        const validationError = validateCreateRequest(req.body);
+        if (validationError) {
+            return res.status(validationError.status).json({ error: validationError.error });
+        }
+
+        // Variants are ranked once they are all complete, which a single token stream cannot show
+        if (req.body.variants !== undefined) {
+            return res.status(400).json({
                 error: {
-                    code: 'payload_too_large',
-                    message: `The 'text' field must not exceed ${MAX_TEXT_LENGTH} characters`,
-                    param: 'text'
+                    code: 'invalid_parameter',
+                    message: "The 'variants' parameter is not available for streaming",
+                    param: 'variants'
                 }
             });
         }
 
-        // Validate enum values for format
-        const validFormats = ['paragraph', 'bullet', 'structured', 'conversational'];
-        const formatError = validateEnum(format, validFormats, 'format');
-        if (formatError) {
-            return res.status(400).json({ error: formatError });
+        // Clarifying questions come back as one response before anything is streamed
+        if (req.body.mode === 'clarify') {
+            return res.status(400).json({
+                error: {
+                    code: 'invalid_parameter',
+                    message: "The 'clarify' mode is not available for streaming",
+                    param: 'mode'
+                }
+            });
         }
 
-        try {
-            // Get enhanced prompt from service
-            const enhancedText = await promptEnhancerService.enhancePrompt({
-                originalPrompt: text,
-                format
-            });
+        const { text, format = 'structured' } = req.body;
 
-            // Create the prompt object with a unique ID
-            const promptObject = {
-                id: `prompt_${uuidv4()}`,
-                originalText: text,
-                enhancedText,
-                format,
-                createdAt: new Date().toISOString()
-            };
+        // Cancel the upstream call if the client goes away before we finish
+        const abortController = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                abortController.abort();
+            }
+        });
+
+        initEventStream(res);
 
-            // Store the prompt (in a real app, this would be saved to a database)
+        try {
+            const result = await promptEnhancerService.enhancePromptStream(
+                { originalPrompt: text, format, ...getEnhancementOptions(req.body), signal: abortController.signal },
+                token => sendEvent(res, 'token', { text: token })
+            );
+
+            const promptObject = createPromptObject(text, format, result);
             promptsStorage.push(promptObject);
 
-            // Return the enhanced prompt
-            console.log('Sending response:', promptObject);
-            return res.status(200).json(promptObject);
+            sendEvent(res, 'done', promptObject);
         } catch (serviceError) {
-            console.error('Error in prompt service:', serviceError);
-            return res.status(500).json({
+            if (abortController.signal.aborted) {
+                console.log('Client disconnected, enhancement stream cancelled');
+                return;
+            }
+
+            console.error('Error in prompt stream:', serviceError);
+            sendEvent(res, 'error', serviceErrorResponse(serviceError).body);
+        }
+
+        res.end();
+    } catch (error) {
+        console.error('Unexpected error in streamPrompt controller:', error);
+        next(error);
+    }
+};
+
+/**
+ * Check a prompt against the prompt dictionary without enhancing it
+ * Returns the findings with character offsets and a summary of counts.
+ */
+exports.analyzePrompt = (req, res, next) => {
+    try {
+        const { text } = req.body;
+
+        const validationError = validatePromptText(text);
+        if (validationError) {
+            return res.status(validationError.status).json({ error: validationError.error });
+        }
+
+        res.status(200).json(analyzePrompt(text));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Score a prompt on clarity, specificity, structure, constraints, audience and output format
+ * The local heuristics always run; `judge: true` also asks a language model for its ratings.
+ */
+exports.scorePrompt = async (req, res, next) => {
+    try {
+        const { text, judge = false } = req.body;
+
+        const validationError = validatePromptText(text);
+        if (validationError) {
+            return res.status(validationError.status).json({ error: validationError.error });
+        }
+
+        if (typeof judge !== 'boolean') {
+            return res.status(400).json({
                 error: {
-                    code: 'service_error',
-                    message: 'Error generating enhanced prompt',
-                    details: serviceError.message
+                    code: 'invalid_parameter',
+                    message: "The 'judge' parameter must be a boolean",
+                    param: 'judge'
                 }
             });
         }
+
+        res.status(200).json({
+            ...scorePrompt(text),
+            judge: judge ? await judgePrompt(text) : null
+        });
     } catch (error) {
-        console.error('Unexpected error in enhancePrompt controller:', error);
         next(error);
     }
 };
 
+/**
+ * Get service statistics: stored prompts and the token usage and estimated cost of every
+ * provider call since the server started
+ */
+exports.getStats = (req, res, next) => {
+    try {
+        res.status(200).json({
+            prompts: { stored: promptsStorage.length },
+            usage: getUsageStats()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
 /**
  * Get a list of previously enhanced prompts
@@ -139,44 +1004,119 @@ exports.updatePrompt = async (req, res, next) => {
         const { text, format } = req.body;
         const existingPrompt = promptsStorage[promptIndex];
 
-        // Validate max length if text is provided
-        if (text) {
-            const MAX_TEXT_LENGTH = 8000; // Consistent with create endpoint
-            if (text.length > MAX_TEXT_LENGTH) {
-                return res.status(413).json({
-                    error: {
-                        code: 'payload_too_large',
-                        message: `The 'text' field must not exceed ${MAX_TEXT_LENGTH} characters`,
-                        param: 'text'
-                    }
-                });
+        // Validate the text if a new one is provided
+        if (text !== undefined) {
+            const textError = validatePromptText(text);
+            if (textError) {
+                return res.status(textError.status).json({ error: textError.error });
             }
         }
 
         // Validate format if provided
         if (format) {
-            const validFormats = ['paragraph', 'bullet', 'structured', 'conversational'];
-            const formatError = validateEnum(format, validFormats, 'format');
+            const formatError = validateEnum(format, getFormatNames(), 'format');
             if (formatError) {
                 return res.status(400).json({ error: formatError });
             }
         }
 
-        // Generate a new enhanced prompt based on the updated parameters
-        const enhancedText = await promptEnhancerService.enhancePrompt({
-            originalPrompt: text || existingPrompt.originalText,
-            format: format || existingPrompt.format
-        });
+        const styleError = validateEnum(req.body.outputStyle, getOutputStyleNames(), 'outputStyle');
+        if (styleError) {
+            return res.status(400).json({ error: styleError });
+        }
+
+        const optionsError = validateGuidanceOptions(req.body)
+            || validateTargetModel(req.body.targetModel)
+            || validateTargetLanguage(req.body.targetLanguage)
+            || validateSectionsOption({ ...getStoredOptions(existingPrompt), ...req.body })
+            || validateVariantsOption(req.body.variants);
+        if (optionsError) {
+            return res.status(optionsError.status).json({ error: optionsError.error });
+        }
+
+        // Generate a new enhanced prompt based on the updated parameters, keeping the seed, target
+        // model, target language, sections option, output style and number of variants unless new
+        // ones are given.
+        // A new target model brings its own default style.
+        const { variants: storedVariants, outputStyle, ...storedOptions } = getStoredOptions(existingPrompt);
+        const variants = req.body.variants ?? storedVariants;
+        try {
+            const result = await runEnhancement({
+                originalPrompt: getPromptText(existingPrompt, text || existingPrompt.originalText),
+                format: format || existingPrompt.format,
+                ...storedOptions,
+                ...(outputStyle && req.body.targetModel === undefined ? { outputStyle } : {}),
+                ...getEnhancementOptions(req.body)
+            }, variants);
+
+            // Update the prompt
+            const updatedPrompt = {
+                ...existingPrompt,
+                originalText: text || existingPrompt.originalText,
+                format: format || existingPrompt.format,
+                ...getEnhancementFields(result),
+                ...addRevision(existingPrompt, result),
+                // Re-enhancing a prompt that was waiting for answers goes ahead without them
+                ...(existingPrompt.clarification?.status === 'pending'
+                    ? { clarification: { ...existingPrompt.clarification, status: 'skipped' } }
+                    : {})
+            };
+
+            // Save the updated prompt
+            promptsStorage[promptIndex] = updatedPrompt;
+
+            return res.status(200).json(updatedPrompt);
+        } catch (serviceError) {
+            console.error('Error in prompt service:', serviceError);
+            const { status, body } = serviceErrorResponse(serviceError);
+            return res.status(status).json(body);
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Make one of a prompt's stored variants its primary enhanced text
+ * The ranking is kept as it is; only the selection changes.
+ */
+exports.promoteVariant = (req, res, next) => {
+    try {
+        const { id, variantId } = req.params;
+        const promptIndex = promptsStorage.findIndex(p => p.id === id);
+
+        if (promptIndex === -1) {
+            return res.status(404).json({
+                error: {
+                    code: 'prompt_not_found',
+                    message: `No prompt found with ID: ${id}`
+                }
+            });
+        }
+
+        const existingPrompt = promptsStorage[promptIndex];
+        const variant = (existingPrompt.variants || []).find(v => v.id === variantId);
+
+        if (!variant) {
+            return res.status(404).json({
+                error: {
+                    code: 'variant_not_found',
+                    message: `Prompt ${id} has no variant with ID: ${variantId}`
+                }
+            });
+        }
 
-        // Update the prompt
         const updatedPrompt = {
             ...existingPrompt,
-            originalText: text || existingPrompt.originalText,
-            enhancedText,
-            format: format || existingPrompt.format
+            enhancedText: variant.enhancedText,
+            provider: variant.provider,
+            model: variant.model,
+            repair: variant.repair,
+            sections: variant.sections,
+            selectedVariant: variant.id,
+            scores: { ...existingPrompt.scores, enhanced: scorePrompt(variant.enhancedText) }
         };
 
-        // Save the updated prompt
         promptsStorage[promptIndex] = updatedPrompt;
 
         res.status(200).json(updatedPrompt);
@@ -185,6 +1125,179 @@ exports.updatePrompt = async (req, res, next) => {
     }
 };
 
+/**
+ * Refine the current enhancement of a prompt with free-text feedback
+ * The provider revises the enhancement instead of starting over, and the result is stored as a
+ * new revision of the same prompt. The prompt keeps its format, seed, target model, target
+ * language, sections option and output style.
+ */
+exports.refinePrompt = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const promptIndex = promptsStorage.findIndex(p => p.id === id);
+
+        if (promptIndex === -1) {
+            return res.status(404).json({
+                error: {
+                    code: 'prompt_not_found',
+                    message: `No prompt found with ID: ${id}`
+                }
+            });
+        }
+
+        const { feedback } = req.body;
+        const validationError = validateFeedback(feedback);
+        if (validationError) {
+            return res.status(validationError.status).json({ error: validationError.error });
+        }
+
+        const existingPrompt = promptsStorage[promptIndex];
+        if (existingPrompt.clarification?.status === 'pending') {
+            return res.status(409).json(clarificationPendingError(id));
+        }
+
+        try {
+            const result = await promptEnhancerService.refinePrompt({
+                originalPrompt: getPromptText(existingPrompt),
+                format: existingPrompt.format,
+                seed: existingPrompt.seed,
+                ...(existingPrompt.targetModel ? { targetModel: existingPrompt.targetModel } : {}),
+                ...(existingPrompt.targetLanguage ? { targetLanguage: existingPrompt.targetLanguage } : {}),
+                sections: !!existingPrompt.sections,
+                ...(existingPrompt.outputStyle ? { outputStyle: existingPrompt.outputStyle } : {}),
+                enhancement: { text: existingPrompt.enhancedText, sections: existingPrompt.sections },
+                feedback
+            });
+
+            const updatedPrompt = {
+                ...existingPrompt,
+                ...getEnhancementFields(result),
+                ...addRevision(existingPrompt, result, feedback.trim())
+            };
+
+            promptsStorage[promptIndex] = updatedPrompt;
+
+            return res.status(200).json(updatedPrompt);
+        } catch (serviceError) {
+            console.error('Error in prompt service:', serviceError);
+            const { status, body } = serviceErrorResponse(serviceError);
+            return res.status(status).json(body);
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Answer the clarifying questions of a prompt created in clarify mode
+ * The answers are added to the prompt text, which is then enhanced with the options of the
+ * original request. Questions left unanswered are left to the enhancer. The answers are kept with
+ * the prompt, so later updates and refinements use them too.
+ */
+exports.answerPrompt = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const promptIndex = promptsStorage.findIndex(p => p.id === id);
+
+        if (promptIndex === -1) {
+            return res.status(404).json({
+                error: {
+                    code: 'prompt_not_found',
+                    message: `No prompt found with ID: ${id}`
+                }
+            });
+        }
+
+        const existingPrompt = promptsStorage[promptIndex];
+        const { clarification } = existingPrompt;
+        if (clarification?.status !== 'pending') {
+            return res.status(409).json({
+                error: {
+                    code: 'no_pending_clarification',
+                    message: `Prompt ${id} has no clarifying questions waiting for answers`
+                }
+            });
+        }
+
+        const { answers } = req.body;
+        const validationError = validateAnswers(answers, clarification.questions);
+        if (validationError) {
+            return res.status(validationError.status).json({ error: validationError.error });
+        }
+
+        const { variants, ...options } = clarification.options;
+
+        try {
+            const result = await runEnhancement({
+                originalPrompt: applyAnswers(existingPrompt.originalText, clarification.questions, answers),
+                format: existingPrompt.format,
+                ...options
+            }, variants);
+
+            const updatedPrompt = {
+                ...existingPrompt,
+                ...getEnhancementFields(result),
+                ...addRevision(existingPrompt, result),
+                clarification: { ...clarification, status: 'answered', answers }
+            };
+
+            promptsStorage[promptIndex] = updatedPrompt;
+
+            return res.status(200).json(updatedPrompt);
+        } catch (serviceError) {
+            console.error('Error in prompt service:', serviceError);
+            const { status, body } = serviceErrorResponse(serviceError);
+            return res.status(status).json(body);
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Fill the template variables of a prompt's enhanced text with values
+ * Values are given by variable name and fill the variable in every syntax it is written in. Every
+ * variable needs a value; values for names the prompt does not have are ignored. Nothing is stored.
+ */
+exports.renderPrompt = (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const prompt = promptsStorage.find(p => p.id === id);
+
+        if (!prompt) {
+            return res.status(404).json({
+                error: {
+                    code: 'prompt_not_found',
+                    message: `No prompt found with ID: ${id}`
+                }
+            });
+        }
+
+        if (prompt.clarification?.status === 'pending') {
+            return res.status(409).json(clarificationPendingError(id));
+        }
+
+        const variables = prompt.variables || [];
+        const { variables: values } = req.body;
+        const validationError = validateVariableValues(values, variables);
+        if (validationError) {
+            return res.status(validationError.status).json({ error: validationError.error });
+        }
+
+        const fill = text => renderTemplate(text, variables, values);
+        res.status(200).json({
+            id: prompt.id,
+            revision: prompt.revision,
+            renderedText: fill(prompt.enhancedText),
+            renderedSections: prompt.sections
+                ? { ...mapSectionText(prompt.sections, fill), guidance: prompt.sections.guidance }
+                : null
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Delete a specific prompt by ID
  */
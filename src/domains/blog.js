@@ -0,0 +1,30 @@
+/**
+ * Blog posts, articles and newsletters
+ */
+module.exports = {
+    name: 'blog',
+    label: 'Blog and Articles',
+    keywords: {
+        blog: 3,
+        blogging: 3,
+        article: 3,
+        newsletter: 3,
+        'blog post': 2,
+        headline: 1,
+        readers: 1,
+        post: 1
+    },
+    patterns: [
+        { pattern: /\b(?:\d+|top)\s+(?:tips|reasons|ways|mistakes)\b/i, weight: 2 }
+    ],
+    advice: [
+        'Focus on creating a natural narrative flow with varied sentence structures.',
+        'Open with a specific observation or example instead of a general statement about the topic.'
+    ],
+    bannedTerms: ['in this article', 'without further ado', "let's dive in", 'the ultimate guide'],
+    clarifyingAnswers: {
+        audience: ['Beginners new to the topic', 'Practitioners who know the basics', 'Industry peers and experts'],
+        format: ['A how-to guide', 'A list of tips', 'An opinion piece', 'A case study'],
+        length: ['About 600 words', 'About 1,200 words', 'About 2,000 words']
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Programming: writing, reviewing and debugging code
+ */
+module.exports = {
+    name: 'code',
+    label: 'Software Development',
+    keywords: {
+        code: 3,
+        programming: 3,
+        debug: 3,
+        refactor: 3,
+        function: 2,
+        script: 2,
+        bug: 2,
+        software: 2,
+        algorithm: 2,
+        javascript: 3,
+        typescript: 3,
+        python: 3,
+        java: 3,
+        sql: 2,
+        api: 1,
+        'unit test': 3
+    },
+    patterns: [
+        { pattern: /```/, weight: 3 },
+        { pattern: /\b[a-zA-Z_]\w*\([^)]*\)/, weight: 2 }
+    ],
+    advice: [
+        'Prioritize clarity, include practical implementation details, and use specific examples.',
+        'State the language, versions and constraints the code must work with.'
+    ],
+    bannedTerms: ['simply', 'obviously', 'trivially', 'just works'],
+    clarifyingAnswers: {
+        scope: ['A new function or module', 'A fix for a bug', 'A refactor of existing code', 'Tests for existing code'],
+        audience: ['Myself, to use in a project', 'A teammate reviewing the code', 'Students learning the language'],
+        format: ['Code only', 'Code with a short explanation', 'Step-by-step walkthrough', 'Code with unit tests']
+    }
+};
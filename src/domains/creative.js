@@ -0,0 +1,32 @@
+/**
+ * Creative writing: fiction, poetry and scripts
+ */
+module.exports = {
+    name: 'creative',
+    label: 'Creative Writing',
+    keywords: {
+        story: 3,
+        poem: 3,
+        novel: 3,
+        fiction: 3,
+        screenplay: 3,
+        creative: 2,
+        character: 2,
+        plot: 2,
+        fantasy: 2,
+        dialogue: 1
+    },
+    patterns: [
+        { pattern: /\bshort stor(?:y|ies)\b/i, weight: 2 }
+    ],
+    advice: [
+        'Use specific sensory details and avoid predictable plot structures.',
+        'Give characters concrete wants and let them show emotion through action.'
+    ],
+    bannedTerms: ['once upon a time', 'little did they know', 'suddenly', 'a chill ran down'],
+    clarifyingAnswers: {
+        format: ['A short story', 'A poem', 'A scene or script', 'Flash fiction under 500 words'],
+        audience: ['Children', 'Young adults', 'Adult readers'],
+        tone: ['Whimsical', 'Dark and suspenseful', 'Heartfelt', 'Humorous']
+    }
+};
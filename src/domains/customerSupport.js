@@ -0,0 +1,36 @@
+/**
+ * Customer support: replies, tickets and help articles
+ */
+module.exports = {
+    name: 'customer_support',
+    label: 'Customer Support',
+    keywords: {
+        'customer support': 4,
+        'customer service': 4,
+        ticket: 3,
+        complaint: 3,
+        refund: 3,
+        helpdesk: 3,
+        'help desk': 3,
+        troubleshoot: 2,
+        escalate: 2,
+        faq: 2,
+        chatbot: 2,
+        customer: 2,
+        apology: 2,
+        sla: 2
+    },
+    patterns: [
+        { pattern: /\b(?:reply|respond) to (?:a|an|this|the) (?:customer|user|angry|upset)\b/i, weight: 3 }
+    ],
+    advice: [
+        "Acknowledge the customer's specific issue before offering a solution.",
+        'Give concrete next steps, timelines and who owns each one.'
+    ],
+    bannedTerms: ['we apologize for any inconvenience', 'your call is important to us', 'as per our policy', 'please be advised'],
+    clarifyingAnswers: {
+        audience: ['An upset customer', 'A new customer with a question', 'A business client', 'An internal support agent'],
+        purpose: ['Resolve a complaint', 'Answer a question', 'Explain a delay or outage', 'Document a fix in the help center'],
+        tone: ['Empathetic and apologetic', 'Friendly and concise', 'Formal']
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Data analysis: statistics, datasets, dashboards and reporting
+ */
+module.exports = {
+    name: 'data_analysis',
+    label: 'Data Analysis',
+    keywords: {
+        dataset: 3,
+        statistics: 3,
+        statistical: 3,
+        regression: 3,
+        correlation: 3,
+        pandas: 3,
+        csv: 3,
+        data: 2,
+        spreadsheet: 2,
+        dashboard: 2,
+        metrics: 2,
+        kpi: 2,
+        chart: 2,
+        visualization: 2,
+        analysis: 1,
+        trend: 1
+    },
+    patterns: [
+        { pattern: /\b\d+(?:\.\d+)?%/, weight: 1 },
+        { pattern: /\b(?:mean|median|standard deviation|p-value)\b/i, weight: 2 }
+    ],
+    advice: [
+        'Describe the dataset (source, size, columns and time range) before asking for conclusions.',
+        'Ask for the method and its assumptions alongside the results, and separate correlation from causation.'
+    ],
+    bannedTerms: ['data-driven insights', 'actionable insights', 'unlock the power of data', 'deep dive'],
+    clarifyingAnswers: {
+        scope: ['Sales or revenue data', 'Survey results', 'Product usage metrics', 'Financial statements'],
+        audience: ['Executives', 'Analysts and data scientists', 'Non-technical stakeholders'],
+        format: ['A short written summary', 'A table of key figures', 'Charts to build', 'Code for the analysis']
+    }
+};
@@ -0,0 +1,35 @@
+/**
+ * Education: lessons, courses and assessments
+ */
+module.exports = {
+    name: 'education',
+    label: 'Education',
+    keywords: {
+        lesson: 3,
+        curriculum: 3,
+        quiz: 3,
+        lecture: 3,
+        homework: 3,
+        classroom: 3,
+        students: 3,
+        'learning objectives': 3,
+        course: 2,
+        exam: 2,
+        teach: 2,
+        tutor: 2,
+        syllabus: 3
+    },
+    patterns: [
+        { pattern: /\b(?:grade|year)\s+\d{1,2}\b/i, weight: 2 }
+    ],
+    advice: [
+        "State the learners' level and what they should be able to do afterwards.",
+        'Build from prior knowledge with worked examples and a check for understanding.'
+    ],
+    bannedTerms: ['fun and engaging', 'learning journey', 'unlock your potential', '21st-century skills'],
+    clarifyingAnswers: {
+        audience: ['Primary school pupils', 'High school students', 'University students', 'Adult learners'],
+        format: ['A lesson plan', 'An explanation with examples', 'A quiz with answers', 'Practice exercises'],
+        length: ['A 15-minute activity', 'A 45-minute lesson', 'A week-long unit']
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * Image generation: prompts for text-to-image models
+ */
+module.exports = {
+    name: 'image_generation',
+    label: 'Image Generation',
+    keywords: {
+        midjourney: 4,
+        'dall-e': 4,
+        'stable diffusion': 4,
+        illustration: 3,
+        image: 2,
+        picture: 2,
+        photo: 2,
+        render: 2,
+        portrait: 2,
+        logo: 2,
+        artwork: 2,
+        wallpaper: 2,
+        lighting: 2,
+        'aspect ratio': 3
+    },
+    patterns: [
+        { pattern: /\b(?:4k|8k|hdr|bokeh|35mm)\b/i, weight: 2 }
+    ],
+    advice: [
+        'Describe subject, composition, lighting, color palette and style in concrete visual terms.',
+        'State the aspect ratio and anything that should be left out of the image.'
+    ],
+    bannedTerms: ['beautiful', 'stunning', 'masterpiece', 'hyper-realistic 8k']
+};
@@ -0,0 +1,106 @@
+/**
+ * Domain Pack Registry
+ * Every module in this directory exports a domain pack and is registered automatically.
+ * Packs from another directory can be added with DOMAIN_PACKS_DIR.
+ *
+ * A domain pack contains:
+ * - name {string}                          Unique domain name returned in responses
+ * - label {string}                         Human-readable name used in the writing guidance
+ * - keywords {Object<string, number>}      Words or phrases and the score each adds when present
+ * - patterns {Array<Object>}               Optional regex features ({ pattern, weight })
+ * - advice {Array<string>}                 Domain-specific writing advice
+ * - bannedTerms {Array<string>}            Terms to avoid in this domain
+ * - clarifyingAnswers {Object}            Optional suggested answers by clarifying question type
+ *                                          (scope, audience, purpose, format, length, tone)
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+class DomainRegistry {
+    constructor() {
+        this.domains = new Map();
+    }
+
+    /**
+     * Register a domain pack
+     * @param {Object} pack - Domain pack
+     * @returns {Object} The registered pack
+     */
+    register(pack) {
+        if (!pack || typeof pack.name !== 'string' || !pack.name) {
+            throw new Error('Domain pack must have a name');
+        }
+
+        const hasFeatures = Object.keys(pack.keywords || {}).length > 0 || (pack.patterns || []).length > 0;
+        if (!hasFeatures) {
+            throw new Error(`Domain pack '${pack.name}' must define keywords or patterns`);
+        }
+
+        if (!Array.isArray(pack.advice) || !Array.isArray(pack.bannedTerms)) {
+            throw new Error(`Domain pack '${pack.name}' must define advice and bannedTerms lists`);
+        }
+
+        this.domains.set(pack.name, {
+            label: pack.name,
+            keywords: {},
+            patterns: [],
+            ...pack
+        });
+        return this.domains.get(pack.name);
+    }
+
+    /**
+     * Remove a domain pack from the registry
+     * @param {string} name - Domain name
+     * @returns {boolean} True if a pack was removed
+     */
+    unregister(name) {
+        return this.domains.delete(name);
+    }
+
+    /**
+     * Get a domain pack by name
+     * @param {string} name - Domain name
+     * @returns {Object|null} Domain pack or null if not registered
+     */
+    get(name) {
+        return this.domains.get(name) || null;
+    }
+
+    /**
+     * List registered domain packs
+     * @returns {Array<Object>} Domain packs
+     */
+    list() {
+        return Array.from(this.domains.values());
+    }
+
+    /**
+     * Register every domain pack found in a directory
+     * @param {string} directory - Directory containing domain pack modules
+     */
+    loadFromDirectory(directory) {
+        const files = fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js') && file !== 'index.js')
+            .sort();
+
+        for (const file of files) {
+            try {
+                this.register(require(path.join(directory, file)));
+            } catch (error) {
+                console.error(`Failed to load domain pack from ${file}:`, error.message);
+            }
+        }
+    }
+}
+
+const registry = new DomainRegistry();
+registry.loadFromDirectory(__dirname);
+
+if (config.domains.packsDir) {
+    registry.loadFromDirectory(path.resolve(config.domains.packsDir));
+}
+
+module.exports = registry;
+module.exports.DomainRegistry = DomainRegistry;
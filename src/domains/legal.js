@@ -0,0 +1,38 @@
+/**
+ * Legal: contracts, policies and compliance
+ */
+module.exports = {
+    name: 'legal',
+    label: 'Legal',
+    keywords: {
+        legal: 3,
+        contract: 3,
+        clause: 3,
+        liability: 3,
+        jurisdiction: 3,
+        lawsuit: 3,
+        lawyer: 3,
+        attorney: 3,
+        nda: 3,
+        gdpr: 3,
+        'terms of service': 3,
+        'privacy policy': 3,
+        agreement: 2,
+        compliance: 2,
+        regulation: 2
+    },
+    patterns: [
+        { pattern: /\b(?:section|article)\s+\d+(?:\.\d+)*\b/i, weight: 1 }
+    ],
+    advice: [
+        'Name the jurisdiction and governing law the answer should assume.',
+        'Separate general information from legal advice and flag where a qualified lawyer is needed.',
+        'Quote the specific clause or statute being discussed.'
+    ],
+    bannedTerms: ['ironclad', 'bulletproof', 'legally airtight', 'guaranteed to hold up'],
+    clarifyingAnswers: {
+        scope: ['A contract clause', 'A privacy policy or terms of service', 'A compliance question', 'A dispute or claim'],
+        audience: ['A lawyer', 'A business owner without legal training', 'Consumers or end users'],
+        purpose: ['Draft a document', 'Review a document for risks', 'Explain the rules in plain language']
+    }
+};
@@ -0,0 +1,36 @@
+/**
+ * Marketing: campaigns, ads, landing pages and product launches
+ */
+module.exports = {
+    name: 'marketing',
+    label: 'Marketing',
+    keywords: {
+        marketing: 3,
+        copywriting: 3,
+        campaign: 2,
+        ad: 2,
+        advertising: 3,
+        'landing page': 3,
+        'product launch': 3,
+        conversion: 2,
+        brand: 2,
+        seo: 2,
+        'call to action': 2,
+        cta: 2,
+        slogan: 3,
+        tagline: 3
+    },
+    patterns: [
+        { pattern: /\b(?:sales|product) page\b/i, weight: 3 }
+    ],
+    advice: [
+        'Lead with a specific customer problem and a concrete, verifiable benefit.',
+        'Give one clear call to action and name the audience segment it targets.'
+    ],
+    bannedTerms: ['game-changing', 'best-in-class', 'world-class', 'act now', 'revolutionary'],
+    clarifyingAnswers: {
+        audience: ['New customers', 'Existing customers', 'Business buyers', 'A specific niche or segment'],
+        purpose: ['Drive sign-ups or sales', 'Announce a launch', 'Build brand awareness', 'Win back lapsed customers'],
+        format: ['Landing page copy', 'A social media post', 'An ad with headline and body', 'An email campaign']
+    }
+};
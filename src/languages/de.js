@@ -0,0 +1,64 @@
+/**
+ * German
+ */
+module.exports = {
+    code: 'de',
+    name: 'German',
+    detection: {
+        words: [
+            'der', 'die', 'das', 'und', 'ist', 'sind', 'ein', 'eine', 'einen', 'nicht', 'mit', 'für',
+            'über', 'auf', 'von', 'zu', 'den', 'dem', 'ich', 'wir', 'mein', 'unser', 'wie', 'warum', 'sehr',
+            'schreibe', 'schreib', 'erkläre', 'erstelle', 'beschreibe', 'gib', 'fasse', 'hilf', 'bitte'
+        ],
+        characters: /[ßäöü]/g
+    },
+    overusedWords: [
+        'innovativ', 'revolutionär', 'bahnbrechend', 'disruptiv', 'hochmodern', 'ganzheitlich',
+        'nahtlos', 'robust', 'skalierbar', 'Synergie', 'zukunftssicher', 'wegweisend', 'einzigartig',
+        'unglaublich', 'außergewöhnlich', 'herausragend', 'optimieren', 'transformativ'
+    ],
+    overusedPhrases: [
+        'In der heutigen schnelllebigen Welt...',
+        'Im digitalen Zeitalter...',
+        'Mehr denn je...',
+        'Stellen Sie sich eine Welt vor, in der...',
+        'Tauchen wir ein in...',
+        'Es ist wichtig zu beachten, dass...',
+        'Es ist kein Geheimnis, dass...',
+        'In diesem Artikel werden wir...',
+        'Bringen Sie Ihr [X] auf das nächste Level',
+        'Letzten Endes...',
+        'Ohne weitere Umschweife...'
+    ],
+    guidance: {
+        title: 'SCHREIBHINWEISE',
+        natural: 'NATÜRLICH KLINGEN',
+        naturalTips: ['Variiere den Satzbau', 'Vermeide übermäßige Relativierungen', 'Verwende konkrete Sprache', 'Füge konkrete Beispiele ein'],
+        overused: 'ABGENUTZTE SPRACHE VERMEIDEN',
+        specific: 'KONKRET SEIN',
+        specificTips: ['Nenne konkrete Details', 'Verwende präzise Fachbegriffe', 'Erkläre komplexe Ideen verständlich'],
+        domain: 'HINWEISE ZUM FACHGEBIET'
+    },
+    fallback: {
+        role: 'Du bist ein kompetenter Assistent, der präzise und praxisnahe Antworten gibt.',
+        context: [
+            'Es ist keine Zielgruppe angegeben, also schreibe für informierte Leser, die keine Fachleute sind.',
+            'Dir liegt nur diese Anweisung vor, also nenne jede Annahme, die du triffst.'
+        ],
+        constraints: [
+            'Sei konkret und ziehe Beispiele allgemeinen Aussagen vor.'
+        ],
+        avoidTerms: 'Vermeide Modewörter wie {terms}.',
+        outputFormat: [
+            'Beginne mit der direkten Antwort.',
+            'Ergänze danach die Details, die sie stützen.'
+        ],
+        taskLabel: 'Aufgabe',
+        conversational: {
+            opening: 'Ich brauche deine Hilfe bei dieser Anfrage.',
+            reminder: 'Bitte beachte dabei Folgendes.',
+            closing: 'Danke!'
+        },
+        imageDescriptors: ['sehr detailliert', 'ausgewogene Komposition', 'weiches natürliches Licht', 'scharfer Fokus']
+    }
+};
@@ -0,0 +1,28 @@
+/**
+ * English: the language of the prompt dictionary and the rule-based enhancer
+ */
+const path = require('path');
+const promptDictionary = require(path.resolve(__dirname, '../../frontend/prompt-dictionary'));
+
+module.exports = {
+    code: 'en',
+    name: 'English',
+    detection: {
+        words: [
+            'the', 'and', 'of', 'to', 'is', 'are', 'for', 'with', 'that', 'this', 'about', 'how', 'what',
+            'why', 'my', 'our', 'your', 'it', 'be', 'on', 'from', 'write', 'explain', 'create', 'make',
+            'describe', 'give', 'list', 'help', 'please', 'summarize', 'generate'
+        ]
+    },
+    overusedWords: promptDictionary.overused_words,
+    overusedPhrases: promptDictionary.overused_phrases,
+    guidance: {
+        title: 'WRITING GUIDANCE',
+        natural: 'SOUND NATURAL',
+        naturalTips: ['Vary sentence structure', 'Avoid excessive hedging', 'Use concrete language', 'Include specific examples'],
+        overused: 'AVOID OVERUSED LANGUAGE',
+        specific: 'BE SPECIFIC',
+        specificTips: ['Provide concrete details', 'Use precise terminology', 'Explain complex ideas clearly'],
+        domain: 'DOMAIN-SPECIFIC ADVICE'
+    }
+};
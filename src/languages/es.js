@@ -0,0 +1,66 @@
+/**
+ * Spanish
+ */
+module.exports = {
+    code: 'es',
+    name: 'Spanish',
+    detection: {
+        words: [
+            'el', 'la', 'los', 'las', 'del', 'que', 'y', 'en', 'un', 'una', 'por', 'con', 'para', 'sobre',
+            'es', 'son', 'mi', 'nuestro', 'cómo', 'qué', 'pero', 'muy', 'también', 'escribe',
+            'explica', 'crea', 'haz', 'describa', 'dame', 'resume', 'genera', 'ayúdame', 'quiero'
+        ],
+        characters: /[ñ¿¡]/g
+    },
+    overusedWords: [
+        'innovador', 'revolucionario', 'disruptivo', 'vanguardista', 'de vanguardia', 'sin fisuras',
+        'integral', 'holístico', 'robusto', 'escalable', 'sinergia', 'potenciar', 'apalancar',
+        'empoderar', 'transformador', 'increíble', 'extraordinario', 'excepcional', 'impresionante',
+        'de última generación'
+    ],
+    overusedPhrases: [
+        'En el mundo acelerado de hoy...',
+        'En la era digital actual...',
+        'Ahora más que nunca...',
+        'Imagina un mundo donde...',
+        'Sumerjámonos en...',
+        'No es ningún secreto que...',
+        'Cabe destacar que...',
+        'Es importante señalar que...',
+        'En este artículo exploraremos...',
+        'Lleva tu [X] al siguiente nivel',
+        'Al fin y al cabo...',
+        'Sin más preámbulos...'
+    ],
+    guidance: {
+        title: 'GUÍA DE REDACCIÓN',
+        natural: 'SUENA NATURAL',
+        naturalTips: ['Varía la estructura de las frases', 'Evita las evasivas excesivas', 'Usa un lenguaje concreto', 'Incluye ejemplos específicos'],
+        overused: 'EVITA EL LENGUAJE TRILLADO',
+        specific: 'SÉ ESPECÍFICO',
+        specificTips: ['Aporta detalles concretos', 'Usa terminología precisa', 'Explica con claridad las ideas complejas'],
+        domain: 'CONSEJOS DEL ÁMBITO'
+    },
+    fallback: {
+        role: 'Eres un asistente experto que da respuestas precisas y prácticas.',
+        context: [
+            'No se especifica el público, así que escribe para un lector informado que no es especialista.',
+            'Solo dispones de esta instrucción, así que indica cualquier suposición que hagas.'
+        ],
+        constraints: [
+            'Sé específico y prefiere ejemplos concretos a afirmaciones generales.'
+        ],
+        avoidTerms: 'Evita palabras de moda como {terms}.',
+        outputFormat: [
+            'Empieza con la respuesta directa.',
+            'Continúa con los detalles que la respaldan.'
+        ],
+        taskLabel: 'Tarea',
+        conversational: {
+            opening: 'Necesito tu ayuda con esta petición.',
+            reminder: 'Mientras trabajas en ella, ten en cuenta lo siguiente.',
+            closing: '¡Gracias!'
+        },
+        imageDescriptors: ['muy detallado', 'composición equilibrada', 'luz natural suave', 'enfoque nítido']
+    }
+};
@@ -0,0 +1,65 @@
+/**
+ * French
+ */
+module.exports = {
+    code: 'fr',
+    name: 'French',
+    detection: {
+        words: [
+            'le', 'les', 'des', 'du', 'et', 'est', 'sont', 'une', 'dans', 'pour', 'avec', 'sur', 'qui',
+            'que', 'pas', 'ce', 'cette', 'mon', 'notre', 'vous', 'nous', 'comment', 'pourquoi', 'très',
+            'écris', 'écrivez', 'explique', 'expliquez', 'crée', 'créez', 'décris', 'donne', 'résume',
+            'rédige', 'rédigez', 'aide-moi'
+        ],
+        characters: /[çœêèëîïûù]/g
+    },
+    overusedWords: [
+        'innovant', 'révolutionnaire', 'disruptif', 'de pointe', 'incontournable', 'holistique',
+        'robuste', 'évolutif', 'synergie', 'optimiser', 'booster', 'transformer', 'incroyable',
+        'exceptionnel', 'extraordinaire', 'sans précédent', 'clé en main', 'dernier cri'
+    ],
+    overusedPhrases: [
+        'Dans le monde en constante évolution d\'aujourd\'hui...',
+        'À l\'ère du numérique...',
+        'Aujourd\'hui plus que jamais...',
+        'Imaginez un monde où...',
+        'Plongeons dans...',
+        'Il est important de noter que...',
+        'Ce n\'est un secret pour personne que...',
+        'Dans cet article, nous allons voir...',
+        'Passez votre [X] au niveau supérieur',
+        'En fin de compte...',
+        'Sans plus attendre...'
+    ],
+    guidance: {
+        title: 'CONSEILS DE RÉDACTION',
+        natural: 'ÉCRIS DE FAÇON NATURELLE',
+        naturalTips: ['Varie la structure des phrases', 'Évite les précautions excessives', 'Utilise un langage concret', 'Inclus des exemples précis'],
+        overused: 'ÉVITE LE LANGAGE GALVAUDÉ',
+        specific: 'SOIS PRÉCIS',
+        specificTips: ['Donne des détails concrets', 'Utilise une terminologie exacte', 'Explique clairement les idées complexes'],
+        domain: 'CONSEILS DU DOMAINE'
+    },
+    fallback: {
+        role: 'Tu es un assistant compétent qui donne des réponses précises et pratiques.',
+        context: [
+            'Aucun public n\'est précisé : écris pour un lecteur informé qui n\'est pas spécialiste.',
+            'Tu ne disposes que de cette consigne, alors énonce toute hypothèse que tu fais.'
+        ],
+        constraints: [
+            'Sois précis et préfère des exemples concrets aux affirmations générales.'
+        ],
+        avoidTerms: 'Évite les mots à la mode comme {terms}.',
+        outputFormat: [
+            'Commence par la réponse directe.',
+            'Poursuis avec les détails qui l\'étayent.'
+        ],
+        taskLabel: 'Tâche',
+        conversational: {
+            opening: 'J\'ai besoin de ton aide pour cette demande.',
+            reminder: 'Pendant que tu y travailles, garde ces points en tête.',
+            closing: 'Merci !'
+        },
+        imageDescriptors: ['très détaillé', 'composition équilibrée', 'lumière naturelle douce', 'mise au point nette']
+    }
+};
@@ -0,0 +1,109 @@
+/**
+ * Language Pack Registry
+ * Every module in this directory exports a language pack and is registered automatically.
+ * Packs from another directory can be added with LANGUAGE_PACKS_DIR.
+ *
+ * A language pack contains:
+ * - code {string}                          ISO 639-1 code returned in responses and accepted as targetLanguage
+ * - name {string}                          English name used in the instructions to the model
+ * - detection {Object}                     Evidence for the language:
+ *     - words {Array<string>}              Common function words and imperative verbs
+ *     - characters {RegExp}                Optional letters that are typical of the language
+ *     - script {RegExp}                    Optional characters of a script only this language uses
+ * - overusedWords {Array<string>}          Buzzwords listed in the writing guidance
+ * - overusedPhrases {Array<string>}        Stock phrases listed in the writing guidance
+ * - guidance {Object}                      Headings and tips of the writing guidance block
+ * - fallback {Object}                      Optional sections for the offline provider; English has
+ *                                          none because the rule-based enhancer is written in it
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+class LanguageRegistry {
+    constructor() {
+        this.languages = new Map();
+    }
+
+    /**
+     * Register a language pack
+     * @param {Object} pack - Language pack
+     * @returns {Object} The registered pack
+     */
+    register(pack) {
+        if (!pack || typeof pack.code !== 'string' || !/^[a-z]{2}$/.test(pack.code)) {
+            throw new Error('Language pack must have a two-letter code');
+        }
+
+        const { detection = {} } = pack;
+        if (!(Array.isArray(detection.words) && detection.words.length > 0) && !(detection.script instanceof RegExp)) {
+            throw new Error(`Language pack '${pack.code}' must define detection words or a script`);
+        }
+
+        if (!Array.isArray(pack.overusedWords) || !Array.isArray(pack.overusedPhrases) || !pack.guidance?.title) {
+            throw new Error(`Language pack '${pack.code}' must define overusedWords, overusedPhrases and guidance`);
+        }
+
+        this.languages.set(pack.code, {
+            name: pack.code,
+            fallback: null,
+            ...pack,
+            detection: { words: [], ...detection }
+        });
+        return this.languages.get(pack.code);
+    }
+
+    /**
+     * Remove a language pack from the registry
+     * @param {string} code - Language code
+     * @returns {boolean} True if a pack was removed
+     */
+    unregister(code) {
+        return this.languages.delete(code);
+    }
+
+    /**
+     * Get a language pack by code
+     * @param {string} code - Language code
+     * @returns {Object|null} Language pack or null if not registered
+     */
+    get(code) {
+        return typeof code === 'string' ? this.languages.get(code.toLowerCase()) || null : null;
+    }
+
+    /**
+     * List registered language packs
+     * @returns {Array<Object>} Language packs
+     */
+    list() {
+        return Array.from(this.languages.values());
+    }
+
+    /**
+     * Register every language pack found in a directory
+     * @param {string} directory - Directory containing language pack modules
+     */
+    loadFromDirectory(directory) {
+        const files = fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js') && file !== 'index.js')
+            .sort();
+
+        for (const file of files) {
+            try {
+                this.register(require(path.join(directory, file)));
+            } catch (error) {
+                console.error(`Failed to load language pack from ${file}:`, error.message);
+            }
+        }
+    }
+}
+
+const registry = new LanguageRegistry();
+registry.loadFromDirectory(__dirname);
+
+if (config.languages.packsDir) {
+    registry.loadFromDirectory(path.resolve(config.languages.packsDir));
+}
+
+module.exports = registry;
+module.exports.LanguageRegistry = LanguageRegistry;
@@ -0,0 +1,57 @@
+/**
+ * Japanese: recognized by its kana, which no other language uses
+ */
+module.exports = {
+    code: 'ja',
+    name: 'Japanese',
+    detection: {
+        script: /[\u3040-\u30ff]/g
+    },
+    overusedWords: [
+        '革新的', '画期的', '最先端', 'シームレス', '包括的', 'ホリスティック', '堅牢', 'スケーラブル',
+        'シナジー', 'ソリューション', '次世代', '圧倒的', '驚異的', '唯一無二', 'ゲームチェンジャー'
+    ],
+    overusedPhrases: [
+        '目まぐるしく変化する現代社会において…',
+        'デジタル時代の今…',
+        '今こそ…',
+        '〜と言っても過言ではありません',
+        '〜ではないでしょうか',
+        'いかがでしたか？',
+        'この記事では〜について解説します',
+        '[X]を次のレベルへ',
+        '結論から言うと…',
+        'ご存じの通り…'
+    ],
+    guidance: {
+        title: '文章ガイド',
+        natural: '自然な文章にする',
+        naturalTips: ['文の構造に変化をつける', '過度な予防線を避ける', '具体的な言葉を使う', '具体例を入れる'],
+        overused: '使い古された表現を避ける',
+        specific: '具体的に書く',
+        specificTips: ['具体的な詳細を示す', '正確な用語を使う', '複雑な考えを分かりやすく説明する'],
+        domain: '分野別のアドバイス'
+    },
+    fallback: {
+        role: 'あなたは正確で実用的な回答をする知識豊富なアシスタントです。',
+        context: [
+            '対象読者は指定されていないため、専門家ではないが知識のある読者に向けて書いてください。',
+            '手元にあるのはこの依頼だけなので、置いた前提はすべて明記してください。'
+        ],
+        constraints: [
+            '一般論よりも具体例を優先し、具体的に書いてください。'
+        ],
+        avoidTerms: '{terms}のような流行語は避けてください。',
+        outputFormat: [
+            'まず結論を述べてください。',
+            '続けて根拠となる詳細を示してください。'
+        ],
+        taskLabel: 'タスク',
+        conversational: {
+            opening: 'この依頼について手伝ってください。',
+            reminder: '作業の際は次の点に注意してください。',
+            closing: 'よろしくお願いします。'
+        },
+        imageDescriptors: ['高精細', 'バランスの取れた構図', '柔らかな自然光', 'シャープなピント']
+    }
+};
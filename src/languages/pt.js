@@ -0,0 +1,64 @@
+/**
+ * Portuguese
+ */
+module.exports = {
+    code: 'pt',
+    name: 'Portuguese',
+    detection: {
+        words: [
+            'o', 'os', 'do', 'da', 'dos', 'das', 'não', 'em', 'um', 'uma', 'com', 'para', 'sobre',
+            'é', 'são', 'meu', 'nosso', 'você', 'mas', 'muito', 'também', 'escreva',
+            'explique', 'crie', 'faça', 'descreva', 'dê', 'resuma', 'gere', 'ajude-me', 'quero'
+        ],
+        characters: /[ãõç]/g
+    },
+    overusedWords: [
+        'inovador', 'revolucionário', 'disruptivo', 'de ponta', 'holístico', 'robusto', 'escalável',
+        'sinergia', 'alavancar', 'potencializar', 'empoderar', 'transformador', 'incrível',
+        'extraordinário', 'excepcional', 'sem precedentes', 'de última geração'
+    ],
+    overusedPhrases: [
+        'No mundo acelerado de hoje...',
+        'Na era digital...',
+        'Agora mais do que nunca...',
+        'Imagine um mundo onde...',
+        'Vamos mergulhar em...',
+        'É importante notar que...',
+        'Não é segredo que...',
+        'Neste artigo, vamos explorar...',
+        'Leve seu [X] para o próximo nível',
+        'No fim das contas...',
+        'Sem mais delongas...'
+    ],
+    guidance: {
+        title: 'ORIENTAÇÕES DE ESCRITA',
+        natural: 'SOE NATURAL',
+        naturalTips: ['Varie a estrutura das frases', 'Evite ressalvas excessivas', 'Use linguagem concreta', 'Inclua exemplos específicos'],
+        overused: 'EVITE LINGUAGEM DESGASTADA',
+        specific: 'SEJA ESPECÍFICO',
+        specificTips: ['Forneça detalhes concretos', 'Use terminologia precisa', 'Explique ideias complexas com clareza'],
+        domain: 'CONSELHOS DO DOMÍNIO'
+    },
+    fallback: {
+        role: 'Você é um assistente experiente que dá respostas precisas e práticas.',
+        context: [
+            'Nenhum público foi especificado, então escreva para um leitor informado que não é especialista.',
+            'Você só tem este pedido, então declare qualquer suposição que fizer.'
+        ],
+        constraints: [
+            'Seja específico e prefira exemplos concretos a afirmações genéricas.'
+        ],
+        avoidTerms: 'Evite palavras da moda como {terms}.',
+        outputFormat: [
+            'Comece com a resposta direta.',
+            'Continue com os detalhes que a sustentam.'
+        ],
+        taskLabel: 'Tarefa',
+        conversational: {
+            opening: 'Preciso da sua ajuda com este pedido.',
+            reminder: 'Enquanto trabalha nele, tenha em mente o seguinte.',
+            closing: 'Obrigado!'
+        },
+        imageDescriptors: ['muito detalhado', 'composição equilibrada', 'luz natural suave', 'foco nítido']
+    }
+};
@@ -6,6 +6,21 @@ const router = express.Router();
 // POST /prompts - Create a new enhanced prompt
 router.post('/', promptsController.enhancePrompt);
 
+// POST /prompts/stream - Create a new enhanced prompt, streamed as Server-Sent Events
+router.post('/stream', promptsController.streamPrompt);
+
+// POST /prompts/batch - Create many enhanced prompts, each with its own result or error
+router.post('/batch', promptsController.batchPrompts);
+
+// POST /prompts/analyze - Check a prompt against the prompt dictionary
+router.post('/analyze', promptsController.analyzePrompt);
+
+// POST /prompts/score - Rate a prompt's quality without enhancing it
+router.post('/score', promptsController.scorePrompt);
+
+// GET /prompts/stats - Token usage and estimated cost since the server started
+router.get('/stats', promptsController.getStats);
+
 // GET /prompts - List enhanced prompts
 router.get('/', promptsController.listPrompts);
 
@@ -15,6 +30,18 @@ router.get('/:id', promptsController.getPrompt);
 // PUT /prompts/:id - Update a prompt
 router.put('/:id', promptsController.updatePrompt);
 
+// POST /prompts/:id/variants/:variantId/promote - Make a variant the primary enhanced text
+router.post('/:id/variants/:variantId/promote', promptsController.promoteVariant);
+
+// POST /prompts/:id/refine - Revise the enhanced text with free-text feedback
+router.post('/:id/refine', promptsController.refinePrompt);
+
+// POST /prompts/:id/answers - Enhance a prompt with the answers to its clarifying questions
+router.post('/:id/answers', promptsController.answerPrompt);
+
+// POST /prompts/:id/render - Fill the template variables of the enhanced text
+router.post('/:id/render', promptsController.renderPrompt);
+
 // DELETE /prompts/:id - Delete a prompt
 router.delete('/:id', promptsController.deletePrompt);
 
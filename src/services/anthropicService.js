@@ -0,0 +1,183 @@
+const fetch = require('node-fetch');
+const { parseEventStream } = require('../utils/sse');
+
+// Default Anthropic API endpoint and version
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API Service
+ * Direct implementation using node-fetch, following the same approach as MistralService
+ */
+class AnthropicService {
+    /**
+     * @param {string} apiKey - Anthropic API key
+     * @param {Object} [options] - Client options
+     * @param {string} [options.baseUrl] - API base URL, defaults to the public Anthropic API
+     * @param {string} [options.version] - Value of the anthropic-version header
+     */
+    constructor(apiKey, options = {}) {
+        this.apiKey = apiKey;
+        this.baseUrl = (options.baseUrl || ANTHROPIC_API_URL).replace(/\/+$/, '');
+        this.version = options.version || ANTHROPIC_VERSION;
+
+        if (!this.apiKey) {
+            throw new Error('Anthropic API Key is required');
+        }
+    }
+
+    /**
+     * Make a request to the Anthropic API
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @param {boolean} [options.stream=false] - Return the raw response so the body can be streamed
+     * @returns {Promise<Object>} Response data, or the fetch response when streaming
+     * @private
+     */
+    async _request(endpoint, options = {}) {
+        const { stream = false, ...fetchOptions } = options;
+        const url = `${this.baseUrl}/${endpoint}`;
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': this.version
+        };
+
+        const config = {
+            ...fetchOptions,
+            headers: {
+                ...headers,
+                ...fetchOptions.headers
+            },
+            // Streams are bounded by the caller's abort signal instead of a fixed timeout
+            timeout: stream ? 0 : 30000
+        };
+
+        try {
+            const response = await fetch(url, config);
+
+            if (!response.ok) {
+                throw await this._createError(response);
+            }
+
+            return stream ? response : await response.json();
+        } catch (error) {
+            if (!error.status && error.name !== 'AbortError') {
+                error.message = `Network Error: ${error.message}`;
+            }
+            console.error(`Anthropic API Error (${endpoint}):`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Map an Anthropic error response to an Error
+     * Anthropic errors look like { type: 'error', error: { type: 'rate_limit_error', message } }
+     * @param {Object} response - Failed fetch response
+     * @returns {Promise<Error>} Error with status, type, code and retryAfter set
+     * @private
+     */
+    async _createError(response) {
+        const body = await response.text();
+        let errorData;
+        try {
+            errorData = JSON.parse(body);
+        } catch (e) {
+            errorData = { error: { type: 'api_error', message: body } };
+        }
+
+        const errorType = errorData.error?.type || 'api_error';
+        const error = new Error(
+            errorData.error?.message || `Anthropic API Error: ${response.status} ${response.statusText}`
+        );
+        error.status = response.status;
+        error.type = errorType;
+        error.code = errorType;
+        error.data = errorData;
+
+        // Rate limit (429) and overloaded (529) responses tell us when to retry
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        if (!Number.isNaN(retryAfter)) {
+            error.retryAfter = retryAfter;
+        }
+
+        return error;
+    }
+
+    /**
+     * Get list of available models
+     * @returns {Promise<Object>} List of models
+     */
+    async listModels() {
+        return this._request('models');
+    }
+
+    /**
+     * Create a message with the Messages API
+     * @param {Object} params - Message parameters
+     * @param {string} params.model - Model name (e.g., 'claude-3-5-sonnet-latest')
+     * @param {string} [params.system] - System prompt, sent separately from the messages
+     * @param {Array<Object>} params.messages - Alternating user/assistant messages
+     * @param {number} [params.maxTokens=800] - Maximum number of tokens to generate (required by the API)
+     * @param {number} [params.temperature=0.7] - Temperature for sampling
+     * @param {boolean} [params.stream=false] - Whether to stream the response
+     * @param {AbortSignal} [params.signal] - Signal to cancel the request
+     * @returns {Promise<Object|AsyncGenerator<Object>>} Message response with content blocks, or stream events when streaming
+     */
+    async createMessage(params) {
+        const { model, system, messages, maxTokens = 800, temperature = 0.7, stream = false, signal } = params;
+
+        if (!model) throw new Error('Model parameter is required');
+        if (!messages || !Array.isArray(messages) || messages.length === 0) {
+            throw new Error('Messages parameter must be a non-empty array');
+        }
+
+        const requestBody = {
+            model,
+            messages,
+            max_tokens: maxTokens,
+            temperature
+        };
+        if (system) {
+            requestBody.system = system;
+        }
+        if (stream) {
+            requestBody.stream = true;
+        }
+
+        const response = await this._request('messages', {
+            method: 'POST',
+            body: JSON.stringify(requestBody),
+            stream,
+            signal
+        });
+
+        return stream ? this._streamEvents(response.body) : response;
+    }
+
+    /**
+     * Parse a Messages API event stream
+     * Errors sent mid-stream ({ type: 'error' } events) are thrown like HTTP errors
+     * @param {AsyncIterable<Buffer>} body - Response body
+     * @returns {AsyncGenerator<Object>} Stream events (message_start, content_block_delta, ...)
+     * @private
+     */
+    async *_streamEvents(body) {
+        for await (const { data } of parseEventStream(body)) {
+            const event = JSON.parse(data);
+
+            if (event.type === 'error') {
+                const error = new Error(event.error?.message || 'Anthropic stream error');
+                error.type = event.error?.type || 'api_error';
+                error.code = error.type;
+                error.status = error.type === 'overloaded_error' ? 529 : 500;
+                throw error;
+            }
+
+            yield event;
+        }
+    }
+}
+
+module.exports = AnthropicService;
@@ -0,0 +1,128 @@
+/**
+ * Clarifying questions
+ * A vague prompt ("write a blog post") leaves the enhancer to invent the audience, purpose, shape
+ * and length of the result. This local check finds what a prompt leaves out and turns the gaps
+ * into questions with suggested answers, so the extra round trip to the user only happens when a
+ * prompt is underspecified. The answers are added to the prompt before it is enhanced.
+ */
+const { scorePrompt, normalizePromptText } = require('./scoringService');
+const { classifyDomain } = require('./domainClassifier');
+
+// A prompt is underspecified when it leaves out at least this many of the core details
+// (scope, audience, purpose, format) and this many details overall
+const MIN_CORE_GAPS = 2;
+const MIN_QUESTIONS = 3;
+const MAX_QUESTIONS = 5;
+
+// Dimension scores below this count as missing
+const MISSING_THRESHOLD = 0.5;
+
+const PURPOSE_PATTERN = /\b(?:so that|in order to|goal|purpose|aim(?:ed)? (?:at|to)|to (?:help|explain|teach|convince|persuade|sell|inform|announce|compare|summarize|review|fix|debug|decide)|highlight(?:s|ing)?|emphasi[sz]e[sd]?|showcas(?:e|es|ing)|because)\b/i;
+const LENGTH_PATTERN = /\b(?:\d+[\s-]*(?:words?|sentences?|paragraphs?|characters?|items?|bullets?|points?|steps?|minutes?|pages?|lines?)|short|brief|concise|long|detailed|in-depth|one-liner|tl;?dr)\b/i;
+// Kinds of text whose shape is understood without being described
+const GENRE_PATTERN = /\b(?:blog post|article|newsletter|(?:cover )?letter|email|essay|poem|story|tweet|post|report|summary|speech|script|slogan|tagline|headline|description|review|function|class|query|test|lesson plan|quiz)s?\b/i;
+// Capitalized words inside a sentence usually name something: a product, a person, a technology
+const PROPER_NOUN_PATTERN = /(?<!^|[.!?:]\s*|\n\s*)\b[A-Z][A-Za-z0-9]+/;
+const TONE_PATTERN = /\b(?:tone|voice|formal|informal|casual|friendly|professional|humorous|funny|serious|playful|technical|conversational|empathetic|warm|neutral|persuasive)\b/i;
+
+// Details a prompt can leave out, in the order they are asked about
+const QUESTIONS = [
+    {
+        type: 'scope',
+        label: 'Topic',
+        question: 'What topic, product or example should it be about?',
+        core: true,
+        isMissing: ({ text, score }) => score.dimensions.specificity < MISSING_THRESHOLD && !PROPER_NOUN_PATTERN.test(text),
+        suggestedAnswers: ['An overview of the basics', 'One specific example or case study', 'A comparison of options', 'Recent changes and news']
+    },
+    {
+        type: 'audience',
+        label: 'Audience',
+        question: 'Who is the result for?',
+        core: true,
+        isMissing: ({ score }) => score.dimensions.audience < MISSING_THRESHOLD,
+        suggestedAnswers: ['Beginners', 'Experienced practitioners', 'Managers and decision makers', 'A general audience']
+    },
+    {
+        type: 'purpose',
+        label: 'Purpose',
+        question: 'What should the result achieve?',
+        core: true,
+        isMissing: ({ text }) => !PURPOSE_PATTERN.test(text),
+        suggestedAnswers: ['Explain or teach something', 'Persuade the reader to act', 'Inform about an update', 'Help make a decision']
+    },
+    {
+        type: 'format',
+        label: 'Format',
+        question: 'What shape should the response take?',
+        core: true,
+        isMissing: ({ text, score }) => score.dimensions.outputFormat < MISSING_THRESHOLD && !GENRE_PATTERN.test(text),
+        suggestedAnswers: ['A few paragraphs', 'A bulleted list', 'Step-by-step instructions', 'A table']
+    },
+    {
+        type: 'length',
+        label: 'Length',
+        question: 'How long should it be?',
+        isMissing: ({ text }) => !LENGTH_PATTERN.test(text),
+        suggestedAnswers: ['Under 100 words', 'About 300 words', 'About 1,000 words']
+    },
+    {
+        type: 'tone',
+        label: 'Tone',
+        question: 'What tone should it have?',
+        isMissing: ({ text }) => !TONE_PATTERN.test(text),
+        suggestedAnswers: ['Friendly and casual', 'Professional', 'Technical and precise', 'Playful']
+    }
+];
+
+/**
+ * Check whether a prompt is specific enough to enhance, and what to ask if it is not
+ * Length and tone are only asked about along with the core details, which on their own do not
+ * make a prompt underspecified. Questions are asked most important first. Domain
+ * packs can replace the suggested answers for a type of question (clarifyingAnswers).
+ * @param {string} text - Prompt text
+ * @returns {Object} { underspecified, domain, questions } where questions ({ id, type, question,
+ *   suggestedAnswers }) is empty unless the prompt is underspecified
+ */
+function assessPrompt(text) {
+    const normalized = normalizePromptText(text);
+    const context = { text: normalized, score: scorePrompt(normalized) };
+    const missing = QUESTIONS.filter(question => question.isMissing(context));
+
+    const { domain } = classifyDomain(normalized);
+    const domainAnswers = (domain && domain.clarifyingAnswers) || {};
+
+    const coreGaps = missing.filter(question => question.core).length;
+    const underspecified = coreGaps >= MIN_CORE_GAPS && missing.length >= MIN_QUESTIONS;
+    const questions = underspecified
+        ? missing.slice(0, MAX_QUESTIONS).map((question, index) => ({
+            id: `q${index + 1}`,
+            type: question.type,
+            question: question.question,
+            suggestedAnswers: domainAnswers[question.type] || question.suggestedAnswers
+        }))
+        : [];
+
+    return { underspecified, domain: domain ? domain.name : null, questions };
+}
+
+/**
+ * Add the answers to clarifying questions to a prompt
+ * @param {string} text - Prompt text
+ * @param {Array<Object>} questions - Questions that were asked
+ * @param {Object<string, string>} answers - Answers by question id; unanswered questions are left out
+ * @returns {string} Prompt with the answered details appended
+ */
+function applyAnswers(text, questions, answers) {
+    const labels = Object.fromEntries(QUESTIONS.map(question => [question.type, question.label]));
+    const details = questions
+        .filter(question => typeof answers[question.id] === 'string' && answers[question.id].trim())
+        .map(question => `- ${labels[question.type]}: ${answers[question.id].trim()}`);
+
+    return details.length > 0 ? `${text}\n\nDetails:\n${details.join('\n')}` : text;
+}
+
+module.exports = {
+    assessPrompt,
+    applyAnswers
+};
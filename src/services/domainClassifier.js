@@ -0,0 +1,85 @@
+/**
+ * Domain classifier
+ * Scores a prompt against every registered domain pack using keyword and regex features
+ * and picks the highest-scoring domain.
+ */
+const domainRegistry = require('../domains');
+
+// Score below which no domain is reported
+const MIN_SCORE = 2;
+
+// Score at which a clear winner is reported with full confidence
+const STRONG_SCORE = 6;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function _escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Score a text against one domain pack
+ * Each keyword and pattern counts once, however often it appears.
+ * @param {string} text - Text to score
+ * @param {Object} pack - Domain pack
+ * @returns {Object} { score, matches } where matches lists the features that fired
+ * @private
+ */
+function _scoreDomain(text, pack) {
+    const matches = [];
+    let score = 0;
+
+    for (const [keyword, weight] of Object.entries(pack.keywords)) {
+        // Allow simple plurals so "contracts" counts for "contract"
+        const pattern = new RegExp(`(?<![\\w-])${_escapeRegExp(keyword)}(?:s|es)?(?![\\w-])`, 'i');
+        if (pattern.test(text)) {
+            score += weight;
+            matches.push(keyword);
+        }
+    }
+
+    for (const { pattern, weight } of pack.patterns) {
+        if (pattern.test(text)) {
+            score += weight;
+            matches.push(pattern.source);
+        }
+    }
+
+    return { score, matches };
+}
+
+/**
+ * Classify a prompt into a domain
+ * Confidence combines how far the winner is ahead of the runner-up with how strong its
+ * evidence is, so a single weak keyword never reports high confidence.
+ * @param {string} text - Prompt text
+ * @returns {Object} { domain, confidence, scores } where domain is the winning pack or null
+ */
+function classifyDomain(text) {
+    const scores = domainRegistry.list()
+        .map(pack => ({ name: pack.name, ..._scoreDomain(text || '', pack) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    const [top, runnerUp] = scores;
+    if (!top || top.score < MIN_SCORE) {
+        return { domain: null, confidence: 0, scores };
+    }
+
+    const margin = top.score / (top.score + (runnerUp ? runnerUp.score : 0));
+    const strength = Math.min(1, top.score / STRONG_SCORE);
+
+    return {
+        domain: domainRegistry.get(top.name),
+        confidence: Math.round(margin * strength * 100) / 100,
+        scores
+    };
+}
+
+module.exports = {
+    classifyDomain
+};
@@ -0,0 +1,377 @@
+/**
+ * Output format definitions for enhanced prompts
+ * Each format has its own system instructions and a post-processing step
+ * that checks the model output actually has the requested shape. Fenced code
+ * blocks are left as they are, whatever the format.
+ */
+
+const DEFAULT_FORMAT = 'structured';
+
+// Canonical sections used by the structured format, with the headings models tend to use for them.
+// Optional sections are recognized when present but not asked for.
+const STRUCTURED_SECTIONS = [
+    { key: 'role', label: 'ROLE', aliases: ['role', 'persona'] },
+    { key: 'context', label: 'CONTEXT', aliases: ['context', 'background'] },
+    { key: 'task', label: 'TASK', aliases: ['task', 'objective', 'goal', 'instructions'] },
+    { key: 'constraints', label: 'CONSTRAINTS', aliases: ['constraints', 'requirements', 'guidelines', 'rules'] },
+    { key: 'outputFormat', label: 'OUTPUT FORMAT', aliases: ['output format', 'response format', 'format', 'output'] },
+    { key: 'examples', label: 'EXAMPLES', aliases: ['examples', 'example'], optional: true }
+];
+
+const FORMATS = {
+    paragraph: {
+        description: 'Flowing prose without headings or lists',
+        instructions: `OUTPUT FORMAT: PARAGRAPH
+- Write the enhanced prompt as one to three paragraphs of plain prose
+- Do not use headings, bullet points or numbered lists
+- Work the role, context, task, constraints and expected response format into the sentences`
+    },
+    bullet: {
+        description: 'One instruction per bullet point',
+        instructions: `OUTPUT FORMAT: BULLET POINTS
+- Write the enhanced prompt as a list of bullet points, one instruction per line
+- Start every line with "- "
+- Do not add headings, an introduction or closing remarks`
+    },
+    structured: {
+        description: 'Labelled sections for role, context, task, constraints and output format',
+        instructions: `OUTPUT FORMAT: STRUCTURED SECTIONS
+- Organize the enhanced prompt into these labelled sections, in this order: ${STRUCTURED_SECTIONS.filter(s => !s.optional).map(s => `${s.label}:`).join(', ')}
+- Put each label on its own line, followed by the section content
+- Use short bullet points inside CONSTRAINTS and OUTPUT FORMAT`
+    },
+    conversational: {
+        description: 'A natural message addressed directly to the AI',
+        instructions: `OUTPUT FORMAT: CONVERSATIONAL
+- Write the enhanced prompt as a natural message addressed directly to the AI ("You are...", "I need you to...")
+- Use a friendly, direct tone in short paragraphs
+- Do not use headings, bullet points or numbered lists`
+    }
+};
+
+const LIST_ITEM_PATTERN = /^(\s*)(?:[-*•+]|\d+[.)])\s+(.*)$/;
+const MARKDOWN_HEADING_PATTERN = /^\s*#{1,6}\s+(.*?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+/**
+ * Get the list of supported format names
+ * @returns {Array<string>} Format names
+ */
+function getFormatNames() {
+    return Object.keys(FORMATS);
+}
+
+/**
+ * Get the system instructions for a format
+ * @param {string} format - Format name
+ * @returns {string} Instructions describing the expected output shape
+ */
+function getFormatInstructions(format) {
+    return (FORMATS[format] || FORMATS[DEFAULT_FORMAT]).instructions;
+}
+
+/**
+ * Find the lines that belong to fenced code blocks
+ * A fence that is never closed runs to the end of the text.
+ * @param {Array<string>} lines - Lines of the text
+ * @returns {Array<boolean>} Whether each line is code, fences included
+ * @private
+ */
+function _findCodeLines(lines) {
+    let fence = null;
+
+    return lines.map(line => {
+        const match = line.match(FENCE_PATTERN);
+        if (fence) {
+            if (match && match[1] === fence) fence = null;
+            return true;
+        }
+        if (match) {
+            fence = match[1];
+            return true;
+        }
+        return false;
+    });
+}
+
+/**
+ * Find the structured section a heading refers to
+ * @param {string} heading - Heading text without markup
+ * @returns {Object|null} Section definition or null if not recognized
+ * @private
+ */
+function _findSection(heading) {
+    const normalized = heading.toLowerCase().replace(/[^a-z ]/g, '').trim();
+    return STRUCTURED_SECTIONS.find(section => section.aliases.includes(normalized)) || null;
+}
+
+/**
+ * Parse a line as a section heading ("ROLE:", "## Role", "**Role:** text")
+ * @param {string} line - Line to parse
+ * @returns {Object|null} Heading details or null if the line is not a heading
+ * @private
+ */
+function _parseHeading(line) {
+    const markdownMatch = line.match(MARKDOWN_HEADING_PATTERN);
+    if (markdownMatch) {
+        const title = markdownMatch[1].replace(/[*_:]/g, '').trim();
+        return { title, section: _findSection(title), rest: '' };
+    }
+
+    const labelMatch = line.match(/^\s*(?:\*\*|__)?([A-Za-z][A-Za-z &/-]{1,30}?)(?:\*\*|__)?\s*:(?:\*\*|__)?\s*(.*)$/);
+    if (labelMatch) {
+        const section = _findSection(labelMatch[1]);
+        // Only treat "Label: text" as a heading for known sections, otherwise ordinary sentences would match
+        if (section || (!labelMatch[2] && labelMatch[1] === labelMatch[1].toUpperCase())) {
+            return { title: labelMatch[1].trim(), section, rest: labelMatch[2].trim() };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Split prose into sentences
+ * @param {string} text - Prose text
+ * @returns {Array<string>} Sentences
+ * @private
+ */
+function _splitSentences(text) {
+    return text
+        .split(/(?<=[.!?])\s+(?=["'(A-Z0-9])/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Make sure a fragment reads as a complete sentence
+ * @param {string} text - Sentence fragment
+ * @returns {string} Fragment ending in punctuation
+ * @private
+ */
+function _toSentence(text) {
+    const trimmed = text.trim();
+    if (!trimmed) return trimmed;
+    return /[.!?:;"')]$/.test(trimmed) ? trimmed : `${trimmed}.`;
+}
+
+/**
+ * Flatten headings and list items into prose paragraphs
+ * @param {string} text - Text to flatten
+ * @returns {string} Prose paragraphs separated by blank lines
+ * @private
+ */
+function _toProse(text) {
+    const paragraphs = [];
+    let current = [];
+    let code = [];
+
+    const flush = () => {
+        if (current.length > 0) {
+            paragraphs.push(current.join(' '));
+            current = [];
+        }
+        if (code.length > 0) {
+            paragraphs.push(code.join('\n'));
+            code = [];
+        }
+    };
+
+    const lines = text.split('\n');
+    const codeLines = _findCodeLines(lines);
+    for (const [index, line] of lines.entries()) {
+        // Fenced code becomes a paragraph of its own, line for line
+        if (codeLines[index]) {
+            if (current.length > 0) flush();
+            code.push(line);
+            continue;
+        }
+        if (code.length > 0) flush();
+
+        if (!line.trim()) {
+            flush();
+            continue;
+        }
+
+        const heading = _parseHeading(line);
+        if (heading) {
+            // A new heading starts a new paragraph; inline content is kept
+            flush();
+            if (heading.rest) current.push(_toSentence(heading.rest));
+            continue;
+        }
+
+        const listItem = line.match(LIST_ITEM_PATTERN);
+        current.push(listItem ? _toSentence(listItem[2]) : line.trim());
+    }
+    flush();
+
+    return paragraphs.join('\n\n');
+}
+
+/**
+ * Convert text into "- " bullet points
+ * @param {string} text - Text to convert
+ * @returns {string} Bullet list
+ * @private
+ */
+function _toBullets(text) {
+    const bullets = [];
+
+    const lines = text.split('\n');
+    const codeLines = _findCodeLines(lines);
+    for (const [index, line] of lines.entries()) {
+        // Fenced code is kept between the bullets as it is
+        if (codeLines[index]) {
+            bullets.push(line);
+            continue;
+        }
+        if (!line.trim()) continue;
+
+        const listItem = line.match(LIST_ITEM_PATTERN);
+        if (listItem) {
+            const indent = listItem[1].length >= 2 ? '  ' : '';
+            bullets.push(`${indent}- ${listItem[2].trim()}`);
+            continue;
+        }
+
+        const heading = _parseHeading(line);
+        const content = heading ? heading.rest : line;
+        _splitSentences(content).forEach(sentence => bullets.push(`- ${sentence}`));
+    }
+
+    return bullets.join('\n');
+}
+
+/**
+ * Parse labelled sections out of text
+ * @param {string} text - Text with section headings
+ * @returns {Array<Object>} Sections in order of appearance ({ key, label, content })
+ */
+function parseSections(text) {
+    const sections = [];
+    let current = null;
+
+    const lines = (text || '').split('\n');
+    const codeLines = _findCodeLines(lines);
+    for (const [index, line] of lines.entries()) {
+        const heading = codeLines[index] ? null : _parseHeading(line);
+        if (heading && heading.section) {
+            current = { key: heading.section.key, label: heading.section.label, lines: [] };
+            if (heading.rest) current.lines.push(heading.rest);
+            sections.push(current);
+            continue;
+        }
+
+        if (!current) {
+            if (!line.trim()) continue;
+            // Content before the first heading is treated as the task description
+            current = { key: 'task', label: 'TASK', lines: [] };
+            sections.push(current);
+        }
+        current.lines.push(line);
+    }
+
+    return sections
+        .map(section => ({
+            key: section.key,
+            label: section.label,
+            content: section.lines.join('\n').trim()
+        }))
+        .filter(section => section.content);
+}
+
+/**
+ * Render sections as labelled blocks
+ * @param {Array<Object>} sections - Sections ({ label, content })
+ * @returns {string} Structured text
+ */
+function renderSections(sections) {
+    return sections
+        .map(section => `${section.label}:\n${section.content}`)
+        .join('\n\n');
+}
+
+/**
+ * Check whether text matches the requested format
+ * @param {string} text - Text to check
+ * @param {string} format - Format name
+ * @returns {Array<string>} Issues found, empty when the text conforms
+ */
+function checkFormat(text, format) {
+    // Fenced code has no shape to check
+    const allLines = (text || '').split('\n');
+    const codeLines = _findCodeLines(allLines);
+    const lines = allLines.filter((line, index) => !codeLines[index] && line.trim());
+    const headings = lines.filter(line => _parseHeading(line));
+    const listItems = lines.filter(line => LIST_ITEM_PATTERN.test(line));
+    const issues = [];
+
+    switch (format) {
+        case 'paragraph':
+        case 'conversational':
+            if (headings.length > 0) issues.push('contains headings');
+            if (listItems.length > 0) issues.push('contains list items');
+            break;
+        case 'bullet': {
+            const nonBullets = lines.filter(line => !/^\s*- \S/.test(line));
+            if (nonBullets.length > 0) issues.push('contains lines that are not "- " bullet points');
+            break;
+        }
+        case 'structured':
+        default: {
+            const found = new Set(headings.map(line => _parseHeading(line).section?.key).filter(Boolean));
+            if (!found.has('task')) issues.push('missing TASK section');
+            if (found.size < 2) issues.push('fewer than two labelled sections');
+            if (headings.some(line => !/^[A-Z][A-Z ]+:$/.test(line.trim()))) {
+                issues.push('section headings are not in LABEL: form');
+            }
+            break;
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Post-process model output so it matches the requested format
+ * @param {string} text - Model output
+ * @param {string} format - Format name
+ * @returns {Object} { text, issues } where issues lists what was wrong before correction
+ */
+function enforceFormat(text, format = DEFAULT_FORMAT) {
+    if (!text) return { text, issues: [] };
+
+    const issues = checkFormat(text, format);
+    if (issues.length === 0) {
+        return { text: text.trim(), issues };
+    }
+
+    let formatted;
+    switch (format) {
+        case 'paragraph':
+        case 'conversational':
+            formatted = _toProse(text);
+            break;
+        case 'bullet':
+            formatted = _toBullets(text);
+            break;
+        case 'structured':
+        default:
+            formatted = renderSections(parseSections(text));
+            break;
+    }
+
+    return { text: formatted.trim(), issues };
+}
+
+module.exports = {
+    DEFAULT_FORMAT,
+    FORMATS,
+    getFormatNames,
+    getFormatInstructions,
+    checkFormat,
+    enforceFormat,
+    parseSections,
+    renderSections
+};
@@ -0,0 +1,305 @@
+/**
+ * Prompt-injection detection
+ * The prompt to enhance is untrusted text that ends up inside the enhancer's own instructions.
+ * It is checked locally for text that tries to take over the model: role overrides ("ignore
+ * previous instructions"), attempts to break out of the delimiters around it (closing quotes,
+ * chat template tokens, fake tags) and instructions hidden in encodings or invisible characters.
+ * Depending on config.ai.injection.mode the input is then blocked, flagged or neutralized, and it
+ * always reaches the model between delimiters that carry a per-request nonce.
+ */
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const INJECTION_MODES = ['block', 'flag', 'neutralize'];
+
+const RISK = {
+    NONE: 'none',
+    MEDIUM: 'medium',
+    HIGH: 'high'
+};
+
+// Risks in increasing order, to pick the highest one of several findings
+const RISK_ORDER = [RISK.NONE, RISK.MEDIUM, RISK.HIGH];
+
+// Instructions aimed at the model rather than describing the prompt
+const INSTRUCTION_RULES = [
+    {
+        type: 'role_override',
+        risk: RISK.HIGH,
+        pattern: /\b(?:ignore|disregard|forget|override|bypass)\s+(?:(?:all|any|the|your|my|these|those|every|of|previous|prior|above|earlier|preceding|system|original|initial|other)\s+){0,4}(?:instructions?|prompts?|rules|directions|guidelines|messages?|context)\b/gi
+    },
+    {
+        type: 'role_override',
+        risk: RISK.HIGH,
+        pattern: /\b(?:ignore|disregard|forget)\s+(?:everything|anything|all)\s+(?:above|before|previously|you (?:were|have been) told)\b/gi
+    },
+    {
+        type: 'role_override',
+        risk: RISK.HIGH,
+        pattern: /(?<=^|[\n.!?]\s*)(?:new|updated|real|actual|revised)\s+instructions?\s*:/gi
+    },
+    {
+        type: 'role_override',
+        risk: RISK.HIGH,
+        pattern: /\b(?:(?:enter|enable|switch to|activate)\s+)?(?:developer|jailbreak|DAN|god)\s+mode\b/gi
+    },
+    {
+        type: 'role_override',
+        risk: RISK.HIGH,
+        pattern: /\b(?:reveal|print|show|repeat|output|leak|tell me)\s+(?:me\s+)?(?:your|the)\s+(?:system prompt|system message|initial prompt|hidden prompt|original instructions|instructions above)\b/gi
+    },
+    {
+        type: 'role_override',
+        risk: RISK.MEDIUM,
+        pattern: /\b(?:you are now|from now on,? you (?:are|will)|act as (?:the )?(?:system|developer|administrator|admin))\b/gi
+    }
+];
+
+// Text that imitates the end of the prompt or the start of another message
+const DELIMITER_RULES = [
+    {
+        type: 'delimiter_breaking',
+        risk: RISK.HIGH,
+        pattern: /<\|(?:im_start|im_end|system|user|assistant|endoftext)\|>(?:system|user|assistant)?|\[\/?INST\]|<<\/?SYS>>/gi
+    },
+    {
+        type: 'delimiter_breaking',
+        risk: RISK.HIGH,
+        pattern: /<\/?(?:user_prompt|user_input|system|instructions?)(?:_[a-z0-9]+)?>/gi
+    },
+    {
+        type: 'delimiter_breaking',
+        risk: RISK.HIGH,
+        pattern: /["“”`]{1,3}\s*[.,;:)]*\s*(?=(?:ignore|disregard|forget|instead|stop)\b)/gi
+    },
+    {
+        type: 'delimiter_breaking',
+        risk: RISK.HIGH,
+        pattern: /\b(?:end of (?:the )?(?:prompt|input|user input|instructions))\b/gi
+    },
+    {
+        type: 'delimiter_breaking',
+        risk: RISK.MEDIUM,
+        pattern: /(?:^|\n)[ \t]*(?:#{1,3}[ \t]*)?(?:system|assistant|developer)[ \t]*:/gi
+    }
+];
+
+// Zero-width, bidirectional control and Unicode tag characters hide text from a human reader
+const INVISIBLE_PATTERN = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]|[\u{E0000}-\u{E007F}]/gu;
+
+// Encodings long enough to hide a sentence
+const ENCODED_PATTERNS = [
+    { encoding: 'base64', pattern: /[A-Za-z0-9+/]{24,}={0,2}/g, decode: text => Buffer.from(text, 'base64').toString('utf8') },
+    { encoding: 'url', pattern: /(?:%[0-9a-f]{2}){8,}/gi, decode: text => decodeURIComponent(text) },
+    { encoding: 'hex', pattern: /(?:\\x[0-9a-f]{2}){8,}/gi, decode: text => Buffer.from(text.replace(/\\x/g, ''), 'hex').toString('utf8') }
+];
+
+/**
+ * Find every match of a set of rules
+ * @param {string} text - Text to check
+ * @param {Array<Object>} rules - Rules ({ type, risk, pattern })
+ * @returns {Array<Object>} Findings ({ type, risk, match, start, end })
+ * @private
+ */
+function _matchRules(text, rules) {
+    return rules.flatMap(rule => Array.from(text.matchAll(rule.pattern))
+        // Lookahead-only matches (a quote right before "ignore") still cover the quote
+        .filter(match => match[0].length > 0)
+        .map(match => ({
+            type: rule.type,
+            risk: rule.risk,
+            match: match[0].trim(),
+            start: match.index,
+            end: match.index + match[0].length
+        })));
+}
+
+/**
+ * Decode a candidate encoded string, keeping only results that read as text
+ * @param {Object} encoding - Entry of ENCODED_PATTERNS
+ * @param {string} value - Encoded string
+ * @returns {string|null} Decoded text, or null if it is not printable text
+ * @private
+ */
+function _decode(encoding, value) {
+    try {
+        const decoded = encoding.decode(value);
+        const printable = decoded.replace(/[^\x20-\x7E\n\t]/g, '');
+        return decoded && printable.length / decoded.length > 0.9 ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Find instructions hidden in encodings or invisible characters
+ * Encoded strings only count when they decode to an instruction, so ids and hashes are left alone.
+ * @param {string} text - Text to check
+ * @returns {Array<Object>} Findings ({ type, risk, match, start, end, decoded })
+ * @private
+ */
+function _findEncoded(text) {
+    const findings = [];
+
+    for (const encoding of ENCODED_PATTERNS) {
+        for (const match of text.matchAll(encoding.pattern)) {
+            const decoded = _decode(encoding, match[0]);
+            if (!decoded || _matchRules(decoded, INSTRUCTION_RULES).length === 0) continue;
+
+            findings.push({
+                type: 'encoded_instructions',
+                risk: RISK.HIGH,
+                match: match[0],
+                start: match.index,
+                end: match.index + match[0].length,
+                encoding: encoding.encoding,
+                decoded
+            });
+        }
+    }
+
+    for (const match of text.matchAll(INVISIBLE_PATTERN)) {
+        findings.push({
+            type: 'encoded_instructions',
+            risk: RISK.MEDIUM,
+            match: `U+${match[0].codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`,
+            start: match.index,
+            end: match.index + match[0].length,
+            encoding: 'invisible'
+        });
+    }
+
+    return findings;
+}
+
+/**
+ * Check a prompt for injection attempts
+ * @param {string} text - Prompt text
+ * @returns {Object} { risk, findings } where risk is none, medium or high and findings are sorted by position
+ */
+function detectInjection(text) {
+    const findings = [
+        ..._matchRules(text || '', INSTRUCTION_RULES),
+        ..._matchRules(text || '', DELIMITER_RULES),
+        ..._findEncoded(text || '')
+    ].sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const risk = findings.reduce(
+        (highest, finding) => RISK_ORDER.indexOf(finding.risk) > RISK_ORDER.indexOf(highest) ? finding.risk : highest,
+        RISK.NONE
+    );
+
+    return { risk, findings };
+}
+
+/**
+ * Get the span of text to remove for a finding
+ * Instructions take the rest of their sentence with them; markers and encoded text go on their own.
+ * @param {string} text - Prompt text
+ * @param {Object} finding - Injection finding
+ * @returns {Object} { start, end }
+ * @private
+ */
+function _removalSpan(text, finding) {
+    if (finding.type !== 'role_override') {
+        return { start: finding.start, end: finding.end };
+    }
+
+    const rest = text.slice(finding.end);
+    const sentenceEnd = rest.search(/[.!?](?:\s|$)|\n/);
+    return { start: finding.start, end: sentenceEnd === -1 ? text.length : finding.end + sentenceEnd + 1 };
+}
+
+/**
+ * Remove what the findings point at from a prompt
+ * @param {string} text - Prompt text
+ * @param {Array<Object>} findings - Findings from detectInjection
+ * @returns {string} Neutralized prompt
+ */
+function neutralizeInjection(text, findings) {
+    const spans = findings
+        .map(finding => _removalSpan(text, finding))
+        .sort((a, b) => a.start - b.start);
+
+    // Merge overlapping spans so each character is removed once
+    const merged = [];
+    for (const span of spans) {
+        const last = merged[merged.length - 1];
+        if (last && span.start <= last.end) {
+            last.end = Math.max(last.end, span.end);
+        } else {
+            merged.push({ ...span });
+        }
+    }
+
+    let neutralized = text;
+    for (const span of merged.reverse()) {
+        neutralized = neutralized.slice(0, span.start) + neutralized.slice(span.end);
+    }
+
+    return neutralized
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Create the delimiter the prompt is wrapped in when it is sent to a model
+ * The random nonce cannot be guessed, so the prompt cannot close the delimiter itself.
+ * @returns {string} Tag name, e.g. user_prompt_3f9a0c1d2b4e
+ */
+function createPromptDelimiter() {
+    return `user_prompt_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Run the input analysis stage on a prompt
+ * High-risk prompts are rejected in block mode; neutralize mode removes what was found, and
+ * rejects the prompt when nothing is left. Every other case only records the findings.
+ * @param {string} text - Prompt text
+ * @param {string} [mode=config.ai.injection.mode] - block, flag or neutralize
+ * @returns {Object} { text, safety } where text is the prompt to enhance and safety is the
+ *   verdict ({ mode, risk, action, findings })
+ */
+function screenPrompt(text, mode = config.ai.injection.mode) {
+    const { risk, findings } = detectInjection(text);
+    const safety = {
+        mode,
+        risk,
+        action: findings.length > 0 ? 'flagged' : 'none',
+        findings: findings.map(({ type, risk: findingRisk, match, start, end, encoding }) => (
+            { type, risk: findingRisk, match, start, end, ...(encoding ? { encoding } : {}) }
+        ))
+    };
+
+    if (findings.length === 0) {
+        return { text, safety };
+    }
+
+    let screened = text;
+    if (mode === 'neutralize') {
+        screened = neutralizeInjection(text, findings);
+        safety.action = 'neutralized';
+    }
+
+    if ((mode === 'block' && risk === RISK.HIGH) || !screened) {
+        safety.action = 'blocked';
+        const types = [...new Set(findings.map(finding => finding.type))].join(', ');
+        const error = new Error(`Prompt rejected: it looks like a prompt-injection attempt (${types})`);
+        error.statusCode = 400;
+        error.code = 'prompt_injection_detected';
+        error.safety = safety;
+        throw error;
+    }
+
+    return { text: screened, safety };
+}
+
+module.exports = {
+    INJECTION_MODES,
+    RISK,
+    detectInjection,
+    neutralizeInjection,
+    createPromptDelimiter,
+    screenPrompt
+};
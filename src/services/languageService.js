@@ -0,0 +1,113 @@
+/**
+ * Prompt language
+ * Detects the language of a prompt from the evidence in the registered language packs (common
+ * words, typical letters, scripts), so the enhancement can stay in that language, and tells the
+ * model which language to write in.
+ */
+const languageRegistry = require('../languages');
+
+// Language of the built-in prompts, and of the guidance when the prompt language is unknown
+const DEFAULT_LANGUAGE = 'en';
+
+// Words, including elisions and hyphenated forms ("aujourd'hui", "aide-moi")
+const WORD_PATTERN = /\p{L}+(?:['’-]\p{L}+)*/gu;
+
+/**
+ * Count the evidence for one language in a prompt
+ * Every common word, typical letter and character of the language's script adds one point.
+ * @param {Object} pack - Language pack
+ * @param {string} text - Prompt text
+ * @param {Array<string>} words - Lowercased words of the prompt
+ * @returns {number} Score
+ * @private
+ */
+function _scoreLanguage(pack, text, words) {
+    const { words: common, characters, script } = pack.detection;
+    const vocabulary = new Set(common);
+
+    let score = words.filter(word => vocabulary.has(word)).length;
+    if (characters) score += (text.toLowerCase().match(characters) || []).length;
+    if (script) score += (text.match(script) || []).length;
+    return score;
+}
+
+/**
+ * Detect the language of a prompt
+ * Only languages with a registered pack can be detected. Prompts without evidence, or with as
+ * much evidence for one language as for another, are reported as undetermined.
+ * @param {string} text - Prompt text
+ * @returns {Object} { language, confidence } where language is a code or null and confidence
+ *   is the share of the evidence that points to it (0 to 1)
+ */
+function detectLanguage(text) {
+    const words = ((text || '').toLowerCase().match(WORD_PATTERN) || []);
+
+    const scores = languageRegistry.list()
+        .map(pack => ({ code: pack.code, score: _scoreLanguage(pack, text || '', words) }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    if (scores.length === 0 || (scores[1] && scores[1].score === scores[0].score)) {
+        return { language: null, confidence: 0 };
+    }
+
+    const total = scores.reduce((sum, entry) => sum + entry.score, 0);
+    return {
+        language: scores[0].code,
+        confidence: Math.round((scores[0].score / total) * 100) / 100
+    };
+}
+
+/**
+ * Get the pack for a language, falling back to the default language
+ * @param {string|null} code - Language code
+ * @returns {Object} Language pack
+ */
+function getLanguagePack(code) {
+    return languageRegistry.get(code) || languageRegistry.get(DEFAULT_LANGUAGE);
+}
+
+/**
+ * List the languages an enhancement can be written in
+ * @returns {Array<string>} Language codes
+ */
+function getLanguageCodes() {
+    return languageRegistry.list().map(pack => pack.code);
+}
+
+/**
+ * Build the system prompt instructions about the language of the enhancement
+ * English prompts without a target language need none, since the system prompt is English.
+ * @param {Object} options - Language options
+ * @param {string|null} options.detectedLanguage - Detected language of the original prompt
+ * @param {string|null} [options.targetLanguage] - Requested language of the enhancement
+ * @param {boolean} [options.image=false] - Whether the prompt is for an image model
+ * @returns {string|null} Instructions, or null when none are needed
+ */
+function getLanguageInstructions(options) {
+    const { detectedLanguage, targetLanguage = null, image = false } = options;
+
+    let instruction;
+    if (targetLanguage) {
+        instruction = `- Write the enhanced prompt in ${getLanguagePack(targetLanguage).name}, whatever the language of the original prompt`;
+    } else if (detectedLanguage === DEFAULT_LANGUAGE) {
+        return null;
+    } else if (detectedLanguage) {
+        const { name } = getLanguagePack(detectedLanguage);
+        instruction = `- The original prompt is in ${name}. Write the enhanced prompt in ${name} as well; do not translate it`;
+    } else {
+        instruction = '- Write the enhanced prompt in the same language as the original prompt; do not translate it';
+    }
+
+    // Labels and keys are what the format and sections parsers look for
+    const labels = image ? [] : ['- Keep section labels and JSON keys in English'];
+    return ['LANGUAGE:', instruction, ...labels].join('\n');
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    detectLanguage,
+    getLanguagePack,
+    getLanguageCodes,
+    getLanguageInstructions
+};
@@ -0,0 +1,131 @@
+const fetch = require('node-fetch');
+const { parseChatCompletionStream } = require('../utils/sse');
+
+/**
+ * Client for self-hosted models behind an OpenAI-compatible API (Ollama, llama.cpp, vLLM, ...)
+ * Direct implementation using node-fetch so it works without vendor SDKs on air-gapped machines
+ */
+class LocalModelService {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.baseUrl - Server URL, with or without the trailing /v1
+     * @param {string} [options.apiKey] - Optional bearer token if the server requires one
+     * @param {number} [options.timeout=60000] - Request timeout in milliseconds
+     */
+    constructor(options = {}) {
+        const { baseUrl, apiKey, timeout = 60000 } = options;
+
+        if (!baseUrl) {
+            throw new Error('Local model base URL is required');
+        }
+
+        const trimmedUrl = baseUrl.replace(/\/+$/, '');
+        this.baseUrl = trimmedUrl.endsWith('/v1') ? trimmedUrl : `${trimmedUrl}/v1`;
+        this.apiKey = apiKey;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Make a request to the local model server
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @param {boolean} [options.stream=false] - Return the raw response so the body can be streamed
+     * @returns {Promise<Object>} Response data, or the fetch response when streaming
+     * @private
+     */
+    async _request(endpoint, options = {}) {
+        const { stream = false, ...fetchOptions } = options;
+        const url = `${this.baseUrl}/${endpoint}`;
+
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const config = {
+            ...fetchOptions,
+            headers: {
+                ...headers,
+                ...fetchOptions.headers
+            },
+            // Streams are bounded by the caller's abort signal instead of a fixed timeout
+            timeout: stream ? 0 : this.timeout
+        };
+
+        try {
+            const response = await fetch(url, config);
+
+            if (!response.ok) {
+                const body = await response.text();
+                let errorData;
+                try {
+                    errorData = JSON.parse(body);
+                } catch (e) {
+                    errorData = { error: { message: body } };
+                }
+
+                const error = new Error(
+                    errorData.error?.message || `Local Model Error: ${response.status} ${response.statusText}`
+                );
+                error.status = response.status;
+                error.data = errorData;
+                throw error;
+            }
+
+            return stream ? response : await response.json();
+        } catch (error) {
+            if (!error.status && error.name !== 'AbortError') {
+                error.message = `Network Error: ${error.message}`;
+            }
+            console.error(`Local Model Error (${endpoint}):`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get list of models served by the local server
+     * @returns {Promise<Object>} List of models
+     */
+    async listModels() {
+        return this._request('models');
+    }
+
+    /**
+     * Generate a chat completion
+     * @param {Object} params - Completion parameters
+     * @param {string} params.model - Model name as known by the local server
+     * @param {Array<Object>} params.messages - Chat messages
+     * @param {number} [params.temperature=0.7] - Temperature for sampling
+     * @param {number} [params.maxTokens=800] - Maximum number of tokens to generate
+     * @param {boolean} [params.stream=false] - Whether to stream the response
+     * @param {AbortSignal} [params.signal] - Signal to cancel the request
+     * @returns {Promise<Object|AsyncGenerator<Object>>} Completion response, or completion chunks when streaming
+     */
+    async createChatCompletion(params) {
+        const { model, messages, temperature = 0.7, maxTokens = 800, stream = false, signal } = params;
+
+        if (!model) throw new Error('Model parameter is required');
+        if (!messages || !Array.isArray(messages) || messages.length === 0) {
+            throw new Error('Messages parameter must be a non-empty array');
+        }
+
+        const response = await this._request('chat/completions', {
+            method: 'POST',
+            body: JSON.stringify({
+                model,
+                messages,
+                temperature,
+                max_tokens: maxTokens,
+                stream
+            }),
+            stream,
+            signal
+        });
+
+        return stream ? parseChatCompletionStream(response.body) : response;
+    }
+}
+
+module.exports = LocalModelService;
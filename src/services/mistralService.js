@@ -1,6 +1,7 @@
 const fetch = require('node-fetch');
+const { parseChatCompletionStream } = require('../utils/sse');
 
-// Mistral AI API Configuration
+// Default Mistral AI API endpoint
 const MISTRAL_API_URL = 'https://api.mistral.ai/v1';
 
 /**
@@ -8,8 +9,14 @@ const MISTRAL_API_URL = 'https://api.mistral.ai/v1';
  * Direct implementation using node-fetch to avoid dependencies on unofficial SDKs
  */
 class MistralService {
-    constructor(apiKey) {
+    /**
+     * @param {string} apiKey - Mistral API key
+     * @param {Object} [options] - Client options
+     * @param {string} [options.baseUrl] - API base URL, defaults to the public Mistral API
+     */
+    constructor(apiKey, options = {}) {
         this.apiKey = apiKey;
+        this.baseUrl = (options.baseUrl || MISTRAL_API_URL).replace(/\/+$/, '');
 
         if (!this.apiKey) {
             throw new Error('Mistral API Key is required');
@@ -20,11 +27,13 @@ class MistralService {
      * Make a request to the Mistral API
      * @param {string} endpoint - API endpoint
      * @param {Object} options - Request options
-     * @returns {Promise<Object>} Response data
+     * @param {boolean} [options.stream=false] - Return the raw response so the body can be streamed
+     * @returns {Promise<Object>} Response data, or the fetch response when streaming
      * @private
      */
     async _request(endpoint, options = {}) {
-        const url = `${MISTRAL_API_URL}/${endpoint}`;
+        const { stream = false, ...fetchOptions } = options;
+        const url = `${this.baseUrl}/${endpoint}`;
 
         const headers = {
             'Content-Type': 'application/json',
@@ -32,12 +41,13 @@ class MistralService {
         };
 
         const config = {
-            ...options,
+            ...fetchOptions,
             headers: {
                 ...headers,
-                ...options.headers
+                ...fetchOptions.headers
             },
-            timeout: 30000 // 30 second timeout
+            // Streams are bounded by the caller's abort signal instead of a fixed timeout
+            timeout: stream ? 0 : 30000
         };
 
         try {
@@ -60,10 +70,10 @@ class MistralService {
                 throw error;
             }
 
-            return await response.json();
+            return stream ? response : await response.json();
         } catch (error) {
             // Add request context to the error
-            if (!error.status) {
+            if (!error.status && error.name !== 'AbortError') {
                 error.message = `Network Error: ${error.message}`;
             }
             console.error(`Mistral API Error (${endpoint}):`, error.message);
@@ -86,11 +96,13 @@ class MistralService {
      * @param {Array<Object>} params.messages - Chat messages
      * @param {number} [params.temperature=0.7] - Temperature for sampling
      * @param {number} [params.maxTokens=800] - Maximum number of tokens to generate
+     * @param {string} [params.responseFormat='text'] - 'json' turns on JSON mode
      * @param {boolean} [params.stream=false] - Whether to stream the response
-     * @returns {Promise<Object>} Completion response
+     * @param {AbortSignal} [params.signal] - Signal to cancel the request
+     * @returns {Promise<Object|AsyncGenerator<Object>>} Completion response, or completion chunks when streaming
      */
     async createChatCompletion(params) {
-        const { model, messages, temperature = 0.7, maxTokens = 800, stream = false } = params;
+        const { model, messages, temperature = 0.7, maxTokens = 800, responseFormat = 'text', stream = false, signal } = params;
 
         // Validate required parameters
         if (!model) throw new Error('Model parameter is required');
@@ -106,11 +118,18 @@ class MistralService {
             max_tokens: maxTokens,
             stream
         };
+        if (responseFormat === 'json') {
+            requestBody.response_format = { type: 'json_object' };
+        }
 
-        return this._request('chat/completions', {
+        const response = await this._request('chat/completions', {
             method: 'POST',
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            stream,
+            signal
         });
+
+        return stream ? parseChatCompletionStream(response.body) : response;
     }
 
     /**
@@ -139,9 +158,4 @@ class MistralService {
     }
 }
 
-/**
- * Create and export a singleton instance
- */
-const mistralService = new MistralService(process.env.MISTRAL_API_KEY);
-
-module.exports = mistralService;
\ No newline at end of file
+module.exports = MistralService;
\ No newline at end of file
@@ -0,0 +1,472 @@
+/**
+ * Rule-based prompt enhancer
+ * Enhances prompts without calling an AI model: weak wording is swapped for the alternatives in
+ * the prompt dictionary and the prompt is wrapped in role, context, task, constraints and
+ * output-format sections chosen from simple heuristics. The output is deterministic, so the
+ * same prompt and format always give the same result.
+ */
+const path = require('path');
+const promptDictionary = require(path.resolve(__dirname, '../../frontend/prompt-dictionary'));
+const { DEFAULT_FORMAT, renderSections } = require('./formatService');
+const languageRegistry = require('../languages');
+
+// Task types recognized from the prompt, checked in order (so "write a function" counts as code)
+const TASK_PROFILES = [
+    {
+        type: 'code',
+        pattern: /\b(code|coding|function|script|program|implement|debug|refactor|bug|regex|sql|class|endpoint)\b/i,
+        role: 'a senior software engineer who writes clear, well-tested code',
+        context: 'The code will be read and maintained by other developers.',
+        constraints: [
+            'State the language, runtime and library versions you assume',
+            'Handle errors and edge cases explicitly',
+            'Explain any non-obvious design decision in a short comment'
+        ],
+        outputFormat: [
+            'Start with one sentence describing the approach',
+            'Put all code in fenced code blocks',
+            'Finish with a short usage example'
+        ]
+    },
+    {
+        type: 'summary',
+        pattern: /\b(summari[sz]e|summary|condense|tl;?dr|recap)\b/i,
+        role: 'an editor who condenses material without losing its meaning',
+        context: 'The reader wants the key points without reading the full source.',
+        constraints: [
+            'Keep only the points that change what the reader knows or does',
+            'Do not add opinions or information that is not in the source'
+        ],
+        outputFormat: [
+            'Open with a one-sentence overview',
+            'Follow with the key points in order of importance'
+        ]
+    },
+    {
+        type: 'analysis',
+        pattern: /\b(analy[sz]e|analysis|compare|comparison|evaluate|assess|review|pros and cons|trade-?offs?)\b/i,
+        role: 'an analyst who weighs evidence carefully and states trade-offs plainly',
+        context: 'The reader will use the analysis to make a decision.',
+        constraints: [
+            'Support each conclusion with a specific reason or example',
+            'Call out assumptions and anything that would change the conclusion'
+        ],
+        outputFormat: [
+            'Present the criteria you used before the findings',
+            'End with a clear recommendation'
+        ]
+    },
+    {
+        type: 'explanation',
+        pattern: /\b(explain|describe|teach|what is|what are|how does|how do|why does|why do)\b/i,
+        role: 'a patient teacher who explains ideas with concrete examples',
+        context: 'The reader needs to understand the topic well enough to apply it.',
+        constraints: [
+            'Define each technical term the first time you use it',
+            'Use at least one concrete example',
+            'Build from the basics to the details'
+        ],
+        outputFormat: [
+            'Start with a one-sentence answer',
+            'Follow with the explanation and examples',
+            'Finish with a short recap'
+        ]
+    },
+    {
+        type: 'ideation',
+        pattern: /\b(ideas|brainstorm|suggest|suggestions|names for|list of|ways to)\b/i,
+        role: 'a creative strategist who generates distinct, practical ideas',
+        context: 'The ideas will be shortlisted, so variety matters more than polish.',
+        constraints: [
+            'Make every idea meaningfully different from the others',
+            'Give each idea a one-line rationale'
+        ],
+        outputFormat: [
+            'Present the ideas as a numbered list',
+            'Mark the strongest idea and say why'
+        ]
+    },
+    {
+        type: 'writing',
+        pattern: /\b(write|draft|compose|blog|article|essay|email|post|story|newsletter|copy|letter)\b/i,
+        role: 'an experienced writer and editor',
+        context: 'The piece should read as if written by a knowledgeable person, not a template.',
+        constraints: [
+            'Use concrete details and examples instead of general claims',
+            'Vary sentence length and structure'
+        ],
+        outputFormat: [
+            'Give the piece a specific, descriptive title',
+            'Use short paragraphs with one idea each'
+        ]
+    }
+];
+
+const DEFAULT_PROFILE = {
+    type: 'general',
+    role: 'a knowledgeable assistant who gives precise, practical answers',
+    context: 'The reader wants an answer they can act on.',
+    constraints: [
+        'Be specific and prefer concrete examples over general statements'
+    ],
+    outputFormat: [
+        'Lead with the direct answer',
+        'Follow with supporting detail'
+    ]
+};
+
+// Filler openers that become something shorter instead of being removed
+const FILLER_REWRITES = {
+    'in order to': 'to',
+    'consequently, this leads to': 'this leads to',
+    'thus, it can be concluded that': 'so'
+};
+
+// Descriptors added to image prompts, which have no task profile
+const IMAGE_DESCRIPTORS = ['highly detailed', 'balanced composition', 'soft natural lighting', 'sharp focus'];
+
+// Wording the bullet and conversational formats add around the sections (language packs bring their own)
+const RENDER_PHRASES = {
+    taskLabel: 'Task',
+    conversational: {
+        opening: 'I need your help with this request.',
+        reminder: 'While you work on it, please keep a few things in mind.',
+        closing: 'Thanks!'
+    }
+};
+
+const AUDIENCE_PATTERN = /\b(?:for|to|aimed at)\s+((?:an?\s+|the\s+|my\s+|our\s+)?(?:[a-z-]+\s+){0,2}(?:beginners|novices|kids|children|students|executives|developers|engineers|managers|readers|users|customers|audience|team|experts|professionals))\b/i;
+const LENGTH_PATTERN = /\b(\d+)\s*(words|sentences|paragraphs|bullet points|bullets|items|lines|ideas|examples)\b/i;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function _escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Match a dictionary term as a whole word or phrase, case-insensitively
+ * @param {string} term - Dictionary term
+ * @param {string} [flags='i'] - Extra regular expression flags
+ * @returns {RegExp} Pattern for the term
+ * @private
+ */
+function _termPattern(term, flags = 'i') {
+    return new RegExp(`(?<![\\w-])${_escapeRegExp(term)}(?![\\w-])`, flags);
+}
+
+/**
+ * Give a replacement the same capitalization as the word it replaces
+ * @param {string} original - Word being replaced
+ * @param {string} replacement - Replacement word
+ * @returns {string} Replacement with matching capitalization
+ * @private
+ */
+function _matchCase(original, replacement) {
+    if (original === original.toUpperCase() && original !== original.toLowerCase()) {
+        return replacement.toUpperCase();
+    }
+    if (original[0] === original[0].toUpperCase()) {
+        return replacement[0].toUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+}
+
+/**
+ * Capitalize the first letter of a string
+ * @param {string} text - Text
+ * @returns {string} Capitalized text
+ * @private
+ */
+function _capitalize(text) {
+    return text ? text[0].toUpperCase() + text.slice(1) : text;
+}
+
+/**
+ * Make sure a fragment reads as a complete sentence
+ * @param {string} text - Sentence fragment
+ * @returns {string} Capitalized fragment ending in punctuation
+ * @private
+ */
+function _toSentence(text) {
+    const trimmed = _capitalize(text.trim());
+    return /[.!?]$/.test(trimmed) ? trimmed : `${trimmed}.`;
+}
+
+/**
+ * Pick the dictionary alternative for an overused word
+ * The first alternative that is not itself an overused word is used, so the choice never varies.
+ * @param {string} word - Overused word
+ * @returns {string|null} Alternative or null if the dictionary has none
+ * @private
+ */
+function _pickAlternative(word) {
+    const overused = new Set(promptDictionary.overused_words.map(term => term.toLowerCase()));
+    const alternatives = promptDictionary.alternative_words[word] || [];
+
+    return alternatives.find(alternative => !overused.has(alternative.toLowerCase())) || null;
+}
+
+/**
+ * Filler phrases from the dictionary that can be dropped without changing the meaning
+ * Entries with placeholders such as "[X]" are skipped.
+ * @returns {Array<string>} Filler phrases without trailing ellipses
+ * @private
+ */
+function _fillerPhrases() {
+    return [...promptDictionary.bad_sentence_structures, ...promptDictionary.overused_phrases]
+        .filter(phrase => !phrase.includes('['))
+        .map(phrase => phrase.replace(/\.\.\.\??$/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Replace weak wording with the dictionary alternatives and drop filler phrases
+ * @param {string} text - Prompt text
+ * @returns {Object} { text, replacements } where replacements lists each change ({ from, to })
+ */
+function rewriteWording(text) {
+    const replacements = [];
+    let rewritten = text;
+
+    for (const phrase of _fillerPhrases()) {
+        const pattern = new RegExp(`${_termPattern(phrase).source}[,:]?\\s*`, 'gi');
+        rewritten = rewritten.replace(pattern, match => {
+            const to = FILLER_REWRITES[phrase.toLowerCase()];
+            replacements.push({ from: match.trim(), to: to || '' });
+            return to ? `${to} ` : '';
+        });
+    }
+
+    for (const word of Object.keys(promptDictionary.alternative_words)) {
+        const alternative = _pickAlternative(word);
+        if (!alternative) continue;
+
+        rewritten = rewritten.replace(_termPattern(word, 'gi'), match => {
+            const to = _matchCase(match, alternative);
+            replacements.push({ from: match, to });
+            return to;
+        });
+    }
+
+    // Keep "a"/"an" in agreement with the words that were swapped in
+    for (const { to } of replacements.filter(replacement => replacement.to)) {
+        rewritten = rewritten.replace(new RegExp(`\\b(an?) (${_escapeRegExp(to)})\\b`, 'gi'), (match, article, word) => {
+            const correct = /^[aeiou]/i.test(word) ? 'an' : 'a';
+            return `${article[0] === 'A' ? _capitalize(correct) : correct} ${word}`;
+        });
+    }
+
+    // Tidy up spacing and capitalization left behind by removed phrases
+    rewritten = rewritten
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/(^|[.!?]\s+)([a-z])/g, (match, boundary, letter) => boundary + letter.toUpperCase())
+        .trim();
+
+    return { text: rewritten, replacements };
+}
+
+/**
+ * Pick the task profile that matches a prompt
+ * @param {string} text - Prompt text
+ * @returns {Object} Task profile
+ * @private
+ */
+function _detectProfile(text) {
+    return TASK_PROFILES.find(profile => profile.pattern.test(text)) || DEFAULT_PROFILE;
+}
+
+/**
+ * Build the constraints that come from the prompt dictionary
+ * @param {string} text - Prompt text after rewriting
+ * @param {Object} profile - Task profile
+ * @returns {Array<string>} Constraints
+ * @private
+ */
+function _dictionaryConstraints(text, profile) {
+    const constraints = [];
+
+    // Buzzwords the dictionary has no alternative for are left in place but called out
+    const remaining = promptDictionary.overused_words.filter(word => _termPattern(word).test(text));
+    if (remaining.length > 0) {
+        constraints.push(`Replace vague terms such as ${remaining.map(word => `"${word}"`).join(', ')} with concrete details`);
+    }
+
+    for (const [phrase, examples] of Object.entries(promptDictionary.specific_replacements)) {
+        if (_termPattern(phrase).test(text)) {
+            constraints.push(`Make "${phrase}" measurable, for example "${examples[0]}" or "${examples[1]}"`);
+        }
+    }
+
+    const buzzwords = promptDictionary.overused_words
+        .filter(word => !remaining.includes(word))
+        .slice(0, 3)
+        .map(word => `"${word}"`);
+    constraints.push(`Avoid buzzwords such as ${buzzwords.join(', ')}`);
+    constraints.push(`Do not open with a stock phrase like "${promptDictionary.overused_phrases[0]}"`);
+
+    if (profile.type === 'writing') {
+        const jargon = promptDictionary.corporate_jargon.find(line => !line.includes('['));
+        constraints.push(`Avoid empty corporate lines such as "${jargon}"`);
+    }
+
+    return constraints;
+}
+
+/**
+ * Work out the sections of the enhanced prompt
+ * @param {string} originalPrompt - Prompt to enhance
+ * @returns {Object} { role, context, task, constraints, outputFormat, replacements }
+ */
+function buildSections(originalPrompt) {
+    const { text, replacements } = rewriteWording(originalPrompt);
+    const profile = _detectProfile(text);
+
+    const audienceMatch = text.match(AUDIENCE_PATTERN);
+    const context = [
+        audienceMatch
+            ? `The audience is ${audienceMatch[1].toLowerCase()}; pitch the depth and vocabulary at them.`
+            : 'No audience is specified, so write for an informed reader who is not a specialist.',
+        profile.context,
+        'Only this prompt is available to you, so state any assumption you make.'
+    ];
+
+    const constraints = [...profile.constraints];
+    const lengthMatch = text.match(LENGTH_PATTERN);
+    if (lengthMatch) {
+        constraints.unshift(`Stay within ${lengthMatch[1]} ${lengthMatch[2].toLowerCase()}`);
+    }
+    constraints.push(..._dictionaryConstraints(text, profile));
+
+    return {
+        role: `You are ${profile.role}.`,
+        context,
+        task: _toSentence(text),
+        constraints: constraints.map(_toSentence),
+        outputFormat: profile.outputFormat.map(_toSentence),
+        replacements
+    };
+}
+
+/**
+ * Work out the sections of the enhanced prompt in another language than English
+ * The task profiles and dictionary rules only understand English, so the prompt is kept as
+ * the task and wrapped in the general-purpose sections of its language pack.
+ * @param {string} originalPrompt - Prompt to enhance
+ * @param {Object} pack - Language pack with fallback sections
+ * @returns {Object} { role, context, task, constraints, outputFormat, replacements }
+ */
+function buildLocalizedSections(originalPrompt, pack) {
+    const { fallback } = pack;
+    const buzzwords = pack.overusedWords.slice(0, 3).map(word => `"${word}"`).join(', ');
+
+    return {
+        role: fallback.role,
+        context: [...fallback.context],
+        task: originalPrompt.trim(),
+        constraints: [...fallback.constraints, fallback.avoidTerms.replace('{terms}', buzzwords)],
+        outputFormat: [...fallback.outputFormat],
+        replacements: []
+    };
+}
+
+/**
+ * Render the sections in the requested format
+ * Section labels stay in English whatever the language, since the format checks look for them.
+ * @param {Object} sections - Sections from buildSections
+ * @param {string} format - Format name
+ * @param {Object} [phrases=RENDER_PHRASES] - Wording added around the sections
+ * @returns {string} Enhanced prompt
+ * @private
+ */
+function _render(sections, format, phrases = RENDER_PHRASES) {
+    const { role, context, task, constraints, outputFormat } = sections;
+    const { opening, reminder, closing } = phrases.conversational;
+    const bullets = items => items.map(item => `- ${item}`).join('\n');
+
+    switch (format) {
+        case 'paragraph':
+            return [
+                `${role} ${context.join(' ')}`,
+                `${task} ${constraints.join(' ')}`,
+                outputFormat.join(' ')
+            ].join('\n\n');
+        case 'conversational':
+            return [
+                `${role} ${opening} ${task}`,
+                context.join(' '),
+                `${reminder} ${constraints.join(' ')}`,
+                `${outputFormat.join(' ')} ${closing}`
+            ].join('\n\n');
+        case 'bullet':
+            return bullets([role, ...context, `${phrases.taskLabel}: ${task}`, ...constraints, ...outputFormat]);
+        case 'structured':
+        default:
+            return renderSections([
+                { label: 'ROLE', content: role },
+                { label: 'CONTEXT', content: context.join(' ') },
+                { label: 'TASK', content: task },
+                { label: 'CONSTRAINTS', content: bullets(constraints) },
+                { label: 'OUTPUT FORMAT', content: bullets(outputFormat) }
+            ]);
+    }
+}
+
+/**
+ * Enhance a prompt without an AI model
+ * @param {string} originalPrompt - Prompt to enhance
+ * @param {Object} [options] - Enhancement options
+ * @param {string} [options.format='structured'] - Output format (paragraph, bullet, structured, conversational)
+ * @param {Object} [options.targetProfile] - Target model profile; image models get descriptors instead of sections
+ * @param {string} [options.responseFormat='text'] - 'json' returns the sections as a JSON object
+ * @param {string|null} [options.language] - Language to write in; packs without fallback sections (English) use the rule-based sections
+ * @returns {Object} { text, replacements }
+ */
+function enhanceOffline(originalPrompt, options = {}) {
+    const { format = DEFAULT_FORMAT, targetProfile, responseFormat = 'text', language = null } = options;
+    const pack = languageRegistry.get(language);
+    const localized = pack && pack.fallback ? pack : null;
+
+    if (targetProfile && targetProfile.kind === 'image' && localized) {
+        return {
+            text: [originalPrompt.trim().replace(/[.!。！]+$/, ''), ...localized.fallback.imageDescriptors].join(', '),
+            replacements: []
+        };
+    }
+
+    if (targetProfile && targetProfile.kind === 'image') {
+        const { text, replacements } = rewriteWording(originalPrompt);
+        const subject = text.replace(/^(?:please\s+)?(?:(?:create|generate|make|draw|paint|render)\s+)?(?:an?\s+)?(?:(?:image|picture|photo|illustration)\s+of\s+)?/i, '');
+        return {
+            text: [subject.replace(/[.!]+$/, ''), ...IMAGE_DESCRIPTORS].join(', '),
+            replacements
+        };
+    }
+
+    const sections = localized ? buildLocalizedSections(originalPrompt, localized) : buildSections(originalPrompt);
+
+    if (responseFormat === 'json') {
+        const { role, context, task, constraints, outputFormat } = sections;
+        return {
+            text: JSON.stringify({ role, context: context.join(' '), task, constraints, outputFormat, examples: [] }),
+            replacements: sections.replacements
+        };
+    }
+
+    return {
+        text: _render(sections, format, localized ? localized.fallback : RENDER_PHRASES),
+        replacements: sections.replacements
+    };
+}
+
+module.exports = {
+    TASK_PROFILES,
+    rewriteWording,
+    buildSections,
+    buildLocalizedSections,
+    enhanceOffline
+};
@@ -0,0 +1,186 @@
+/**
+ * Output repair service
+ * Checks enhanced prompts for the buzzwords and stock phrases the prompt dictionary warns
+ * against and fixes them, either by re-prompting the provider with a targeted correction or
+ * by rewriting them from the dictionary alternatives.
+ */
+const { analyzePrompt, SEVERITY } = require('./promptAnalysisService');
+
+const REPAIR_MODES = ['rewrite', 'reprompt', 'off'];
+
+// Quoted or backticked text mentions a term rather than using it ('Avoid "seamless"'),
+// and code blocks are left exactly as written
+const QUOTED_SPAN_PATTERN = /```[\s\S]*?```|"[^"\n]*"|“[^”\n]*”|`[^`\n]*`/g;
+
+/**
+ * Find the banned terms used in a text
+ * Banned terms are the dictionary findings with warning severity; terms inside quotes or code are ignored.
+ * @param {string} text - Text to check
+ * @returns {Array<Object>} Findings from the prompt analysis service
+ */
+function findBannedTerms(text) {
+    const quotedSpans = Array.from(text.matchAll(QUOTED_SPAN_PATTERN))
+        .map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+    return analyzePrompt(text).findings.filter(finding =>
+        finding.severity === SEVERITY.WARNING &&
+        !quotedSpans.some(span => finding.start >= span.start && finding.end <= span.end)
+    );
+}
+
+/**
+ * Give a replacement the same capitalization as the text it replaces
+ * @param {string} original - Text being replaced
+ * @param {string} replacement - Replacement text
+ * @returns {string} Replacement with matching capitalization
+ * @private
+ */
+function _matchCase(original, replacement) {
+    return /^[A-Z]/.test(original) ? replacement[0].toUpperCase() + replacement.slice(1) : replacement;
+}
+
+/**
+ * Rewrite banned terms from the dictionary
+ * Terms with alternatives are replaced by the first alternative, stock phrases are removed,
+ * and buzzwords without alternatives are left in place and reported as unresolved.
+ * @param {string} text - Text to repair
+ * @param {Array<Object>} [findings] - Banned terms in the text (found when omitted)
+ * @returns {Object} { text, fixes, unresolved }
+ */
+function rewriteBannedTerms(text, findings = findBannedTerms(text)) {
+    const fixes = [];
+    const unresolved = [];
+    let repaired = text;
+
+    // Work from the end so earlier offsets stay valid
+    for (const finding of [...findings].sort((a, b) => b.start - a.start)) {
+        let before = repaired.slice(0, finding.start);
+        let after = repaired.slice(finding.end);
+
+        if (finding.suggestions.length > 0) {
+            const to = _matchCase(finding.text, finding.suggestions[0]);
+
+            // Keep a preceding "a"/"an" in agreement with the replacement
+            before = before.replace(/\b(a|an)(\s+)$/i, (match, article, space) => {
+                const correct = /^[aeiou]/i.test(to) ? 'an' : 'a';
+                return `${article[0] === 'A' ? correct[0].toUpperCase() + correct.slice(1) : correct}${space}`;
+            });
+
+            repaired = before + to + after;
+            fixes.push({ category: finding.category, from: finding.text, to, action: 'replaced' });
+            continue;
+        }
+
+        if (finding.category !== 'overused_word') {
+            // Drop the phrase along with the ellipsis or punctuation that introduced what follows
+            after = after.replace(/^(?:\.\.\.|…)?[,:;]?[ \t]*/, '');
+            if (!before.trim() || /[.!?\n]\s*$/.test(before)) {
+                after = after.replace(/^[a-z]/, letter => letter.toUpperCase());
+            }
+
+            repaired = before + after;
+            fixes.push({ category: finding.category, from: finding.text, to: '', action: 'removed' });
+            continue;
+        }
+
+        unresolved.push({ category: finding.category, text: finding.text });
+    }
+
+    return {
+        text: repaired.trim(),
+        fixes: fixes.reverse(),
+        unresolved: unresolved.reverse()
+    };
+}
+
+/**
+ * Build the correction message sent when re-prompting a provider
+ * @param {Array<Object>} findings - Banned terms in the previous output
+ * @returns {string} Correction instructions
+ */
+function buildCorrectionMessage(findings) {
+    const terms = findings.map(finding => {
+        const alternatives = finding.suggestions.length > 0
+            ? ` (for example: ${finding.suggestions.slice(0, 3).join(', ')})`
+            : '';
+        return `- "${finding.text}"${alternatives}`;
+    });
+
+    return `Revise the enhanced prompt above. It uses wording that readers find generic:
+${[...new Set(terms)].join('\n')}
+
+Replace each of these with specific, plain language or remove it. Keep everything else, including the structure, unchanged.
+Return only the revised enhanced prompt.`;
+}
+
+/**
+ * Check an enhanced prompt for banned terms and repair it
+ * @param {string} text - Enhanced prompt
+ * @param {Object} [options] - Repair options
+ * @param {string} [options.mode='rewrite'] - rewrite, reprompt or off
+ * @param {number} [options.maxReprompts=1] - Re-prompts allowed before falling back to rewriting
+ * @param {Function} [options.reprompt] - async (text, findings) => revised text; required for reprompt mode
+ * @returns {Promise<Object>} { text, repair } where repair is { mode, reprompts, fixes, unresolved }
+ */
+async function repairOutput(text, options = {}) {
+    const { mode = 'rewrite', maxReprompts = 1, reprompt } = options;
+    const fixes = [];
+    let reprompts = 0;
+    let current = text;
+
+    if (mode === 'off') {
+        return { text, repair: { mode, reprompts, fixes, unresolved: [] } };
+    }
+
+    let findings = findBannedTerms(current);
+    if (findings.length === 0) {
+        return { text, repair: { mode, reprompts, fixes, unresolved: [] } };
+    }
+
+    if (mode === 'reprompt' && typeof reprompt === 'function') {
+        while (findings.length > 0 && reprompts < maxReprompts) {
+            reprompts++;
+
+            let revised;
+            try {
+                revised = await reprompt(current, findings);
+            } catch (error) {
+                console.error(`[OutputRepair] Re-prompt failed, rewriting instead: ${error.message}`);
+                break;
+            }
+            if (!revised || !revised.trim()) break;
+
+            const remaining = findBannedTerms(revised);
+            const remainingEntries = new Set(remaining.map(finding => finding.entry.toLowerCase()));
+            for (const finding of findings) {
+                if (!remainingEntries.has(finding.entry.toLowerCase())) {
+                    fixes.push({ category: finding.category, from: finding.text, to: null, action: 'reprompted' });
+                }
+            }
+
+            current = revised;
+            findings = remaining;
+        }
+    }
+
+    // Whatever the provider did not fix is rewritten from the dictionary
+    const rewritten = rewriteBannedTerms(current, findings);
+
+    return {
+        text: rewritten.text,
+        repair: {
+            mode,
+            reprompts,
+            fixes: [...fixes, ...rewritten.fixes],
+            unresolved: rewritten.unresolved
+        }
+    };
+}
+
+module.exports = {
+    REPAIR_MODES,
+    findBannedTerms,
+    rewriteBannedTerms,
+    buildCorrectionMessage,
+    repairOutput
+};
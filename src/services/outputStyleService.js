@@ -0,0 +1,172 @@
+/**
+ * Output style definitions for enhanced prompts
+ * The format decides the shape of the prompt (paragraph, bullets, sections); the style decides
+ * its markup: plain text, markdown as the model wrote it, or sections wrapped in XML tags.
+ */
+const { parseSections } = require('./formatService');
+
+const DEFAULT_OUTPUT_STYLE = 'plain';
+
+const OUTPUT_STYLES = {
+    plain: {
+        description: 'Plain text; markdown emphasis is removed, lists and identifiers are kept',
+        instructions: `OUTPUT STYLE: PLAIN TEXT
+- Do not use markdown emphasis, headings or code fences
+- Write identifiers, file names and code exactly as they are`
+    },
+    markdown: {
+        description: 'Markdown as written by the model, with "## " headings for sections',
+        instructions: `OUTPUT STYLE: MARKDOWN
+- Markdown is allowed: "- " lists, **bold** for key terms, and backticks around code, identifiers and file names`
+    },
+    'xml-tags': {
+        description: 'Sections wrapped in XML tags, the rest in a <prompt> tag',
+        instructions: `OUTPUT STYLE: XML TAGS
+- Write the content of each section as plain text without markdown; the sections are wrapped in XML tags afterwards`
+    }
+};
+
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const INLINE_CODE_PATTERN = /`([^`\n]+)`/g;
+
+/**
+ * Get the list of supported output style names
+ * @returns {Array<string>} Output style names
+ */
+function getOutputStyleNames() {
+    return Object.keys(OUTPUT_STYLES);
+}
+
+/**
+ * Get the system instructions for an output style
+ * @param {string} style - Output style name
+ * @returns {string} Instructions describing the expected markup
+ */
+function getOutputStyleInstructions(style) {
+    return (OUTPUT_STYLES[style] || OUTPUT_STYLES[DEFAULT_OUTPUT_STYLE]).instructions;
+}
+
+/**
+ * Remove markdown emphasis from a line outside code
+ * Underscores only count as emphasis at word boundaries, and "__" only around more than one
+ * word, so snake_case names and dunder names such as __init__.py are left alone.
+ * @param {string} line - Line of text
+ * @returns {string} Line without emphasis markers
+ * @private
+ */
+function _stripEmphasis(line) {
+    return line
+        .replace(/\*\*(?=\S)([^*\n]+?)(?<=\S)\*\*/g, '$1')
+        .replace(/(?<![\w\\])__(?=[^\s_])((?:(?!__)[^\n])*?\W(?:(?!__)[^\n])*?)(?<=[^\s_])__(?![\w.(])/g, '$1')
+        .replace(/(?<![\w*\\])\*(?=[^\s*])([^*\n]+?)(?<=[^\s*])\*(?![\w*])/g, '$1')
+        .replace(/(?<![\w\\])_(?=[^\s_])([^\n]+?)(?<=[^\s_])_(?![\w.(])/g, '$1');
+}
+
+/**
+ * Convert markdown into plain text
+ * Headings become "LABEL:" lines, "*" and "+" bullets become "- " bullets, links keep their
+ * address, and code keeps its content exactly; only emphasis markers and code fences go.
+ * @param {string} text - Markdown text
+ * @param {Object} [options]
+ * @param {boolean} [options.keepFences=false] - Keep the code fences, for steps that still need to
+ *   tell code apart; removeCodeFences takes them out afterwards
+ * @returns {string} Plain text
+ */
+function markdownToPlain(text, options = {}) {
+    if (!text) return text;
+
+    const { keepFences = false } = options;
+    let inFence = false;
+
+    return text.split('\n').map(line => {
+        if (FENCE_PATTERN.test(line)) {
+            inFence = !inFence;
+            return keepFences ? line : null;
+        }
+        if (inFence) return line;
+
+        const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const title = _stripEmphasis(heading[1]).replace(/:$/, '');
+            return `${title.toUpperCase()}:`;
+        }
+
+        // Keep inline code out of the emphasis handling, then drop its backticks
+        const codeSpans = [];
+        let plain = line.replace(INLINE_CODE_PATTERN, (match, code) => {
+            codeSpans.push(code);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        });
+
+        plain = _stripEmphasis(plain
+            .replace(/^(\s*)> (?=\S)/, '$1')
+            .replace(/^(\s*)[*+]\s+/, '$1- ')
+            .replace(/!?\[([^\]\n]+)\]\(([^)\s]+)\)/g, '$1 ($2)'));
+
+        return plain.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+    })
+        .filter(line => line !== null)
+        .join('\n');
+}
+
+/**
+ * Remove the code fence lines of a text, keeping the code between them
+ * @param {string} text - Text with code fences
+ * @returns {string} Text without code fences
+ */
+function removeCodeFences(text) {
+    if (!text) return text;
+    return text.split('\n').filter(line => !FENCE_PATTERN.test(line)).join('\n');
+}
+
+/**
+ * Render the sections of structured text with the markup of an output style
+ * @param {string} text - Text with "LABEL:" sections
+ * @param {string} style - Output style name
+ * @returns {string} Rendered text
+ * @private
+ */
+function _renderSections(text, style) {
+    const sections = parseSections(text);
+    if (sections.length === 0) return text;
+
+    if (style === 'xml-tags') {
+        return sections
+            .map(section => {
+                const tag = section.label.toLowerCase().replace(/\s+/g, '_');
+                return `<${tag}>\n${section.content}\n</${tag}>`;
+            })
+            .join('\n\n');
+    }
+
+    return sections
+        .map(section => `## ${section.label.charAt(0)}${section.label.slice(1).toLowerCase()}\n${section.content}`)
+        .join('\n\n');
+}
+
+/**
+ * Apply an output style to a formatted prompt
+ * @param {string} text - Enhanced prompt in the requested format
+ * @param {string} style - Output style name
+ * @param {string} format - Format name
+ * @returns {string} Styled prompt
+ */
+function applyOutputStyle(text, style, format) {
+    if (!text || style === 'plain') return text;
+
+    if (format === 'structured') {
+        return _renderSections(text, style);
+    }
+
+    return style === 'xml-tags' ? `<prompt>\n${text}\n</prompt>` : text;
+}
+
+module.exports = {
+    DEFAULT_OUTPUT_STYLE,
+    OUTPUT_STYLES,
+    getOutputStyleNames,
+    getOutputStyleInstructions,
+    markdownToPlain,
+    removeCodeFences,
+    applyOutputStyle
+};
@@ -0,0 +1,156 @@
+/**
+ * Prompt analysis (lint) service
+ * Checks a prompt against every list in the prompt dictionary and reports each match with
+ * its character offsets, so editors can highlight it and CI can fail on it without an LLM call.
+ */
+const path = require('path');
+const promptDictionary = require(path.resolve(__dirname, '../../frontend/prompt-dictionary'));
+
+const SEVERITY = {
+    WARNING: 'warning',
+    INFO: 'info'
+};
+
+// Dictionary lists checked by the analyzer, in order of precedence when matches overlap
+const CATEGORIES = [
+    { name: 'bad_blog_intro', list: 'bad_blog_intros', severity: SEVERITY.WARNING, message: 'Generic introduction' },
+    { name: 'bad_blog_conclusion', list: 'bad_blog_conclusions', severity: SEVERITY.WARNING, message: 'Predictable conclusion' },
+    { name: 'corporate_jargon', list: 'corporate_jargon', severity: SEVERITY.WARNING, message: 'Empty corporate language' },
+    { name: 'overused_phrase', list: 'overused_phrases', severity: SEVERITY.WARNING, message: 'Clichéd phrase' },
+    { name: 'bad_sentence_structure', list: 'bad_sentence_structures', severity: SEVERITY.INFO, message: 'Formulaic sentence structure' },
+    { name: 'vague_phrase', list: 'specific_replacements', severity: SEVERITY.INFO, message: 'Vague phrase, say what it means in measurable terms' },
+    { name: 'overused_word', list: 'overused_words', severity: SEVERITY.WARNING, message: 'Overused buzzword' },
+    { name: 'weak_word', list: 'alternative_words', severity: SEVERITY.INFO, message: 'Weak word with more precise alternatives' }
+];
+
+// Longest text a "[placeholder]" or trailing "..." in a dictionary entry may stand for
+const PLACEHOLDER_PATTERN = '[^.!?\\n]{1,60}?';
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function _escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn a dictionary entry into a pattern
+ * Placeholders such as "[X]" match any short run of words, trailing ellipses are dropped,
+ * and whitespace and apostrophes are matched loosely.
+ * @param {string} entry - Dictionary entry
+ * @returns {RegExp} Global, case-insensitive pattern
+ * @private
+ */
+function _entryPattern(entry) {
+    const core = entry.trim().replace(/(?:\.\.\.|…)[?!]?$/, '').trim();
+
+    const source = core
+        .split(/\[[^\]]*\]/)
+        .map(part => _escapeRegExp(part)
+            .replace(/\s+/g, '\\s+')
+            .replace(/['’]/g, "['’]"))
+        .join(PLACEHOLDER_PATTERN);
+
+    // Only require word boundaries where the entry starts or ends with a word character
+    const start = /^\w/.test(core) ? '(?<![\\w-])' : '';
+    const end = /\w$/.test(core) ? '(?![\\w-])' : '';
+
+    return new RegExp(`${start}${source}${end}`, 'gi');
+}
+
+/**
+ * Get the suggested replacements for a matched entry
+ * @param {string} category - Finding category
+ * @param {string} entry - Dictionary entry that matched
+ * @returns {Array<string>} Suggestions (may be empty)
+ * @private
+ */
+function _suggestionsFor(category, entry) {
+    const key = entry.toLowerCase();
+
+    if (category === 'vague_phrase') {
+        return promptDictionary.specific_replacements[entry] || [];
+    }
+
+    const alternatives = Object.entries(promptDictionary.alternative_words)
+        .find(([word]) => word.toLowerCase() === key);
+
+    // Never suggest a word the analyzer would flag in turn
+    const overused = new Set(promptDictionary.overused_words.map(word => word.toLowerCase()));
+    return alternatives ? alternatives[1].filter(word => !overused.has(word.toLowerCase())) : [];
+}
+
+/**
+ * Get the entries of a dictionary list
+ * @param {string} list - Dictionary list name
+ * @returns {Array<string>} Entries
+ * @private
+ */
+function _entries(list) {
+    const value = promptDictionary[list] || [];
+    return Array.isArray(value) ? value : Object.keys(value);
+}
+
+/**
+ * Drop findings whose range lies inside a finding that was reported first
+ * @param {Array<Object>} findings - Findings in order of category precedence
+ * @returns {Array<Object>} Remaining findings sorted by position
+ * @private
+ */
+function _removeNested(findings) {
+    const kept = [];
+
+    for (const finding of findings) {
+        const nested = kept.some(other => finding.start >= other.start && finding.end <= other.end);
+        if (!nested) kept.push(finding);
+    }
+
+    return kept.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Analyze a prompt against the prompt dictionary
+ * Offsets are indexes into the JavaScript string (UTF-16 code units): `start` is inclusive
+ * and `end` is exclusive, so text.slice(start, end) returns the matched text.
+ * @param {string} text - Prompt text
+ * @returns {Object} { findings, summary }
+ */
+function analyzePrompt(text) {
+    const findings = [];
+
+    for (const category of CATEGORIES) {
+        for (const entry of _entries(category.list)) {
+            for (const match of text.matchAll(_entryPattern(entry))) {
+                findings.push({
+                    category: category.name,
+                    severity: category.severity,
+                    text: match[0],
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    entry,
+                    message: category.message,
+                    suggestions: _suggestionsFor(category.name, entry)
+                });
+            }
+        }
+    }
+
+    const result = _removeNested(findings);
+
+    const summary = { total: result.length, bySeverity: {}, byCategory: {} };
+    for (const finding of result) {
+        summary.bySeverity[finding.severity] = (summary.bySeverity[finding.severity] || 0) + 1;
+        summary.byCategory[finding.category] = (summary.byCategory[finding.category] || 0) + 1;
+    }
+
+    return { findings: result, summary };
+}
+
+module.exports = {
+    SEVERITY,
+    CATEGORIES,
+    analyzePrompt
+};
@@ -1,16 +1,40 @@
-const { OpenAI } = require('openai');
-const path = require('path');
-const promptDictionary = require(path.resolve(__dirname, '../../frontend/prompt-dictionary'));
-
-// Try to load the mistralService if it's configured
-let mistralService = null;
-try {
-    if (process.env.AI_PROVIDER === 'mistral' && process.env.MISTRAL_API_KEY) {
-        mistralService = require('./mistralService');
-    }
-} catch (error) {
-    console.error('Failed to initialize Mistral service:', error.message);
-}
+const config = require('../config/config');
+const providerRegistry = require('./providers');
+const { runWithFallback } = require('./providerChain');
+const { buildEnhancementMessages } = require('./promptBuilder');
+const { DEFAULT_FORMAT, enforceFormat } = require('./formatService');
+const { repairOutput, rewriteBannedTerms, buildCorrectionMessage } = require('./outputRepairService');
+const { classifyDomain } = require('./domainClassifier');
+const { resolveTargetModel, formatImagePrompt } = require('./targetModelService');
+const {
+    DEFAULT_OUTPUT_STYLE,
+    getOutputStyleNames,
+    markdownToPlain,
+    removeCodeFences,
+    applyOutputStyle
+} = require('./outputStyleService');
+const {
+    parseSectionsJson,
+    buildJsonCorrectionMessage,
+    sectionsFromText,
+    mapSectionText,
+    renderSectionsText
+} = require('./sectionsService');
+const { getVariantStrategies, rankVariants } = require('./variantService');
+const { scoreEnhancementPair, stripGuidance } = require('./scoringService');
+const { resolveUsage, addUsage, estimateCost, recordUsage } = require('./usageService');
+const { DEFAULT_LANGUAGE, detectLanguage, getLanguagePack } = require('./languageService');
+const languageRegistry = require('../languages');
+const { screenPrompt, createPromptDelimiter } = require('./injectionService');
+const { redactPrompt, restoreRedactions } = require('./redactionService');
+const {
+    protectTemplateVariables,
+    restoreTemplateVariables,
+    findMissingTokens,
+    describeTemplateVariables,
+    buildVariablesCorrectionMessage
+} = require('./templateVariableService');
+const { createRandom, generateSeed, isValidSeed, selectRandomItems } = require('../utils/random');
 
 // Enhanced logging function
 function logError(context, error) {
@@ -23,259 +47,142 @@ function logError(context, error) {
     });
 }
 
-// Validate OpenAI configuration
-function validateOpenAIConfig() {
-    const requiredEnvVars = ['OPENAI_API_KEY'];
-    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-
-    if (missingVars.length > 0) {
-        throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
-    }
-}
-
-// Initialize OpenAI client with enhanced configuration
-function createOpenAIClient() {
-    try {
-        validateOpenAIConfig();
-
-        return new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-            timeout: 30000, // 30 seconds timeout
-            maxRetries: 2 // Built-in retry mechanism
-        });
-    } catch (error) {
-        logError('OpenAI Client Initialization', error);
-        throw error;
-    }
-}
-
-// Initialize OpenAI client if needed
-let openai = null;
-if (process.env.NODE_ENV !== 'test' && (process.env.AI_PROVIDER === 'openai' || !process.env.AI_PROVIDER)) {
-    try {
-        openai = createOpenAIClient();
-    } catch (error) {
-        console.error('Failed to initialize OpenAI client:', error.message);
-    }
-}
-
-/**
- * Cleans Markdown formatting from text
- * @param {string} text - Text with Markdown formatting
- * @returns {string} - Clean text without Markdown
- */
-function cleanMarkdownFormatting(text) {
-    if (!text) return text;
-
-    let cleanText = text
-        .replace(/\*\*(.*?)\*\*/g, '$1')  // Remove bold **text**
-        .replace(/\*(.*?)\*/g, '$1')      // Remove italic *text*
-        .replace(/__(.*?)__/g, '$1')      // Remove underscore bold __text__
-        .replace(/_(.*?)_/g, '$1');       // Remove underscore italic _text_
-
-    return cleanText;
-}
-
-/**
- * Decode HTML entities in a string
- * @param {string} text - Text with HTML entities
- * @returns {string} - Text with decoded HTML entities
- */
-function decodeHtmlEntities(text) {
-    if (!text) return text;
-
-    // Manual replacement of common entities (safe for Node.js environment)
-    return text
-        .replace(/&quot;/g, '"')
-        .replace(/&apos;/g, "'")
-        .replace(/&#039;/g, "'")
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&amp;/g, '&')
-        .replace(/&#38;/g, '&')
-        .replace(/&#34;/g, '"')
-        .replace(/&#39;/g, "'")
-        .replace(/&#60;/g, '<')
-        .replace(/&#62;/g, '>')
-        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
-        .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec));
-}
-
 /**
  * Creates guidance for avoiding overused language and AI-sounding text
- * @param {string} originalPrompt - The original prompt for context
+ * @param {Object} [options] - Guidance options
+ * @param {Object} [options.domain] - Domain pack detected for the prompt, if any
+ * @param {string|null} [options.language='en'] - Language of the enhancement; its pack supplies the wording and terms
+ * @param {number} [options.terms=3] - Number of overused terms to list
+ * @param {number} [options.phrases=2] - Number of overused phrases to list
+ * @param {Function} [options.random=Math.random] - Random number generator used to pick them
  * @returns {string} Guidance for creating better content
  */
-function createContentGuidance(originalPrompt) {
-    const lowercasePrompt = originalPrompt.toLowerCase();
+function createContentGuidance(options = {}) {
+    const { domain = null, language = DEFAULT_LANGUAGE, terms = 3, phrases = 2, random = Math.random } = options;
+    const pack = getLanguagePack(language);
+    const { guidance } = pack;
 
+    // Domain packs are written in English, so their advice only goes into English guidance
     let domainSpecificAdvice = "";
-    if (lowercasePrompt.includes("blog") || lowercasePrompt.includes("article")) {
-        domainSpecificAdvice = "Focus on creating a natural narrative flow with varied sentence structures.";
-    } else if (lowercasePrompt.includes("code") || lowercasePrompt.includes("programming")) {
-        domainSpecificAdvice = "Prioritize clarity, include practical implementation details, and use specific examples.";
-    } else if (lowercasePrompt.includes("story") || lowercasePrompt.includes("creative")) {
-        domainSpecificAdvice = "Use specific sensory details and avoid predictable plot structures.";
+    if (domain && pack.code === DEFAULT_LANGUAGE) {
+        domainSpecificAdvice = [
+            ...domain.advice,
+            `Avoid: ${domain.bannedTerms.map(term => `"${term}"`).join(', ')}`
+        ].join('\n   ');
     }
 
-    const overusedTermsToAvoid = selectRandomItems(promptDictionary.overused_words, 3);
-    const overusedPhrasesToAvoid = selectRandomItems(promptDictionary.overused_phrases, 2);
+    const overusedTermsToAvoid = selectRandomItems(pack.overusedWords, terms, random);
+    const overusedPhrasesToAvoid = selectRandomItems(pack.overusedPhrases, phrases, random);
+    const tips = list => list.map(tip => `   - ${tip}`).join('\n');
 
     return `
 --------------------------
-WRITING GUIDANCE:
+${guidance.title}:
 
-1. SOUND NATURAL:
-   - Vary sentence structure
-   - Avoid excessive hedging
-   - Use concrete language
-   - Include specific examples
+1. ${guidance.natural}:
+${tips(guidance.naturalTips)}
 
-2. AVOID OVERUSED LANGUAGE:
+2. ${guidance.overused}:
    ${overusedTermsToAvoid.map(term => `   - "${term}"`).join('\n')}
    ${overusedPhrasesToAvoid.map(phrase => `   - "${phrase}"`).join('\n')}
 
-3. BE SPECIFIC:
-   - Provide concrete details
-   - Use precise terminology
-   - Explain complex ideas clearly
-   ${domainSpecificAdvice ? `\n4. DOMAIN-SPECIFIC ADVICE:\n   ${domainSpecificAdvice}` : ''}
+3. ${guidance.specific}:
+${tips(guidance.specificTips)}
+   ${domainSpecificAdvice ? `\n4. ${guidance.domain} (${domain.label.toUpperCase()}):\n   ${domainSpecificAdvice}` : ''}
 --------------------------
 `;
 }
 
 /**
- * Enhance a prompt using OpenAI
+ * Build the provider request for an enhancement
  * @param {Object} params - Parameters for enhancement
- * @returns {Promise<string>} - Enhanced prompt
+ * @returns {Object} Provider request
  * @private
  */
-async function _enhanceWithOpenAI(params) {
-    const { originalPrompt } = params;
-
-    // In test mode, just return a predictable enhancement
-    if (process.env.NODE_ENV === 'test') {
-        return `Enhanced: ${originalPrompt}`;
-    }
-
-    const response = await openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-            {
-                role: "system",
-                content: `You are an expert prompt engineer. Enhance basic prompts to produce better AI responses by making them more specific, structured, and clear.
-
-ENHANCEMENT GUIDELINES:
-- Add clear structure and organization
-- Include relevant context
-- Specify precise response format
-- Request specific, actionable examples
-- Define clear constraints and parameters
-- Clarify target audience and purpose
-
-AVOID:
-- AI-like language
-- Corporate jargon
-- Vague instructions
-- Unnecessary complexity`
-            },
-            {
-                role: "user",
-                content: `Enhance this basic prompt to get better AI responses: "${originalPrompt}"`
-            }
-        ],
-        temperature: 0.7,
-        max_tokens: 800,
-    });
-
-    return response.choices[0]?.message?.content || '';
+function _buildProviderRequest(params) {
+    // The redacted values stay on this side of the provider call
+    const { placeholders, ...request } = params;
+    return {
+        ...request,
+        messages: buildEnhancementMessages(params),
+        // Providers with a JSON mode use it for section requests
+        responseFormat: params.sections ? 'json' : 'text',
+        // Variants set their own temperature
+        temperature: params.temperature ?? config.ai.temperature,
+        maxTokens: config.ai.maxTokens
+    };
 }
 
 /**
- * Enhance a prompt using Mistral AI
- * @param {Object} params - Parameters for enhancement 
- * @returns {Promise<string>} - Enhanced prompt
+ * Enhance a prompt with the first available provider in the fallback chain
+ * @param {Object} params - Parameters for enhancement
+ * @returns {Promise<Object>} - { text, model, usage, provider, attempts }
  * @private
  */
-async function _enhanceWithMistral(params) {
-    const { originalPrompt } = params;
-
-    // In test mode, just return a predictable enhancement
-    if (process.env.NODE_ENV === 'test') {
-        return `Enhanced: ${originalPrompt}`;
-    }
-
-    const response = await mistralService.createChatCompletion({
-        model: "mistral-medium",  // Use appropriate model based on your needs
-        messages: [
-            {
-                role: "system",
-                content: `You are an expert prompt engineer. Enhance basic prompts to produce better AI responses by making them more specific, structured, and clear.
-
-ENHANCEMENT GUIDELINES:
-- Add clear structure and organization
-- Include relevant context
-- Specify precise response format
-- Request specific, actionable examples
-- Define clear constraints and parameters
-- Clarify target audience and purpose
-
-AVOID:
-- AI-like language
-- Corporate jargon
-- Vague instructions
-- Unnecessary complexity`
-            },
-            {
-                role: "user",
-                content: `Enhance this basic prompt to get better AI responses: "${originalPrompt}"`
-            }
-        ],
-        temperature: 0.7,
-        maxTokens: 800
+async function _enhanceWithProvider(params) {
+    const request = _buildProviderRequest(params);
+
+    const { result, provider, attempts } = await runWithFallback(candidate => {
+        console.log(`Using ${candidate.name} for prompt enhancement`);
+        return candidate.enhance(request);
+    }, {
+        signal: params.signal,
+        // Rule-based providers would only enhance the original prompt again and ignore the feedback
+        skip: candidate => (params.refinement && candidate.capabilities().deterministic ? 'cannot_refine' : null),
+        ...(params.refinement ? { unavailableMessage: 'No language model provider is available to refine prompts' } : {})
     });
 
-    return response.choices[0]?.message?.content || '';
+    return { ...result, usage: resolveUsage(request, result), provider, attempts };
 }
 
 /**
- * Sanitize input to prevent XSS and other injection attacks
- * @param {string} text - The text to sanitize
- * @returns {string} - Sanitized text
+ * Stream an enhancement from the first available provider in the fallback chain
+ * Providers without streaming support send their whole result as a single token.
+ * Once a token has been sent, a failure ends the request instead of falling back.
+ * @param {Object} params - Parameters for enhancement
+ * @param {Function} onToken - Called with each text delta
+ * @returns {Promise<Object>} - { text, model, usage, provider, attempts }
+ * @private
  */
-function sanitizeInput(text) {
-    if (!text) return text;
-
-    // For security testing, we'll sanitize based on content type
-    if (process.env.NODE_ENV === 'test') {
-        // If this is a test for XSS, sanitize script tags
-        if (text.includes('<script>')) {
-            return text
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;')
-                .replace(/"/g, '&quot;')
-                .replace(/'/g, '&#039;');
+async function _streamWithProvider(params, onToken) {
+    const request = _buildProviderRequest(params);
+
+    const { result, provider, attempts } = await runWithFallback(async candidate => {
+        console.log(`Streaming from ${candidate.name} for prompt enhancement`);
+        let tokensSent = false;
+        const emit = token => {
+            tokensSent = true;
+            onToken(token);
+        };
+
+        try {
+            if (candidate.capabilities().streaming && typeof candidate.stream === 'function') {
+                return await candidate.stream(request, emit);
+            }
+
+            const completion = await candidate.enhance(request);
+            emit(completion.text);
+            return completion;
+        } catch (error) {
+            error.stopFallback = tokensSent;
+            throw error;
         }
-        return text;
-    }
+    }, { signal: params.signal });
 
-    // Replace potentially dangerous HTML tags and scripts
-    return text
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;');
-    // Note: We're NOT encoding quotes anymore to avoid the &quot; issue
-    // .replace(/"/g, '&quot;')
-    // .replace(/'/g, '&#039;');
+    return { ...result, usage: resolveUsage(request, result), provider, attempts };
 }
 
 /**
- * Enhances a prompt using the configured AI provider
+ * Validate the enhancement parameters
+ * The prompt is passed on exactly as written (escaping belongs to whatever renders it), unless
+ * the input analysis stage neutralizes a prompt-injection attempt in it, its template variables
+ * are swapped for tokens, or personal data and secrets in it are swapped for placeholders.
  * @param {Object} params - The parameters for enhancement
- * @param {string} params.originalPrompt - The original prompt text
- * @returns {Promise<string>} The enhanced prompt
+ * @returns {Object} Parameters with defaults applied
+ * @private
  */
-async function enhancePrompt(params) {
-    const { originalPrompt } = params;
+function _prepareParams(params) {
+    const { originalPrompt, format = DEFAULT_FORMAT } = params;
 
     // Validate input
     if (!originalPrompt || typeof originalPrompt !== 'string') {
@@ -288,89 +195,570 @@ async function enhancePrompt(params) {
         throw new Error(`Prompt is too long (maximum ${MAX_LENGTH} characters)`);
     }
 
-    // Sanitize the input - but don't encode quotes
-    const sanitizedPrompt = sanitizeInput(originalPrompt);
+    // Block, flag or neutralize prompt-injection attempts before the prompt reaches a model
+    const { text: screenedPrompt, safety } = screenPrompt(originalPrompt);
+    if (safety.action !== 'none') {
+        console.log(`Prompt injection check: ${safety.risk} risk, ${safety.action} (${safety.findings.length} finding(s))`);
+    }
 
-    try {
-        let enhancedPrompt = '';
+    // Template variables go out as {{name}} tokens the model is told to keep
+    const { text: protectedPrompt, tokens: variableTokens } = protectTemplateVariables(screenedPrompt);
+
+    // Personal data and secrets never leave the server; the placeholders are put back afterwards
+    const { text: redactedPrompt, redaction, placeholders } = redactPrompt(protectedPrompt);
+    if (redaction.redacted > 0) {
+        console.log(`Redacted ${redaction.redacted} sensitive value(s) from the prompt`);
+    }
 
-        // For tests, just return a simple enhancement
-        if (process.env.NODE_ENV === 'test') {
-            enhancedPrompt = `Enhanced: ${sanitizedPrompt}`;
+    if (params.seed !== undefined && !isValidSeed(params.seed)) {
+        throw new Error('Seed must be an integer between 0 and 4294967295');
+    }
+
+    // Requests without a seed use the configured default, or a fresh seed that is reported back
+    const seed = params.seed !== undefined ? params.seed : (config.ai.guidance.seed ?? generateSeed());
+
+    let targetProfile = null;
+    if (params.targetModel !== undefined) {
+        targetProfile = resolveTargetModel(params.targetModel);
+        if (!targetProfile) {
+            throw new Error(`Unsupported target model: ${params.targetModel}`);
         }
-        // For regular operation, use the configured AI provider
-        else {
-            const aiProvider = process.env.AI_PROVIDER || 'openai';
-
-            if (aiProvider === 'mistral' && mistralService) {
-                console.log('Using Mistral AI for prompt enhancement');
-                enhancedPrompt = await _enhanceWithMistral({ originalPrompt: sanitizedPrompt });
-            } else if (openai) {
-                console.log('Using OpenAI for prompt enhancement');
-                enhancedPrompt = await _enhanceWithOpenAI({ originalPrompt: sanitizedPrompt });
-            } else {
-                throw new Error('No AI provider available. Check your configuration.');
+    }
+
+    const sections = params.sections === true;
+    if (sections && targetProfile && targetProfile.kind === 'image') {
+        throw new Error('Sections are not available for image target models');
+    }
+
+    if (params.outputStyle && !getOutputStyleNames().includes(params.outputStyle)) {
+        throw new Error(`Unsupported output style: ${params.outputStyle}`);
+    }
+
+    // An explicit style wins over the target model's convention
+    const outputStyle = params.outputStyle
+        || (targetProfile && targetProfile.kind === 'text' && targetProfile.outputStyle)
+        || DEFAULT_OUTPUT_STYLE;
+
+    let targetLanguage = null;
+    if (params.targetLanguage !== undefined) {
+        const pack = languageRegistry.get(params.targetLanguage);
+        if (!pack) {
+            throw new Error(`Unsupported target language: ${params.targetLanguage}`);
+        }
+        targetLanguage = pack.code;
+    }
+
+    // The enhancement stays in the language of the prompt unless another one is requested
+    const detectedLanguage = detectLanguage(screenedPrompt).language;
+
+    return {
+        ...params,
+        originalPrompt: redactedPrompt,
+        format,
+        seed,
+        guidance: { ...config.ai.guidance, ...params.guidance },
+        targetProfile,
+        sections,
+        outputStyle,
+        detectedLanguage,
+        targetLanguage,
+        language: targetLanguage || detectedLanguage,
+        safety,
+        redaction,
+        placeholders,
+        variableTokens,
+        // Repair and variant calls reuse the delimiter, so it is fixed once per request
+        delimiter: createPromptDelimiter()
+    };
+}
+
+/**
+ * Validate the parameters of a refinement
+ * The earlier enhancement and the feedback go to the provider along with the prompt, so they are
+ * screened, protected and redacted the same way; they keep the prompt's tokens and placeholders.
+ * @param {Object} params - The parameters for the refinement
+ * @returns {Object} Prepared enhancement parameters with the refinement ({ enhancement, feedback })
+ * @private
+ */
+function _prepareRefinement(params) {
+    const { enhancement = {}, feedback } = params;
+
+    if (!feedback || typeof feedback !== 'string' || !feedback.trim()) {
+        throw new Error('Invalid or missing feedback');
+    }
+    if (!enhancement.text || typeof enhancement.text !== 'string') {
+        throw new Error('Invalid or missing enhancement to refine');
+    }
+
+    const prepared = _prepareParams(params);
+
+    const { text: screenedFeedback, safety } = screenPrompt(feedback.trim());
+    if (safety.action !== 'none') {
+        console.log(`Feedback injection check: ${safety.risk} risk, ${safety.action} (${safety.findings.length} finding(s))`);
+    }
+
+    // Section prompts are revised as the JSON the provider returned; the guidance was added locally
+    const earlier = prepared.sections && enhancement.sections
+        ? JSON.stringify(Object.fromEntries(Object.entries(enhancement.sections).filter(([key]) => key !== 'guidance')))
+        : stripGuidance(enhancement.text).trim();
+
+    const protectedEnhancement = protectTemplateVariables(earlier, prepared.variableTokens);
+    const protectedFeedback = protectTemplateVariables(screenedFeedback, protectedEnhancement.tokens);
+
+    const redactedEnhancement = redactPrompt(protectedEnhancement.text, config.ai.redaction, prepared.placeholders);
+    const redactedFeedback = redactPrompt(protectedFeedback.text, config.ai.redaction, redactedEnhancement.placeholders);
+
+    return {
+        ...prepared,
+        redaction: redactedFeedback.redaction,
+        placeholders: redactedFeedback.placeholders,
+        // Variables the feedback adds are kept like those of the prompt
+        variableTokens: protectedFeedback.tokens,
+        refinement: { enhancement: redactedEnhancement.text, feedback: redactedFeedback.text }
+    };
+}
+
+/**
+ * Clean up raw provider output
+ * Only markdown is touched: angle brackets, ampersands and entities are prompt content
+ * (HTML, JSX, generics) and are left exactly as the model wrote them.
+ * @param {string} text - Provider output
+ * @param {string} [outputStyle='plain'] - Output style; markdown keeps the model's formatting
+ * @param {boolean} [keepFences=false] - Keep code fences for the format and style steps to see
+ * @returns {string} Output with markdown converted, unless markdown was asked for
+ * @private
+ */
+function _cleanOutput(text, outputStyle = DEFAULT_OUTPUT_STYLE, keepFences = false) {
+    return outputStyle === 'markdown' ? text : markdownToPlain(text, { keepFences });
+}
+
+/**
+ * Ask the provider that produced an enhancement to revise the terms it should not have used
+ * @param {string} providerName - Provider that produced the enhancement
+ * @param {Object} params - Prepared enhancement parameters
+ * @param {Function} onUsage - Called with the token usage of each revision
+ * @returns {Function} async (text, findings) => revised text
+ * @private
+ */
+function _createReprompt(providerName, params, onUsage) {
+    return async (text, findings) => {
+        const provider = providerRegistry.get(providerName);
+        const request = _buildProviderRequest(params);
+        request.messages = [
+            ...request.messages,
+            { role: 'assistant', content: text },
+            { role: 'user', content: buildCorrectionMessage(findings) }
+        ];
+
+        console.log(`Re-prompting ${providerName} to revise ${findings.length} flagged term(s)`);
+        const result = await provider.enhance(request);
+        onUsage(resolveUsage(request, result));
+        return result.text;
+    };
+}
+
+/**
+ * Get the enhancement sections from a provider's JSON response
+ * Malformed or incomplete JSON gets one repair attempt from the same provider (when allowed),
+ * after which the sections are recovered from whatever headings the text has.
+ * @param {Object} providerResult - Result of the provider call ({ text, provider })
+ * @param {Object} params - Prepared enhancement parameters
+ * @param {boolean} allowReprompt - Whether the provider may be called again
+ * @param {Function} onUsage - Called with the token usage of the repair attempt
+ * @returns {Promise<Object>} Sections with cleaned text
+ * @private
+ */
+async function _resolveSections(providerResult, params, allowReprompt, onUsage) {
+    let { sections, error } = parseSectionsJson(providerResult.text);
+
+    if (error && allowReprompt) {
+        console.log(`Asking ${providerResult.provider} to repair its sections JSON: ${error}`);
+        const request = _buildProviderRequest(params);
+        request.messages = [
+            ...request.messages,
+            { role: 'assistant', content: providerResult.text },
+            { role: 'user', content: buildJsonCorrectionMessage(error) }
+        ];
+
+        try {
+            const retry = await providerRegistry.get(providerResult.provider).enhance(request);
+            onUsage(resolveUsage(request, retry));
+            ({ sections, error } = parseSectionsJson(retry.text));
+        } catch (retryError) {
+            console.error(`[PromptEnhancerService] Sections repair failed: ${retryError.message}`);
+        }
+    }
+
+    if (error) {
+        console.log(`Recovering sections from text: ${error}`);
+        sections = sectionsFromText(providerResult.text);
+    }
+
+    return mapSectionText(sections, text => _cleanOutput(text, params.outputStyle).trim());
+}
+
+/**
+ * Make sure the provider output still has every template variable of the prompt
+ * Output that lost some gets one repair attempt from the same provider (when allowed).
+ * @param {Object} providerResult - Result of the provider call ({ text, provider })
+ * @param {Object} params - Prepared enhancement parameters
+ * @param {boolean} allowReprompt - Whether the provider may be called again
+ * @param {Function} onUsage - Called with the token usage of the repair attempt
+ * @returns {Promise<string>} Provider output with every variable token
+ * @throws {Error} With code template_variables_missing when tokens are still missing
+ * @private
+ */
+async function _keepTemplateVariables(providerResult, params, allowReprompt, onUsage) {
+    let { text } = providerResult;
+    let missing = findMissingTokens(text, params.variableTokens);
+
+    if (missing.length > 0 && allowReprompt) {
+        console.log(`Asking ${providerResult.provider} to restore ${missing.length} template variable(s)`);
+        const request = _buildProviderRequest(params);
+        request.messages = [
+            ...request.messages,
+            { role: 'assistant', content: text },
+            { role: 'user', content: buildVariablesCorrectionMessage(missing) }
+        ];
+
+        try {
+            const retry = await providerRegistry.get(providerResult.provider).enhance(request);
+            onUsage(resolveUsage(request, retry));
+            if (findMissingTokens(retry.text, params.variableTokens).length === 0) {
+                ({ text } = retry);
+                missing = [];
             }
+        } catch (retryError) {
+            console.error(`[PromptEnhancerService] Template variable repair failed: ${retryError.message}`);
         }
+    }
 
-        // Decode any HTML entities in the response
-        enhancedPrompt = decodeHtmlEntities(enhancedPrompt);
+    if (missing.length > 0) {
+        const placeholders = missing.map(token => params.variableTokens[token]);
+        const error = new Error(`The enhanced prompt lost template variables: ${placeholders.join(', ')}`);
+        error.statusCode = 502;
+        error.code = 'template_variables_missing';
+        error.variables = { missing: placeholders };
+        throw error;
+    }
+
+    return text;
+}
+
+/**
+ * Rewrite flagged terms in every section
+ * The sections are not re-prompted, since a revision would have to come back as JSON again.
+ * @param {Object} sections - Enhancement sections
+ * @param {string} mode - Configured repair mode
+ * @returns {Object} { sections, repair }
+ * @private
+ */
+function _repairSections(sections, mode) {
+    const repair = { mode, reprompts: 0, fixes: [], unresolved: [] };
+    if (mode === 'off') {
+        return { sections, repair };
+    }
+
+    const repaired = mapSectionText(sections, text => {
+        const result = rewriteBannedTerms(text);
+        repair.fixes.push(...result.fixes);
+        repair.unresolved.push(...result.unresolved);
+        return result.text;
+    });
+
+    return { sections: repaired, repair };
+}
 
-        // Sanitize the output, but don't encode quotes
-        enhancedPrompt = sanitizeInput(enhancedPrompt);
+/**
+ * Clean up the provider output and build the enhancement result
+ * @param {Object} result - Result of the provider call ({ text, model, provider, attempts })
+ * @param {Object} params - Prepared enhancement parameters
+ * @param {Object} [options] - Finalization options
+ * @param {boolean} [options.allowReprompt=true] - Whether the repair step may call the provider again
+ * @returns {Promise<Object>} { enhancedText, provider, model, attempts, repair, seed, domain, targetModel, sections, outputStyle, detectedLanguage, targetLanguage, safety, redaction, variables, scores, usage, estimatedCost }
+ * @private
+ */
+async function _finalizeEnhancement(result, params, options = {}) {
+    const { allowReprompt = true } = options;
+    const { format = DEFAULT_FORMAT, placeholders, variableTokens } = params;
+    // Classification and scoring are local, so they see the prompt as the user wrote it
+    const originalPrompt = restoreTemplateVariables(restoreRedactions(params.originalPrompt, placeholders), variableTokens);
+    let enhancedPrompt;
+    let repaired;
+    let sections = null;
+    // Repair attempts are billed too, so their usage is added to that of the first call
+    let usage = result.usage;
+    const trackUsage = callUsage => {
+        usage = addUsage(usage, callUsage);
+    };
+    // The tokens go back to their own syntax last, after markdown cleanup could have mangled them
+    const restoreVariables = text => restoreTemplateVariables(text, variableTokens);
+    const variables = describeTemplateVariables(variableTokens);
+
+    const providerResult = { ...result, text: await _keepTemplateVariables(result, params, allowReprompt, trackUsage) };
+
+    if (params.sections) {
+        // Sections are repaired one by one and rendered as text for the other output options
+        repaired = _repairSections(await _resolveSections(providerResult, params, allowReprompt, trackUsage), config.ai.repair.mode);
+        sections = mapSectionText(repaired.sections, text => restoreRedactions(text, placeholders));
+        enhancedPrompt = renderSectionsText(sections);
+    } else {
+        // Fix buzzwords and stock phrases from the prompt dictionary that made it into the output
+        const repairMode = config.ai.repair.mode === 'reprompt' && !allowReprompt ? 'rewrite' : config.ai.repair.mode;
+        // Repair runs before markdown is converted, so terms inside code blocks can still be told apart
+        repaired = await repairOutput(providerResult.text, {
+            mode: repairMode,
+            maxReprompts: config.ai.repair.maxReprompts,
+            reprompt: _createReprompt(providerResult.provider, params, trackUsage)
+        });
+        // Re-prompts above only ever see the placeholders; the values go back in once they are done
+        enhancedPrompt = _cleanOutput(restoreRedactions(repaired.text, placeholders), params.outputStyle, true);
+    }
+    if (repaired.repair.fixes.length > 0) {
+        console.log(`Repaired ${repaired.repair.fixes.length} flagged term(s) in the enhanced prompt`);
+    }
 
-        // Clean the enhanced prompt of markdown formatting
-        enhancedPrompt = cleanMarkdownFormatting(enhancedPrompt);
+    const estimatedCost = estimateCost(usage, providerResult.provider, providerResult.model);
+    recordUsage({ provider: providerResult.provider, model: providerResult.model, usage, estimatedCost });
+
+    const { guidance, seed, targetProfile, outputStyle, detectedLanguage, targetLanguage, language, safety, redaction } = params;
+    // Code fences are kept until the format and style are applied, so code is left as it is
+    const removeFences = text => (outputStyle === 'markdown' ? text : removeCodeFences(text));
+
+    // Pick the domain whose advice goes into the guidance
+    const classification = classifyDomain(originalPrompt);
+    const domain = classification.domain
+        ? { name: classification.domain.name, confidence: classification.confidence }
+        : null;
+
+    // Image models take descriptors and a negative prompt rather than one of the text formats
+    if (targetProfile && targetProfile.kind === 'image') {
+        const imagePrompt = restoreVariables(formatImagePrompt(removeFences(enhancedPrompt), targetProfile).text);
+        return {
+            enhancedText: imagePrompt,
+            provider: providerResult.provider,
+            model: providerResult.model,
+            attempts: providerResult.attempts,
+            repair: repaired.repair,
+            seed,
+            domain,
+            targetModel: targetProfile.family,
+            sections: null,
+            outputStyle,
+            detectedLanguage,
+            targetLanguage,
+            safety,
+            redaction,
+            variables,
+            scores: scoreEnhancementPair(originalPrompt, imagePrompt),
+            usage,
+            estimatedCost
+        };
+    }
 
-        // Perform a final pass to replace any remaining encoded quotes
-        enhancedPrompt = enhancedPrompt
-            .replace(/&quot;/g, '"')
-            .replace(/&#039;/g, "'")
-            .replace(/&apos;/g, "'");
+    // Make sure the output actually has the shape of the requested format
+    const formatResult = enforceFormat(enhancedPrompt, format);
+    if (formatResult.issues.length > 0) {
+        console.log(`Corrected ${format} format issues: ${formatResult.issues.join(', ')}`);
+    }
+    enhancedPrompt = formatResult.text;
+
+    // Mark up the sections as requested (markdown headers, XML tags)
+    enhancedPrompt = restoreVariables(removeFences(applyOutputStyle(enhancedPrompt, outputStyle, format)));
+
+    // Add content guidance, unless it is turned off or the provider already wrote its own
+    const providerCapabilities = providerRegistry.get(providerResult.provider)?.capabilities() || {};
+    const contentGuidance = !guidance.enabled || providerCapabilities.includesWritingGuidance
+        ? ''
+        : createContentGuidance({
+            domain: classification.domain,
+            language,
+            terms: guidance.terms,
+            phrases: guidance.phrases,
+            random: createRandom(seed)
+        });
 
-        // Add content guidance 
-        const contentGuidance = createContentGuidance(originalPrompt);
+    return {
+        enhancedText: enhancedPrompt + contentGuidance,
+        provider: providerResult.provider,
+        model: providerResult.model,
+        attempts: providerResult.attempts,
+        repair: repaired.repair,
+        seed,
+        domain,
+        targetModel: targetProfile ? targetProfile.family : null,
+        // The guidance is kept apart so callers can place each part in their own templates
+        sections: sections ? { ...mapSectionText(sections, restoreVariables), guidance: contentGuidance.trim() || null } : null,
+        outputStyle,
+        detectedLanguage,
+        targetLanguage,
+        safety,
+        redaction,
+        // Template variables of the prompt, all of them kept in the enhancement
+        variables,
+        // Local quality scores, so callers can show what the enhancement changed
+        scores: scoreEnhancementPair(originalPrompt, enhancedPrompt),
+        usage,
+        estimatedCost
+    };
+}
 
-        return enhancedPrompt + contentGuidance;
+/**
+ * Enhances a prompt and reports how the enhancement was produced
+ * @param {Object} params - The parameters for enhancement
+ * @param {string} params.originalPrompt - The original prompt text
+ * @param {string} [params.format='structured'] - Output format (paragraph, bullet, structured, conversational)
+ * @param {number} [params.seed] - Seed for the writing guidance selection (defaults to config, then a new seed)
+ * @param {Object} [params.guidance] - Overrides for config.ai.guidance ({ enabled, terms, phrases })
+ * @param {string} [params.targetModel] - Model the prompt is written for, e.g. gpt-4o, claude or midjourney
+ * @param {boolean} [params.sections=false] - Ask the provider for JSON sections and return them separately
+ * @param {string} [params.outputStyle] - plain, markdown or xml-tags (defaults to the target model's convention, then plain)
+ * @param {string} [params.targetLanguage] - Language code to write the enhancement in (defaults to the prompt's language)
+ * @param {AbortSignal} [params.signal] - Signal to cancel the provider call
+ * @returns {Promise<Object>} { enhancedText, provider, model, attempts, repair, seed, domain, targetModel, sections, outputStyle, detectedLanguage, targetLanguage, safety, redaction, variables, scores, usage, estimatedCost }
+ */
+async function enhancePromptDetailed(params) {
+    const prepared = _prepareParams(params);
 
+    try {
+        const providerResult = await _enhanceWithProvider(prepared);
+        return await _finalizeEnhancement(providerResult, prepared);
     } catch (error) {
         logError('Prompt Enhancement Error', error);
+        throw error;
+    }
+}
 
-        // Provide a meaningful fallback
-        const fallbackMessage = `Unable to enhance prompt. Error: ${error.message}. 
-
-General Prompt Enhancement Guidelines:
-1. Be specific about your request
-2. Provide context
-3. Define the desired output format
-4. Include any relevant constraints or requirements`;
+/**
+ * Revises an earlier enhancement of a prompt based on the user's feedback
+ * The provider sees the original prompt, its earlier enhancement and the feedback as one
+ * conversation, so the parts the feedback does not mention are kept. Rule-based providers
+ * cannot take feedback and are skipped.
+ * @param {Object} params - The parameters for enhancement (see enhancePromptDetailed), plus:
+ * @param {Object} params.enhancement - Enhancement to revise ({ text, sections })
+ * @param {string} params.feedback - What should change, e.g. "make it shorter"
+ * @returns {Promise<Object>} { enhancedText, provider, model, attempts, repair, seed, domain, targetModel, sections, outputStyle, detectedLanguage, targetLanguage, safety, redaction, variables, scores, usage, estimatedCost }
+ */
+async function refinePrompt(params) {
+    const prepared = _prepareRefinement(params);
 
-        return fallbackMessage;
+    try {
+        const providerResult = await _enhanceWithProvider(prepared);
+        return await _finalizeEnhancement(providerResult, prepared);
+    } catch (error) {
+        logError('Prompt Refinement Error', error);
+        throw error;
     }
 }
 
 /**
- * Selects random items from an array
- * @param {Array} array - The array to select from
- * @param {number} count - Number of items to select
- * @returns {Array} Selected items
+ * Enhances a prompt several times with different temperatures and style instructions
+ * The variants are generated in parallel and ranked by the local rubric; the result describes
+ * the best one and lists all of them. Variants that fail are left out unless all of them fail.
+ * @param {Object} params - The parameters for enhancement (see enhancePromptDetailed)
+ * @param {number} count - Number of variants, up to config.ai.variants.max
+ * @returns {Promise<Object>} Result of the best variant with the usage and cost of all of them, plus
+ *   `variants` sorted best first ({ id, strategy, temperature, rank, score, enhancedText, provider,
+ *   model, repair, sections, usage, estimatedCost })
  */
-function selectRandomItems(array, count) {
-    if (!array || array.length === 0) return [];
+async function enhancePromptVariants(params, count) {
+    const prepared = _prepareParams(params);
 
-    const result = [];
-    const arrayCopy = [...array];
-    const itemsToSelect = Math.min(count, arrayCopy.length);
+    const { max } = config.ai.variants;
+    if (!Number.isInteger(count) || count < 1 || count > max) {
+        throw new Error(`Variants must be an integer between 1 and ${max}`);
+    }
 
-    for (let i = 0; i < itemsToSelect; i++) {
-        const randomIndex = Math.floor(Math.random() * arrayCopy.length);
-        result.push(arrayCopy[randomIndex]);
-        arrayCopy.splice(randomIndex, 1);
+    const strategies = getVariantStrategies(count, config.ai.temperature);
+    const settled = await Promise.allSettled(strategies.map(async strategy => {
+        const variantParams = { ...prepared, temperature: strategy.temperature, variantInstructions: strategy.instructions };
+        const providerResult = await _enhanceWithProvider(variantParams);
+        return _finalizeEnhancement(providerResult, variantParams);
+    }));
+
+    const failures = settled.filter(outcome => outcome.status === 'rejected');
+    failures.forEach(failure => logError('Variant Enhancement Error', failure.reason));
+    if (failures.length === settled.length) {
+        throw failures[0].reason;
     }
 
-    return result;
+    const results = {};
+    const variants = [];
+    settled.forEach((outcome, index) => {
+        if (outcome.status !== 'fulfilled') return;
+
+        const id = `variant_${index + 1}`;
+        const result = outcome.value;
+        results[id] = result;
+        variants.push({
+            id,
+            strategy: strategies[index].name,
+            temperature: strategies[index].temperature,
+            enhancedText: result.enhancedText,
+            provider: result.provider,
+            model: result.model,
+            repair: result.repair,
+            sections: result.sections,
+            usage: result.usage,
+            estimatedCost: result.estimatedCost
+        });
+    });
+
+    const isImage = prepared.targetProfile && prepared.targetProfile.kind === 'image';
+    const ranked = rankVariants(variants, isImage ? null : prepared.format);
+
+    // Every variant was billed, so the usage and cost cover all of them
+    const costs = variants.map(variant => variant.estimatedCost).filter(cost => cost !== null);
+
+    return {
+        ...results[ranked[0].id],
+        usage: addUsage(...variants.map(variant => variant.usage)),
+        estimatedCost: costs.length > 0 ? Math.round(costs.reduce((sum, cost) => sum + cost, 0) * 1e6) / 1e6 : null,
+        variants: ranked
+    };
+}
+
+/**
+ * Enhances a prompt while streaming the provider output as it arrives
+ * Tokens are the raw provider output, so redacted values still show as placeholders in them and
+ * template variables as {{name}} tokens; the resolved result contains the cleaned-up text with
+ * the values and variables restored. Lost variables cannot be repaired once streamed and fail
+ * the request.
+ * @param {Object} params - The parameters for enhancement (see enhancePromptDetailed)
+ * @param {Function} onToken - Called with each text delta
+ * @returns {Promise<Object>} { enhancedText, provider, model, attempts, repair, seed, domain, targetModel, sections, outputStyle, detectedLanguage, targetLanguage, safety, redaction, variables, scores, usage, estimatedCost }
+ */
+async function enhancePromptStream(params, onToken) {
+    const prepared = _prepareParams(params);
+
+    try {
+        const providerResult = await _streamWithProvider(prepared, onToken);
+        // The streamed tokens cannot be taken back, so flagged terms are rewritten rather than re-prompted
+        return await _finalizeEnhancement(providerResult, prepared, { allowReprompt: false });
+    } catch (error) {
+        if (error.name !== 'AbortError' && !params.signal?.aborted) {
+            logError('Prompt Streaming Error', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Enhances a prompt using the configured AI providers
+ * @param {Object} params - The parameters for enhancement
+ * @param {string} params.originalPrompt - The original prompt text
+ * @param {string} [params.format='structured'] - Output format (paragraph, bullet, structured, conversational)
+ * @returns {Promise<string>} The enhanced prompt
+ */
+async function enhancePrompt(params) {
+    const result = await enhancePromptDetailed(params);
+    return result.enhancedText;
 }
 
 module.exports = {
-    enhancePrompt
+    enhancePrompt,
+    enhancePromptDetailed,
+    enhancePromptVariants,
+    enhancePromptStream,
+    refinePrompt
 };
@@ -0,0 +1,132 @@
+/**
+ * Provider fallback chain
+ * Tries the providers configured in config.ai.fallbackChain in order, skipping providers that
+ * are not configured or whose circuit breaker is open.
+ */
+const config = require('../config/config');
+const providerRegistry = require('./providers');
+const CircuitBreaker = require('../utils/circuitBreaker');
+
+// Provider used when nothing in the chain is configured
+const OFFLINE_PROVIDER = 'offline';
+
+// One circuit breaker per provider name
+const circuitBreakers = new Map();
+
+/**
+ * Get (and lazily create) the circuit breaker for a provider
+ * @param {string} name - Provider name
+ * @returns {CircuitBreaker} Circuit breaker
+ */
+function getCircuitBreaker(name) {
+    if (!circuitBreakers.has(name)) {
+        circuitBreakers.set(name, new CircuitBreaker(config.ai.circuitBreaker));
+    }
+
+    return circuitBreakers.get(name);
+}
+
+/**
+ * Forget all circuit breaker state
+ */
+function resetCircuitBreakers() {
+    circuitBreakers.clear();
+}
+
+/**
+ * Get the ordered list of provider names to try
+ * When none of them is configured and the offline fallback is enabled, the offline
+ * provider is added so requests still get a (rule-based) enhancement.
+ * @returns {Array<string>} Provider names
+ */
+function getChain() {
+    const chain = config.ai.fallbackChain && config.ai.fallbackChain.length > 0
+        ? [...config.ai.fallbackChain]
+        : [config.ai.provider];
+
+    const anyConfigured = chain.some(name => providerRegistry.get(name)?.isConfigured());
+    if (config.ai.offlineFallback && !anyConfigured) {
+        chain.push(OFFLINE_PROVIDER);
+    }
+
+    return [...new Set(chain)];
+}
+
+/**
+ * Run a provider operation along the fallback chain
+ * @param {Function} operation - async (provider) => result, called for each provider until one succeeds.
+ *   Errors flagged with `stopFallback` end the chain instead of moving on to the next provider.
+ * @param {Object} [options] - Chain options
+ * @param {AbortSignal} [options.signal] - Signal of the client request; once aborted no further providers are tried
+ * @param {Function} [options.skip] - (provider) => reason or null; providers with a reason are passed over
+ *   without counting against their circuit breaker
+ * @param {string} [options.unavailableMessage] - Error message when no provider succeeds
+ * @returns {Promise<Object>} { result, provider, attempts }
+ */
+async function runWithFallback(operation, options = {}) {
+    const { signal, skip, unavailableMessage = 'No AI provider was able to enhance the prompt. Check your configuration.' } = options;
+    const attempts = [];
+
+    for (const name of getChain()) {
+        const provider = providerRegistry.get(name);
+
+        if (!provider) {
+            attempts.push({ provider: name, status: 'skipped', reason: 'not_registered' });
+            continue;
+        }
+
+        if (!provider.isConfigured()) {
+            attempts.push({ provider: name, status: 'skipped', reason: 'not_configured' });
+            continue;
+        }
+
+        const skipReason = skip ? skip(provider) : null;
+        if (skipReason) {
+            attempts.push({ provider: name, status: 'skipped', reason: skipReason });
+            continue;
+        }
+
+        const breaker = getCircuitBreaker(name);
+        if (!breaker.canRequest()) {
+            attempts.push({ provider: name, status: 'skipped', reason: 'circuit_open' });
+            continue;
+        }
+
+        try {
+            const result = await operation(provider);
+            breaker.recordSuccess();
+            attempts.push({ provider: name, status: 'succeeded' });
+
+            return { result, provider: name, attempts };
+        } catch (error) {
+            // A cancelled request says nothing about the provider's health
+            if (error.name === 'AbortError' || signal?.aborted) {
+                breaker.recordCancellation();
+                throw error;
+            }
+
+            breaker.recordFailure();
+            attempts.push({ provider: name, status: 'failed', reason: error.message });
+            console.error(`[ProviderChain] ${name} failed: ${error.message}`);
+
+            // Operations that already produced output (e.g. a partially sent stream) cannot be retried elsewhere
+            if (error.stopFallback) {
+                error.attempts = attempts;
+                throw error;
+            }
+        }
+    }
+
+    const error = new Error(unavailableMessage);
+    error.statusCode = 503;
+    error.code = 'provider_unavailable';
+    error.attempts = attempts;
+    throw error;
+}
+
+module.exports = {
+    getChain,
+    getCircuitBreaker,
+    resetCircuitBreakers,
+    runWithFallback
+};
@@ -0,0 +1,183 @@
+const config = require('../../config/config');
+const AnthropicService = require('../anthropicService');
+
+/**
+ * Convert chat messages to the Messages API shape
+ * System messages move to the separate `system` field and consecutive messages
+ * from the same role are merged, since the API requires alternating turns.
+ * @param {Array<Object>} messages - Chat messages ({ role, content })
+ * @returns {Object} { system, messages }
+ */
+function toAnthropicMessages(messages) {
+    const system = messages
+        .filter(message => message.role === 'system')
+        .map(message => message.content)
+        .join('\n\n');
+
+    const turns = [];
+    for (const message of messages.filter(m => m.role !== 'system')) {
+        const previous = turns[turns.length - 1];
+        if (previous && previous.role === message.role) {
+            previous.content[0].text += `\n\n${message.content}`;
+        } else {
+            turns.push({ role: message.role, content: [{ type: 'text', text: message.content }] });
+        }
+    }
+
+    return { system, messages: turns };
+}
+
+/**
+ * Anthropic (Claude) provider
+ * Wraps AnthropicService, which is created on first use
+ */
+class AnthropicProvider {
+    constructor() {
+        this.name = 'anthropic';
+        this.service = null;
+        this.serviceKey = null;
+    }
+
+    /**
+     * Check whether an Anthropic API key is configured
+     * @returns {boolean} True if the provider can be used
+     */
+    isConfigured() {
+        return !!config.ai.anthropic.apiKey;
+    }
+
+    /**
+     * Get the Anthropic service, recreating it if the configuration changed
+     * @returns {AnthropicService} Anthropic service
+     * @private
+     */
+    _getService() {
+        const { apiKey, baseUrl, version } = config.ai.anthropic;
+        const serviceKey = `${apiKey}|${baseUrl || ''}|${version}`;
+
+        if (!this.service || this.serviceKey !== serviceKey) {
+            this.service = new AnthropicService(apiKey, { baseUrl, version });
+            this.serviceKey = serviceKey;
+        }
+
+        return this.service;
+    }
+
+    /**
+     * Enhance a prompt with the Messages API
+     * @param {Object} request - Enhancement request
+     * @returns {Promise<Object>} { text, model, usage }
+     */
+    async enhance(request) {
+        const { temperature, maxTokens, signal } = request;
+        const model = request.model || config.ai.anthropic.defaultModel;
+        const { system, messages } = toAnthropicMessages(request.messages);
+
+        const response = await this._getService().createMessage({
+            model,
+            system,
+            messages,
+            maxTokens,
+            temperature,
+            signal
+        });
+
+        const text = (response.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        return {
+            text,
+            model: response.model || model,
+            usage: response.usage
+                ? { inputTokens: response.usage.input_tokens, outputTokens: response.usage.output_tokens }
+                : undefined
+        };
+    }
+
+    /**
+     * Stream an enhancement token by token
+     * @param {Object} request - Enhancement request (may include an AbortSignal as `signal`)
+     * @param {Function} onToken - Called with each text delta
+     * @returns {Promise<Object>} { text, model, usage } once the stream has finished
+     */
+    async stream(request, onToken) {
+        const { temperature, maxTokens, signal } = request;
+        let model = request.model || config.ai.anthropic.defaultModel;
+        const { system, messages } = toAnthropicMessages(request.messages);
+
+        const events = await this._getService().createMessage({
+            model,
+            system,
+            messages,
+            maxTokens,
+            temperature,
+            stream: true,
+            signal
+        });
+
+        let text = '';
+        // Input tokens are reported when the message starts, output tokens in the final delta
+        const usage = { inputTokens: undefined, outputTokens: undefined };
+        for await (const event of events) {
+            if (event.type === 'message_start' && event.message?.model) {
+                model = event.message.model;
+            }
+            if (event.type === 'message_start' && event.message?.usage) {
+                usage.inputTokens = event.message.usage.input_tokens;
+            }
+            if (event.type === 'message_delta' && event.usage) {
+                usage.outputTokens = event.usage.output_tokens;
+            }
+
+            if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                text += event.delta.text;
+                onToken(event.delta.text);
+            }
+        }
+
+        return { text, model, usage };
+    }
+
+    /**
+     * List the models available to the configured key
+     * @returns {Promise<Array<string>>} Model IDs
+     */
+    async listModels() {
+        const response = await this._getService().listModels();
+        return (response.data || []).map(model => model.id);
+    }
+
+    /**
+     * Check connectivity to the Anthropic API
+     * @returns {Promise<Object>} Health status
+     */
+    async health() {
+        if (!this.isConfigured()) {
+            return { status: 'unconfigured' };
+        }
+
+        const startedAt = Date.now();
+        try {
+            await this.listModels();
+            return { status: 'ok', latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { status: 'error', latencyMs: Date.now() - startedAt, error: error.message };
+        }
+    }
+
+    /**
+     * Describe what this provider supports
+     * @returns {Object} Capabilities
+     */
+    capabilities() {
+        return {
+            streaming: true,
+            defaultModel: config.ai.anthropic.defaultModel
+        };
+    }
+}
+
+module.exports = new AnthropicProvider();
+module.exports.toAnthropicMessages = toAnthropicMessages;
@@ -0,0 +1,108 @@
+/**
+ * AI Provider Registry
+ * Every module in this directory exports a provider instance and is registered automatically,
+ * so adding a provider only requires dropping a new module in here.
+ *
+ * A provider implements:
+ * - name {string}                         Unique provider name used in configuration
+ * - isConfigured() {boolean}              Whether credentials/settings are present
+ * - enhance(request) {Promise<Object>}    Runs an enhancement, resolves to { text, model }
+ * - listModels() {Promise<Array<string>>} Models available to the provider
+ * - health() {Promise<Object>}            Connectivity check ({ status, latencyMs, error })
+ * - capabilities() {Object}               Feature flags ({ streaming, defaultModel, ... })
+ *
+ * Providers reporting `streaming: true` also implement stream(request, onToken), which calls
+ * onToken with each text delta and resolves to { text, model } when the stream ends.
+ *
+ * The enhancement request contains the chat `messages` built by the prompt builder along with
+ * the raw `originalPrompt`, `format`, `temperature`, `maxTokens`, an optional `model` and an
+ * optional AbortSignal (`signal`) used to cancel the upstream call.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const REQUIRED_METHODS = ['isConfigured', 'enhance', 'listModels', 'health', 'capabilities'];
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * Register a provider
+     * @param {Object} provider - Provider implementing the provider interface
+     * @returns {Object} The registered provider
+     */
+    register(provider) {
+        if (!provider || typeof provider.name !== 'string' || !provider.name) {
+            throw new Error('Provider must have a name');
+        }
+
+        const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Provider '${provider.name}' is missing required methods: ${missing.join(', ')}`);
+        }
+
+        this.providers.set(provider.name, provider);
+        return provider;
+    }
+
+    /**
+     * Remove a provider from the registry
+     * @param {string} name - Provider name
+     * @returns {boolean} True if a provider was removed
+     */
+    unregister(name) {
+        return this.providers.delete(name);
+    }
+
+    /**
+     * Get a provider by name
+     * @param {string} name - Provider name
+     * @returns {Object|null} Provider or null if not registered
+     */
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    /**
+     * Check if a provider is registered
+     * @param {string} name - Provider name
+     * @returns {boolean} True if registered
+     */
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    /**
+     * List registered providers
+     * @returns {Array<Object>} Providers
+     */
+    list() {
+        return Array.from(this.providers.values());
+    }
+
+    /**
+     * Register every provider module found in a directory
+     * @param {string} directory - Directory containing provider modules
+     */
+    loadFromDirectory(directory) {
+        const files = fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js') && file !== 'index.js')
+            .sort();
+
+        for (const file of files) {
+            try {
+                this.register(require(path.join(directory, file)));
+            } catch (error) {
+                console.error(`Failed to load AI provider from ${file}:`, error.message);
+            }
+        }
+    }
+}
+
+const registry = new ProviderRegistry();
+registry.loadFromDirectory(__dirname);
+
+module.exports = registry;
+module.exports.ProviderRegistry = ProviderRegistry;
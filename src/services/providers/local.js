@@ -0,0 +1,141 @@
+const config = require('../../config/config');
+const { fromChatCompletionUsage } = require('../usageService');
+const LocalModelService = require('../localModelService');
+
+/**
+ * Local provider for any OpenAI-compatible /v1/chat/completions server
+ * (Ollama, llama.cpp server, vLLM, LM Studio, ...)
+ */
+class LocalProvider {
+    constructor() {
+        this.name = 'local';
+        this.service = null;
+        this.serviceKey = null;
+    }
+
+    /**
+     * Check whether a base URL and model are configured
+     * @returns {boolean} True if the provider can be used
+     */
+    isConfigured() {
+        return !!(config.ai.local.baseUrl && config.ai.local.model);
+    }
+
+    /**
+     * Get the local model service, recreating it if the configuration changed
+     * @returns {LocalModelService} Local model service
+     * @private
+     */
+    _getService() {
+        const { baseUrl, apiKey, timeout } = config.ai.local;
+        const serviceKey = `${baseUrl}|${apiKey || ''}|${timeout}`;
+
+        if (!this.service || this.serviceKey !== serviceKey) {
+            this.service = new LocalModelService({ baseUrl, apiKey, timeout });
+            this.serviceKey = serviceKey;
+        }
+
+        return this.service;
+    }
+
+    /**
+     * Enhance a prompt with the local model
+     * @param {Object} request - Enhancement request
+     * @returns {Promise<Object>} { text, model, usage }
+     */
+    async enhance(request) {
+        const { messages, temperature, maxTokens, signal } = request;
+        const model = request.model || config.ai.local.model;
+
+        const response = await this._getService().createChatCompletion({
+            model,
+            messages,
+            temperature,
+            maxTokens,
+            signal
+        });
+
+        return {
+            text: response.choices?.[0]?.message?.content || '',
+            model: response.model || model,
+            usage: fromChatCompletionUsage(response.usage)
+        };
+    }
+
+    /**
+     * Stream an enhancement token by token
+     * @param {Object} request - Enhancement request (may include an AbortSignal as `signal`)
+     * @param {Function} onToken - Called with each text delta
+     * @returns {Promise<Object>} { text, model, usage } once the stream has finished
+     */
+    async stream(request, onToken) {
+        const { messages, temperature, maxTokens, signal } = request;
+        let model = request.model || config.ai.local.model;
+
+        const chunks = await this._getService().createChatCompletion({
+            model,
+            messages,
+            temperature,
+            maxTokens,
+            stream: true,
+            signal
+        });
+
+        let text = '';
+        let usage;
+        for await (const chunk of chunks) {
+            if (chunk.model) model = chunk.model;
+            // The usage arrives with the last chunk
+            if (chunk.usage) usage = fromChatCompletionUsage(chunk.usage);
+
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onToken(delta);
+            }
+        }
+
+        return { text, model, usage };
+    }
+
+    /**
+     * List the models served by the local server
+     * @returns {Promise<Array<string>>} Model IDs
+     */
+    async listModels() {
+        const response = await this._getService().listModels();
+        return (response.data || []).map(model => model.id);
+    }
+
+    /**
+     * Check connectivity to the local server
+     * @returns {Promise<Object>} Health status
+     */
+    async health() {
+        if (!this.isConfigured()) {
+            return { status: 'unconfigured' };
+        }
+
+        const startedAt = Date.now();
+        try {
+            await this.listModels();
+            return { status: 'ok', latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { status: 'error', latencyMs: Date.now() - startedAt, error: error.message };
+        }
+    }
+
+    /**
+     * Describe what this provider supports
+     * @returns {Object} Capabilities
+     */
+    capabilities() {
+        return {
+            streaming: true,
+            defaultModel: config.ai.local.model || null,
+            baseUrl: config.ai.local.baseUrl || null
+        };
+    }
+}
+
+module.exports = new LocalProvider();
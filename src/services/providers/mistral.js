@@ -0,0 +1,139 @@
+const config = require('../../config/config');
+const { fromChatCompletionUsage } = require('../usageService');
+const MistralService = require('../mistralService');
+
+/**
+ * Mistral AI provider
+ * Wraps MistralService, which is created on first use
+ */
+class MistralProvider {
+    constructor() {
+        this.name = 'mistral';
+        this.service = null;
+    }
+
+    /**
+     * Check whether a Mistral API key is configured
+     * @returns {boolean} True if the provider can be used
+     */
+    isConfigured() {
+        return !!config.ai.mistral.apiKey;
+    }
+
+    /**
+     * Get (and lazily create) the Mistral service
+     * @returns {MistralService} Mistral service
+     * @private
+     */
+    _getService() {
+        if (!this.service) {
+            this.service = new MistralService(config.ai.mistral.apiKey, {
+                baseUrl: config.ai.mistral.baseUrl
+            });
+        }
+
+        return this.service;
+    }
+
+    /**
+     * Enhance a prompt with the Mistral chat completions API
+     * @param {Object} request - Enhancement request
+     * @returns {Promise<Object>} { text, model, usage }
+     */
+    async enhance(request) {
+        const { messages, temperature, maxTokens, responseFormat, signal } = request;
+        const model = request.model || config.ai.mistral.defaultModel;
+
+        const response = await this._getService().createChatCompletion({
+            model,
+            messages,
+            temperature,
+            maxTokens,
+            responseFormat,
+            signal
+        });
+
+        return {
+            text: response.choices[0]?.message?.content || '',
+            model: response.model || model,
+            usage: fromChatCompletionUsage(response.usage)
+        };
+    }
+
+    /**
+     * Stream an enhancement token by token
+     * @param {Object} request - Enhancement request (may include an AbortSignal as `signal`)
+     * @param {Function} onToken - Called with each text delta
+     * @returns {Promise<Object>} { text, model, usage } once the stream has finished
+     */
+    async stream(request, onToken) {
+        const { messages, temperature, maxTokens, responseFormat, signal } = request;
+        let model = request.model || config.ai.mistral.defaultModel;
+
+        const chunks = await this._getService().createChatCompletion({
+            model,
+            messages,
+            temperature,
+            maxTokens,
+            responseFormat,
+            stream: true,
+            signal
+        });
+
+        let text = '';
+        let usage;
+        for await (const chunk of chunks) {
+            if (chunk.model) model = chunk.model;
+            // The usage arrives with the last chunk
+            if (chunk.usage) usage = fromChatCompletionUsage(chunk.usage);
+
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onToken(delta);
+            }
+        }
+
+        return { text, model, usage };
+    }
+
+    /**
+     * List the models available to the configured key
+     * @returns {Promise<Array<string>>} Model IDs
+     */
+    async listModels() {
+        const response = await this._getService().listModels();
+        return (response.data || []).map(model => model.id);
+    }
+
+    /**
+     * Check connectivity to the Mistral API
+     * @returns {Promise<Object>} Health status
+     */
+    async health() {
+        if (!this.isConfigured()) {
+            return { status: 'unconfigured' };
+        }
+
+        const startedAt = Date.now();
+        try {
+            await this.listModels();
+            return { status: 'ok', latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { status: 'error', latencyMs: Date.now() - startedAt, error: error.message };
+        }
+    }
+
+    /**
+     * Describe what this provider supports
+     * @returns {Object} Capabilities
+     */
+    capabilities() {
+        return {
+            streaming: true,
+            defaultModel: config.ai.mistral.defaultModel
+        };
+    }
+}
+
+module.exports = new MistralProvider();
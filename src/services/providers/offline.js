@@ -0,0 +1,68 @@
+const { enhanceOffline } = require('../offlineEnhancerService');
+
+const MODEL = 'rule-based';
+
+/**
+ * Offline provider
+ * Enhances prompts with dictionary rules and structural heuristics instead of a model.
+ * It needs no credentials, so it is always configured and serves as the fallback
+ * when no other provider in the chain has an API key.
+ */
+class OfflineProvider {
+    constructor() {
+        this.name = 'offline';
+    }
+
+    /**
+     * The offline provider has nothing to configure
+     * @returns {boolean} Always true
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Enhance a prompt with the rule-based enhancer
+     * @param {Object} request - Enhancement request
+     * @returns {Promise<Object>} { text, model }
+     */
+    async enhance(request) {
+        const { originalPrompt, format, targetProfile, responseFormat, language } = request;
+        const { text } = enhanceOffline(originalPrompt, { format, targetProfile, responseFormat, language });
+
+        return { text, model: MODEL };
+    }
+
+    /**
+     * List the available models
+     * @returns {Promise<Array<string>>} Model IDs
+     */
+    async listModels() {
+        return [MODEL];
+    }
+
+    /**
+     * The offline provider has no upstream to check
+     * @returns {Promise<Object>} Health status
+     */
+    async health() {
+        return { status: 'ok', latencyMs: 0 };
+    }
+
+    /**
+     * Describe what this provider supports
+     * The output already carries the dictionary's writing constraints, so the
+     * enhancer does not append its (randomized) writing guidance block.
+     * @returns {Object} Capabilities
+     */
+    capabilities() {
+        return {
+            streaming: false,
+            defaultModel: MODEL,
+            deterministic: true,
+            includesWritingGuidance: true
+        };
+    }
+}
+
+module.exports = new OfflineProvider();
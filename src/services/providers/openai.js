@@ -0,0 +1,148 @@
+const { OpenAI } = require('openai');
+const config = require('../../config/config');
+const { fromChatCompletionUsage } = require('../usageService');
+
+/**
+ * OpenAI provider
+ * The client is created on first use so a missing key only affects requests routed here
+ */
+class OpenAIProvider {
+    constructor() {
+        this.name = 'openai';
+        this.client = null;
+    }
+
+    /**
+     * Check whether an OpenAI API key is configured
+     * @returns {boolean} True if the provider can be used
+     */
+    isConfigured() {
+        return !!config.ai.openai.apiKey;
+    }
+
+    /**
+     * Get (and lazily create) the OpenAI client
+     * @returns {OpenAI} OpenAI client
+     * @private
+     */
+    _getClient() {
+        if (!this.client) {
+            if (!this.isConfigured()) {
+                throw new Error('Missing required environment variables: OPENAI_API_KEY');
+            }
+
+            this.client = new OpenAI({
+                apiKey: config.ai.openai.apiKey,
+                baseURL: config.ai.openai.baseUrl,
+                timeout: config.ai.openai.timeout,
+                maxRetries: config.ai.openai.maxRetries
+            });
+        }
+
+        return this.client;
+    }
+
+    /**
+     * Enhance a prompt with the chat completions API
+     * @param {Object} request - Enhancement request
+     * @returns {Promise<Object>} { text, model, usage }
+     */
+    async enhance(request) {
+        const { messages, temperature, maxTokens, responseFormat, signal } = request;
+        const model = request.model || config.ai.openai.defaultModel;
+
+        const response = await this._getClient().chat.completions.create({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            ...(responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+        }, { signal });
+
+        return {
+            text: response.choices[0]?.message?.content || '',
+            model: response.model || model,
+            usage: fromChatCompletionUsage(response.usage)
+        };
+    }
+
+    /**
+     * Stream an enhancement token by token
+     * @param {Object} request - Enhancement request (may include an AbortSignal as `signal`)
+     * @param {Function} onToken - Called with each text delta
+     * @returns {Promise<Object>} { text, model, usage } once the stream has finished
+     */
+    async stream(request, onToken) {
+        const { messages, temperature, maxTokens, responseFormat, signal } = request;
+        let model = request.model || config.ai.openai.defaultModel;
+
+        const stream = await this._getClient().chat.completions.create({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            stream: true,
+            stream_options: { include_usage: true },
+            ...(responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+        }, { signal });
+
+        let text = '';
+        let usage;
+        for await (const chunk of stream) {
+            if (chunk.model) model = chunk.model;
+            // The usage arrives with the last chunk
+            if (chunk.usage) usage = fromChatCompletionUsage(chunk.usage);
+
+            const delta = chunk.choices[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onToken(delta);
+            }
+        }
+
+        return { text, model, usage };
+    }
+
+    /**
+     * List the models available to the configured key
+     * @returns {Promise<Array<string>>} Model IDs
+     */
+    async listModels() {
+        const models = [];
+        for await (const model of this._getClient().models.list()) {
+            models.push(model.id);
+        }
+        return models;
+    }
+
+    /**
+     * Check connectivity to the OpenAI API
+     * @returns {Promise<Object>} Health status
+     */
+    async health() {
+        if (!this.isConfigured()) {
+            return { status: 'unconfigured' };
+        }
+
+        const startedAt = Date.now();
+        try {
+            await this.listModels();
+            return { status: 'ok', latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { status: 'error', latencyMs: Date.now() - startedAt, error: error.message };
+        }
+    }
+
+    /**
+     * Describe what this provider supports
+     * @returns {Object} Capabilities
+     */
+    capabilities() {
+        return {
+            streaming: true,
+            defaultModel: config.ai.openai.defaultModel
+        };
+    }
+}
+
+module.exports = new OpenAIProvider();
@@ -0,0 +1,220 @@
+/**
+ * PII and secret redaction
+ * Email addresses, phone numbers, card numbers, IP addresses, customer names and secrets are
+ * found locally before a prompt is sent to a provider. Depending on config.ai.redaction, each
+ * kind is swapped for a placeholder that is put back in the enhanced output, makes the request
+ * fail, or is sent as written. The secret checks follow the ones in tools/security-check.js.
+ */
+const config = require('../config/config');
+
+const REDACTION_MODES = ['redact', 'reject', 'off'];
+
+// Kinds of sensitive data, checked in this order, with the label of their placeholders
+const SENSITIVE_TYPES = {
+    credential: 'CREDENTIAL',
+    email: 'EMAIL',
+    ipAddress: 'IP',
+    creditCard: 'CARD',
+    phone: 'PHONE',
+    name: 'NAME'
+};
+
+// Patterns for each kind; `group` redacts only part of the match (the value of "password: ...")
+const DETECTORS = [
+    { type: 'credential', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+    { type: 'credential', pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+    { type: 'credential', pattern: /\bAKIA[0-9A-Z]{16}\b/g },
+    { type: 'credential', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+    { type: 'credential', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+    { type: 'credential', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { type: 'credential', pattern: /\b(?:api[_-]?key|secret|token|password|passwd)\b\s*[=:]\s*['"]?(?!\{\{|\$\{)([^\s'"]{6,})/gi, group: 1 },
+    // Long random-looking strings, as in the "Potential API Key" check: mixed case and digits
+    { type: 'credential', pattern: /\b(?=[A-Za-z0-9_-]*[A-Z])(?=[A-Za-z0-9_-]*[a-z])(?=[A-Za-z0-9_-]*\d)[A-Za-z0-9_-]{32,}\b/g },
+    { type: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    { type: 'ipAddress', pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+    { type: 'creditCard', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, validate: value => _passesLuhn(value) },
+    // Digit groups that carry on before or after the match belong to some longer number
+    { type: 'phone', pattern: /(?<![\w+]|\d[\s.-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}(?![\w-]|[\s.-]\d)/g },
+    { type: 'phone', pattern: /(?<!\w)\+\d{8,15}\b/g },
+    // Capitalized names after a word that introduces a person
+    {
+        type: 'name',
+        pattern: /\b(?:[Cc]ustomer|[Cc]lient|[Pp]atient|[Ee]mployee|[Cc]andidate|[Tt]enant|[Cc]ontact|Mr\.?|Mrs\.?|Ms\.?|Dr\.?|Dear|named|name is|[Ss]incerely,?|[Rr]egards,?)[ \t]+([A-Z][a-z]+(?:[ -][A-Z][a-z]+){0,2})/g,
+        group: 1
+    }
+];
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(?:${Object.values(SENSITIVE_TYPES).join('|')})_\\d+\\]`, 'g');
+
+/**
+ * Check a card number with the Luhn checksum, so order numbers and ids are not taken for cards
+ * @param {string} value - Digits, possibly with spaces or dashes
+ * @returns {boolean} True if the checksum is valid
+ * @private
+ */
+function _passesLuhn(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+    for (let index = 0; index < digits.length; index++) {
+        let digit = Number(digits[digits.length - 1 - index]);
+        if (index % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Sort matches by position, dropping those that overlap an earlier one
+ * Overlapping matches keep the one that starts first, then the longest.
+ * @param {Array<Object>} matches - Matches ({ type, value, start, end })
+ * @returns {Array<Object>} Matches without overlaps
+ * @private
+ */
+function _resolveOverlaps(matches) {
+    const sorted = [...matches].sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const found = [];
+    for (const match of sorted) {
+        const last = found[found.length - 1];
+        if (!last || match.start >= last.end) {
+            found.push(match);
+        }
+    }
+    return found;
+}
+
+/**
+ * Find the sensitive data in a text
+ * @param {string} text - Text to check
+ * @returns {Array<Object>} Matches ({ type, value, start, end }) sorted by position
+ */
+function findSensitiveData(text) {
+    const matches = [];
+
+    for (const detector of DETECTORS) {
+        for (const match of (text || '').matchAll(detector.pattern)) {
+            const value = detector.group ? match[detector.group] : match[0];
+            if (!value || (detector.validate && !detector.validate(value))) continue;
+
+            const start = match.index + (detector.group ? match[0].lastIndexOf(value) : 0);
+            matches.push({ type: detector.type, value, start, end: start + value.length });
+        }
+    }
+
+    return _resolveOverlaps(matches);
+}
+
+/**
+ * Get the kind of data a placeholder stands for
+ * @param {string} placeholder - Placeholder, e.g. [EMAIL_1]
+ * @returns {string|undefined} Kind of data, e.g. email
+ * @private
+ */
+function _placeholderType(placeholder) {
+    const label = placeholder.slice(1, placeholder.lastIndexOf('_'));
+    return Object.keys(SENSITIVE_TYPES).find(type => SENSITIVE_TYPES[type] === label);
+}
+
+/**
+ * Find the values of earlier placeholders in a text
+ * Values are found wherever they appear, even without the context that first gave them away
+ * (a name that no longer follows "customer").
+ * @param {string} text - Text to check
+ * @param {Object} placeholders - Placeholder to value map
+ * @returns {Array<Object>} Matches ({ type, value, start, end })
+ * @private
+ */
+function _findKnownValues(text, placeholders) {
+    const matches = [];
+
+    for (const [placeholder, value] of Object.entries(placeholders)) {
+        const type = _placeholderType(placeholder);
+        for (let start = text.indexOf(value); start !== -1; start = text.indexOf(value, start + value.length)) {
+            matches.push({ type, value, start, end: start + value.length });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Replace the sensitive data in a prompt with placeholders
+ * The same value always gets the same placeholder, numbered per kind in order of appearance
+ * ([EMAIL_1], [EMAIL_2], ...), so the model can tell the values apart. Placeholders from an
+ * earlier call can be passed in, so text that goes along with the same prompt keeps using them.
+ * @param {string} text - Prompt text
+ * @param {Object} [modes=config.ai.redaction] - redact, reject or off per kind of data
+ * @param {Object} [known={}] - Placeholder to value map from an earlier call
+ * @returns {Object} { text, redaction, placeholders } where redaction summarizes what was
+ *   replaced ({ redacted, types }) and placeholders maps each placeholder to its value
+ * @throws {Error} With code sensitive_data_detected when a kind set to reject is found
+ */
+function redactPrompt(text, modes = config.ai.redaction, known = {}) {
+    const found = _resolveOverlaps([...findSensitiveData(text), ..._findKnownValues(text, known)])
+        .filter(match => (modes[match.type] || 'off') !== 'off');
+
+    const rejected = [...new Set(found.filter(match => modes[match.type] === 'reject').map(match => match.type))];
+    if (rejected.length > 0) {
+        // The values themselves are never echoed back
+        const error = new Error(`Prompt contains data that may not be sent to a provider (${rejected.join(', ')})`);
+        error.statusCode = 400;
+        error.code = 'sensitive_data_detected';
+        error.redaction = { rejected };
+        throw error;
+    }
+
+    const placeholders = { ...known };
+    const byValue = new Map();
+    const counts = {};
+    for (const [placeholder, value] of Object.entries(known)) {
+        const type = _placeholderType(placeholder);
+        byValue.set(`${type}:${value}`, placeholder);
+        counts[type] = (counts[type] || 0) + 1;
+    }
+
+    let redacted = '';
+    let position = 0;
+
+    for (const match of found) {
+        const key = `${match.type}:${match.value}`;
+        if (!byValue.has(key)) {
+            counts[match.type] = (counts[match.type] || 0) + 1;
+            const placeholder = `[${SENSITIVE_TYPES[match.type]}_${counts[match.type]}]`;
+            byValue.set(key, placeholder);
+            placeholders[placeholder] = match.value;
+        }
+
+        redacted += text.slice(position, match.start) + byValue.get(key);
+        position = match.end;
+    }
+    redacted += text.slice(position);
+
+    return {
+        text: redacted,
+        redaction: { redacted: Object.keys(placeholders).length, types: counts },
+        placeholders
+    };
+}
+
+/**
+ * Put the redacted values back in place of their placeholders
+ * @param {string} text - Text from the provider
+ * @param {Object} placeholders - Placeholder to value map from redactPrompt
+ * @returns {string} Text with the original values
+ */
+function restoreRedactions(text, placeholders) {
+    if (!text || !placeholders || Object.keys(placeholders).length === 0) {
+        return text;
+    }
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => placeholders[placeholder] ?? placeholder);
+}
+
+module.exports = {
+    REDACTION_MODES,
+    SENSITIVE_TYPES,
+    findSensitiveData,
+    redactPrompt,
+    restoreRedactions
+};
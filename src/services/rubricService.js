@@ -0,0 +1,112 @@
+/**
+ * Local rubric for enhanced prompts
+ * Scores an enhancement without an LLM call, so variants of the same prompt can be ranked:
+ * how specific it is, whether it has the shape of its format, how many dictionary terms it
+ * uses and whether its length is reasonable. Every criterion and the total run from 0 to 1.
+ */
+const { checkFormat, parseSections } = require('./formatService');
+const { analyzePrompt } = require('./promptAnalysisService');
+const { findBannedTerms } = require('./outputRepairService');
+const { normalizePromptText, scoreSpecificity } = require('./scoringService');
+
+// Weight of each criterion in the total score
+const RUBRIC_WEIGHTS = {
+    specificity: 0.3,
+    structure: 0.3,
+    dictionary: 0.25,
+    length: 0.15
+};
+
+// Word counts an enhanced prompt should fall between
+const IDEAL_LENGTH = { min: 50, max: 350 };
+
+const REQUIRED_SECTIONS = ['role', 'context', 'task', 'constraints', 'outputFormat'];
+
+/**
+ * Round a score to two decimals
+ * @param {number} value - Score
+ * @returns {number} Rounded score between 0 and 1
+ * @private
+ */
+function _round(value) {
+    return Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+}
+
+/**
+ * Score how well the prompt matches its format
+ * Structured prompts also earn credit for each of the five expected sections they have.
+ * @param {string} text - Normalized prompt
+ * @param {string|null} format - Format name, or null when no text format applies
+ * @returns {Object} { score, issues }
+ * @private
+ */
+function _scoreStructure(text, format) {
+    if (!format) {
+        return { score: 1, issues: [] };
+    }
+
+    const issues = checkFormat(text, format);
+    const conformity = Math.max(0, 1 - issues.length / 3);
+
+    if (format !== 'structured') {
+        return { score: _round(conformity), issues };
+    }
+
+    const found = new Set(parseSections(text).map(section => section.key));
+    const coverage = REQUIRED_SECTIONS.filter(key => found.has(key)).length / REQUIRED_SECTIONS.length;
+
+    return { score: _round((conformity + coverage) / 2), issues };
+}
+
+/**
+ * Score the length of the prompt against the ideal word count
+ * @param {number} words - Word count
+ * @returns {number} Score between 0 and 1
+ * @private
+ */
+function _scoreLength(words) {
+    if (words < IDEAL_LENGTH.min) return _round(words / IDEAL_LENGTH.min);
+    if (words > IDEAL_LENGTH.max) return _round(IDEAL_LENGTH.max / words);
+    return 1;
+}
+
+/**
+ * Score an enhanced prompt with the local rubric
+ * @param {string} text - Enhanced prompt
+ * @param {Object} [options] - Scoring options
+ * @param {string|null} [options.format='structured'] - Format the prompt was written in; null skips the structure check
+ * @returns {Object} { score, criteria: { specificity, structure, dictionary, length }, words, violations, formatIssues }
+ */
+function scoreEnhancement(text, options = {}) {
+    const { format = 'structured' } = options;
+    const normalized = normalizePromptText(text);
+    const { findings } = analyzePrompt(normalized);
+    const words = normalized.split(/\s+/).filter(Boolean).length;
+    // Terms in quotes are mentioned ('Avoid "seamless"') rather than used
+    const violations = findBannedTerms(normalized).length;
+    const structure = _scoreStructure(normalized, format);
+
+    const criteria = {
+        specificity: scoreSpecificity(normalized, findings),
+        structure: structure.score,
+        dictionary: _round(1 / (1 + violations)),
+        length: _scoreLength(words)
+    };
+
+    const score = Object.entries(RUBRIC_WEIGHTS)
+        .reduce((total, [criterion, weight]) => total + criteria[criterion] * weight, 0);
+
+    return {
+        score: _round(score),
+        criteria,
+        words,
+        violations,
+        formatIssues: structure.issues
+    };
+}
+
+module.exports = {
+    RUBRIC_WEIGHTS,
+    IDEAL_LENGTH,
+    scoreEnhancement
+};
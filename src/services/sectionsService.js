@@ -0,0 +1,167 @@
+/**
+ * Enhancement sections
+ * Lets callers receive the enhanced prompt as named parts (role, context, task, constraints,
+ * output format, examples) instead of one string. Providers are asked for JSON, which is
+ * validated against a schema; text that cannot be parsed is split on its section headings.
+ */
+const Joi = require('joi');
+const { parseSections, renderSections } = require('./formatService');
+
+// Sections in the order they are rendered, with the label used in structured text
+const SECTION_FIELDS = [
+    { key: 'role', label: 'ROLE', list: false },
+    { key: 'context', label: 'CONTEXT', list: false },
+    { key: 'task', label: 'TASK', list: false },
+    { key: 'constraints', label: 'CONSTRAINTS', list: true },
+    { key: 'outputFormat', label: 'OUTPUT FORMAT', list: true },
+    { key: 'examples', label: 'EXAMPLES', list: true }
+];
+
+const stringList = Joi.array().items(Joi.string().trim().min(1)).single().default([]);
+
+const SECTIONS_SCHEMA = Joi.object({
+    role: Joi.string().trim().min(1).required(),
+    context: Joi.string().trim().allow('').default(''),
+    task: Joi.string().trim().min(1).required(),
+    constraints: stringList,
+    outputFormat: stringList,
+    examples: stringList
+}).options({ stripUnknown: true });
+
+const SECTIONS_INSTRUCTIONS = `OUTPUT FORMAT: JSON SECTIONS
+- Respond with a single JSON object and nothing else: no code fences, no commentary
+- Use exactly these keys:
+  "role": string, who the AI should act as
+  "context": string, background the AI needs
+  "task": string, what the AI should do
+  "constraints": array of strings, one requirement each
+  "outputFormat": array of strings, how the response should be shaped
+  "examples": array of strings, short examples of the expected output (may be empty)`;
+
+const LIST_ITEM_PATTERN = /^\s*(?:[-*•+]|\d+[.)])\s+/;
+
+/**
+ * Find the JSON object in a provider response
+ * Models sometimes wrap JSON in code fences or add a sentence before it.
+ * @param {string} text - Provider output
+ * @returns {string} Text from the first "{" to the last "}"
+ * @private
+ */
+function _extractJson(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+/**
+ * Parse and validate a JSON sections response
+ * @param {string} text - Provider output
+ * @returns {Object} { sections, error } where error describes why the output was rejected
+ */
+function parseSectionsJson(text) {
+    let value;
+    try {
+        value = JSON.parse(_extractJson(text || ''));
+    } catch (error) {
+        return { sections: null, error: `Response is not valid JSON (${error.message})` };
+    }
+
+    const { value: sections, error } = SECTIONS_SCHEMA.validate(value, { abortEarly: false });
+    if (error) {
+        return { sections: null, error: error.details.map(detail => detail.message).join('; ') };
+    }
+
+    return { sections, error: null };
+}
+
+/**
+ * Build the message asking a provider to fix a malformed JSON response
+ * @param {string} error - Why the previous response was rejected
+ * @returns {string} Correction instructions
+ */
+function buildJsonCorrectionMessage(error) {
+    return `Your previous response could not be used: ${error}.
+Return the same enhanced prompt as a single JSON object with the keys "role", "context", "task", "constraints", "outputFormat" and "examples", and nothing else.`;
+}
+
+/**
+ * Split section content into list items
+ * @param {string} content - Section content
+ * @returns {Array<string>} Items without list markers
+ * @private
+ */
+function _toList(content) {
+    const lines = content.split('\n').map(line => line.trim()).filter(Boolean);
+    if (!lines.some(line => LIST_ITEM_PATTERN.test(line))) {
+        return lines.length > 0 ? [lines.join(' ')] : [];
+    }
+    return lines.map(line => line.replace(LIST_ITEM_PATTERN, ''));
+}
+
+/**
+ * Recover sections from plain text with section headings
+ * Used when a provider did not return valid JSON even after a repair attempt.
+ * @param {string} text - Provider output
+ * @returns {Object} Sections; missing ones are empty
+ */
+function sectionsFromText(text) {
+    const parsed = parseSections(text);
+    const sections = {};
+
+    for (const field of SECTION_FIELDS) {
+        const content = parsed
+            .filter(section => section.key === field.key)
+            .map(section => section.content)
+            .join('\n');
+        sections[field.key] = field.list ? _toList(content) : content.trim();
+    }
+
+    return sections;
+}
+
+/**
+ * Apply a function to every piece of text in the sections
+ * @param {Object} sections - Sections
+ * @param {Function} transform - (text) => new text
+ * @returns {Object} New sections; list items that become empty are dropped
+ */
+function mapSectionText(sections, transform) {
+    const mapped = {};
+
+    for (const field of SECTION_FIELDS) {
+        const value = sections[field.key];
+        mapped[field.key] = field.list
+            ? (value || []).map(transform).filter(item => item && item.trim())
+            : transform(value || '');
+    }
+
+    return mapped;
+}
+
+/**
+ * Render sections as structured text with "LABEL:" headings
+ * @param {Object} sections - Sections
+ * @returns {string} Structured text; empty sections are left out
+ */
+function renderSectionsText(sections) {
+    return renderSections(SECTION_FIELDS
+        .map(field => {
+            const value = sections[field.key];
+            const content = field.list
+                ? (value || []).map(item => `- ${item}`).join('\n')
+                : (value || '').trim();
+            return { label: field.label, content };
+        })
+        .filter(section => section.content));
+}
+
+module.exports = {
+    SECTION_FIELDS,
+    SECTIONS_SCHEMA,
+    SECTIONS_INSTRUCTIONS,
+    parseSectionsJson,
+    buildJsonCorrectionMessage,
+    sectionsFromText,
+    mapSectionText,
+    renderSectionsText
+};
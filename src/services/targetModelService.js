@@ -0,0 +1,157 @@
+/**
+ * Target model profiles
+ * Enhanced prompts are pasted into many different models. Each profile describes the prompt
+ * conventions of one model family: the instructions given to the enhancing model and how the
+ * result is rendered (the default output style for text models, comma-separated descriptors
+ * with a negative prompt for image models).
+ */
+const TARGET_PROFILES = {
+    gpt: {
+        kind: 'text',
+        match: /^(?:gpt|chatgpt|openai|o\d)/i,
+        outputStyle: 'markdown',
+        instructions: `TARGET MODEL: GPT (OpenAI)
+- The prompt will be used with an OpenAI GPT model
+- Put the most important instruction first and restate hard requirements at the end`
+    },
+    claude: {
+        kind: 'text',
+        match: /^(?:claude|anthropic)/i,
+        outputStyle: 'xml-tags',
+        instructions: `TARGET MODEL: CLAUDE (Anthropic)
+- The prompt will be used with an Anthropic Claude model
+- Put long reference material before the task, and ask for the answer inside a named tag when the output will be parsed`
+    },
+    gemini: {
+        kind: 'text',
+        match: /^(?:gemini|bard|google)/i,
+        outputStyle: 'markdown',
+        instructions: `TARGET MODEL: GEMINI (Google)
+- The prompt will be used with a Google Gemini model
+- Give the task as a direct instruction
+- Include one short example of the expected output when the format matters`
+    },
+    llama: {
+        kind: 'text',
+        match: /^(?:llama|meta|mistral|mixtral)/i,
+        outputStyle: 'plain',
+        instructions: `TARGET MODEL: LLAMA (open-weight chat model)
+- The prompt will be used with a smaller open-weight chat model
+- Keep instructions short, literal and explicit; avoid nested or implicit requirements
+- State the exact output format with an example`
+    },
+    midjourney: {
+        kind: 'image',
+        match: /^(?:midjourney|mj|niji)/i,
+        negativeStyle: 'parameter',
+        instructions: `TARGET MODEL: MIDJOURNEY (image generation)
+- Write a single line of comma-separated visual descriptors: subject first, then setting, composition, lighting, color palette, style and medium
+- Do not write sentences, instructions or sections
+- Put things to exclude at the end as a "--no" parameter, e.g. "--no text, watermark"
+- Add an aspect ratio parameter such as "--ar 16:9" when the use is clear`
+    },
+    'stable-diffusion': {
+        kind: 'image',
+        match: /^(?:stable[- ]?diffusion|sdxl|sd\d*(?:\.\d+)?$|sd[- ]|flux|dall-?e)/i,
+        negativeStyle: 'separate',
+        instructions: `TARGET MODEL: STABLE DIFFUSION (image generation)
+- Write one line of comma-separated visual descriptors: subject first, then setting, composition, lighting, color palette, style, medium and quality tags
+- Do not write sentences, instructions or sections
+- On a new line, write "Negative prompt:" followed by comma-separated things to exclude`
+    }
+};
+
+// Used when an image model's output has no negative prompt of its own
+const DEFAULT_NEGATIVE_PROMPT = ['blurry', 'low quality', 'distorted', 'watermark', 'text'];
+
+const NEGATIVE_PROMPT_PATTERN = /^\s*(?:negative(?: prompt)?|avoid|exclude)\s*:\s*(.*)$/i;
+
+/**
+ * Get the names of the supported model families
+ * @returns {Array<string>} Family names
+ */
+function getTargetFamilies() {
+    return Object.keys(TARGET_PROFILES);
+}
+
+/**
+ * Find the profile for a target model name such as "gpt-4o" or "claude-3-5-sonnet"
+ * @param {string} targetModel - Model or family name
+ * @returns {Object|null} Profile ({ family, kind, ... }) or null if the model is not recognized
+ */
+function resolveTargetModel(targetModel) {
+    if (typeof targetModel !== 'string' || !targetModel.trim()) {
+        return null;
+    }
+
+    const name = targetModel.trim();
+    const family = getTargetFamilies().find(key => key === name.toLowerCase())
+        || getTargetFamilies().find(key => TARGET_PROFILES[key].match.test(name));
+
+    return family ? { family, ...TARGET_PROFILES[family] } : null;
+}
+
+/**
+ * Split descriptor text into individual descriptors
+ * @param {string} text - Comma- or line-separated descriptors
+ * @returns {Array<string>} Descriptors without list markers or trailing punctuation
+ * @private
+ */
+function _splitDescriptors(text) {
+    return text
+        .split(/,|\n/)
+        .map(part => part.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').replace(/[.;]+$/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Normalize image model output into descriptors and a negative prompt
+ * @param {string} text - Model output
+ * @param {Object} profile - Image model profile
+ * @returns {Object} { text, prompt, negativePrompt }
+ */
+function formatImagePrompt(text, profile) {
+    const descriptorLines = [];
+    const negatives = [];
+    const parameters = [];
+
+    for (const line of (text || '').split('\n')) {
+        const negativeMatch = line.match(NEGATIVE_PROMPT_PATTERN);
+        if (negativeMatch) {
+            negatives.push(..._splitDescriptors(negativeMatch[1]));
+            continue;
+        }
+
+        // Keep Midjourney parameters (--ar 16:9, --no x) apart from the descriptors
+        const [content, ...params] = line.split(/\s(?=--[a-z])/);
+        for (const param of params) {
+            const noMatch = param.match(/^--no\s+(.*)$/);
+            if (noMatch) {
+                negatives.push(..._splitDescriptors(noMatch[1]));
+            } else {
+                parameters.push(param.trim());
+            }
+        }
+        if (content.trim().startsWith('--')) {
+            parameters.push(content.trim());
+        } else {
+            descriptorLines.push(content);
+        }
+    }
+
+    const prompt = _splitDescriptors(descriptorLines.join('\n')).join(', ');
+    const negativePrompt = (negatives.length > 0 ? [...new Set(negatives)] : DEFAULT_NEGATIVE_PROMPT).join(', ');
+
+    const formatted = profile.negativeStyle === 'parameter'
+        ? [prompt, ...parameters, `--no ${negativePrompt}`].join(' ')
+        : `${prompt}\nNegative prompt: ${negativePrompt}`;
+
+    return { text: formatted, prompt, negativePrompt };
+}
+
+module.exports = {
+    TARGET_PROFILES,
+    getTargetFamilies,
+    resolveTargetModel,
+    formatImagePrompt
+};
@@ -0,0 +1,195 @@
+/**
+ * Template variables
+ * Prompts are often templates with placeholders such as {{customer_name}}, ${input} or __product__.
+ * Models tend to fill, rename or drop them, and markdown cleanup can take underscores for emphasis.
+ * Each placeholder is sent to the provider as a {{name}} token the model is told to keep, checked
+ * for in the output, and put back in its original syntax once the output has been cleaned up.
+ * Only {{name}} placeholders are looked for unless config.ai.templateVariables.syntaxes adds the
+ * others, since ${HOME} or __init__ in a prompt are as likely to be plain text.
+ */
+
+const config = require('../config/config');
+
+// Placeholder syntaxes, checked in this order
+const TEMPLATE_SYNTAXES = [
+    { syntax: 'mustache', pattern: /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g },
+    { syntax: 'dollar', pattern: /\$\{\s*([A-Za-z_][\w.]*)\s*\}/g },
+    // Not followed by a dot or parenthesis, so __init__.py and __str__() are left alone
+    { syntax: 'underscore', pattern: /(?<!\w)__([A-Za-z][A-Za-z0-9]*(?:_[A-Za-z0-9]+)*)__(?![\w.(])/g }
+];
+
+// Python names that look like __var__ placeholders
+const PYTHON_DUNDERS = new Set([
+    'init', 'main', 'name', 'file', 'doc', 'dict', 'class', 'module', 'all', 'slots', 'str', 'repr',
+    'call', 'len', 'iter', 'next', 'enter', 'exit', 'eq', 'hash', 'new', 'del', 'getattr', 'setattr'
+]);
+
+// Code blocks and inline code, whose ${...} and __x__ are code rather than placeholders
+const CODE_PATTERN = /```[\s\S]*?(?:```|$)|`[^`\n]+`/g;
+
+const TOKEN_PATTERN = /\{\{[A-Za-z_][\w.]*\}\}/g;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function _escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the template variables in a text
+ * @param {string} text - Text to check
+ * @param {Array<string>} [syntaxes=config.ai.templateVariables.syntaxes] - Placeholder syntaxes to look for
+ * @returns {Array<Object>} Variables ({ name, syntax, placeholder }) in order of first appearance,
+ *   one per distinct placeholder
+ */
+function findTemplateVariables(text, syntaxes = config.ai.templateVariables.syntaxes) {
+    const source = text || '';
+    const code = [...source.matchAll(CODE_PATTERN)].map(match => [match.index, match.index + match[0].length]);
+    const inCode = index => code.some(([start, end]) => index >= start && index < end);
+
+    const matches = [];
+    for (const { syntax, pattern } of TEMPLATE_SYNTAXES.filter(({ syntax }) => syntaxes.includes(syntax))) {
+        for (const match of source.matchAll(pattern)) {
+            if (inCode(match.index) || (syntax === 'underscore' && PYTHON_DUNDERS.has(match[1]))) continue;
+            matches.push({ name: match[1], syntax, placeholder: match[0], index: match.index });
+        }
+    }
+
+    const variables = [];
+    for (const { index, ...variable } of matches.sort((a, b) => a.index - b.index)) {
+        if (!variables.some(found => found.placeholder === variable.placeholder)) {
+            variables.push(variable);
+        }
+    }
+    return variables;
+}
+
+/**
+ * Replace the template variables in a text with tokens the provider is asked to keep
+ * Each placeholder becomes {{name}}, numbered ({{name_2}}) when another placeholder already has
+ * that token. Tokens from an earlier call can be passed in, so text that goes along with the same
+ * prompt keeps using them.
+ * @param {string} text - Text to protect
+ * @param {Object} [known={}] - Token to placeholder map from an earlier call
+ * @returns {Object} { text, tokens } where tokens maps each token to its placeholder
+ */
+function protectTemplateVariables(text, known = {}) {
+    const tokens = { ...known };
+    const byPlaceholder = new Map(Object.entries(known).map(([token, placeholder]) => [placeholder, token]));
+
+    for (const variable of findTemplateVariables(text)) {
+        if (byPlaceholder.has(variable.placeholder)) continue;
+
+        let token = `{{${variable.name}}}`;
+        for (let count = 2; tokens[token] !== undefined; count++) {
+            token = `{{${variable.name}_${count}}}`;
+        }
+        tokens[token] = variable.placeholder;
+        byPlaceholder.set(variable.placeholder, token);
+    }
+
+    const placeholders = [...byPlaceholder.keys()].sort((a, b) => b.length - a.length);
+    if (placeholders.length === 0) {
+        return { text, tokens };
+    }
+
+    const pattern = new RegExp(placeholders.map(_escapeRegExp).join('|'), 'g');
+    return { text: text.replace(pattern, placeholder => byPlaceholder.get(placeholder)), tokens };
+}
+
+/**
+ * Put the original placeholders back in place of their tokens
+ * @param {string} text - Text from the provider
+ * @param {Object} tokens - Token to placeholder map from protectTemplateVariables
+ * @returns {string} Text with the original placeholders
+ */
+function restoreTemplateVariables(text, tokens) {
+    if (!text || !tokens || Object.keys(tokens).length === 0) {
+        return text;
+    }
+    return text.replace(TOKEN_PATTERN, token => tokens[token] ?? token);
+}
+
+/**
+ * Find the tokens a provider left out of its output
+ * @param {string} text - Text from the provider
+ * @param {Object} tokens - Token to placeholder map
+ * @returns {Array<string>} Missing tokens
+ */
+function findMissingTokens(text, tokens) {
+    return Object.keys(tokens || {}).filter(token => !(text || '').includes(token));
+}
+
+/**
+ * Get the variables behind a token map, to report with an enhancement
+ * @param {Object} tokens - Token to placeholder map
+ * @returns {Array<Object>} Variables ({ name, syntax, placeholder })
+ */
+function describeTemplateVariables(tokens) {
+    return findTemplateVariables(Object.values(tokens || {}).join('\n'), TEMPLATE_SYNTAXES.map(({ syntax }) => syntax));
+}
+
+/**
+ * Build the instructions telling the model to keep the tokens
+ * @param {Object} tokens - Token to placeholder map
+ * @returns {string|null} Instructions, or null when the prompt has no variables
+ */
+function getTemplateVariableInstructions(tokens) {
+    const names = Object.keys(tokens || {});
+    if (names.length === 0) {
+        return null;
+    }
+
+    return `TEMPLATE VARIABLES:
+- The prompt is a template with these placeholders: ${names.join(', ')}
+- Keep every placeholder in the enhanced prompt, written exactly as it is, where its value belongs
+- Do not fill them in, rename them or add new ones`;
+}
+
+/**
+ * Build the message asking a provider to put back the placeholders it left out
+ * @param {Array<string>} missing - Missing tokens
+ * @returns {string} Correction instructions
+ */
+function buildVariablesCorrectionMessage(missing) {
+    return `Revise the enhanced prompt above. It is missing these template placeholders: ${missing.join(', ')}
+Add each of them back, written exactly as shown, where its value belongs. Keep everything else unchanged.
+Return the revised enhanced prompt in the same shape as before.`;
+}
+
+/**
+ * Fill the template variables of a text with values
+ * A placeholder is filled by its name whatever its syntax; values are inserted as written, so a
+ * value that looks like a placeholder is not filled in turn.
+ * @param {string} text - Text with placeholders
+ * @param {Array<Object>} variables - Variables of the text ({ name, placeholder })
+ * @param {Object} values - Values by variable name
+ * @returns {string} Filled-in text
+ */
+function renderTemplate(text, variables, values) {
+    const byPlaceholder = new Map(variables
+        .filter(variable => values[variable.name] !== undefined)
+        .map(variable => [variable.placeholder, String(values[variable.name])]));
+    if (!text || byPlaceholder.size === 0) {
+        return text;
+    }
+
+    const placeholders = [...byPlaceholder.keys()].sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(placeholders.map(_escapeRegExp).join('|'), 'g');
+    return text.replace(pattern, placeholder => byPlaceholder.get(placeholder));
+}
+
+module.exports = {
+    findTemplateVariables,
+    protectTemplateVariables,
+    restoreTemplateVariables,
+    findMissingTokens,
+    describeTemplateVariables,
+    getTemplateVariableInstructions,
+    buildVariablesCorrectionMessage,
+    renderTemplate
+};
@@ -0,0 +1,175 @@
+/**
+ * Token usage and cost tracking
+ * Providers report the tokens each call used; when they do not (the offline provider, local
+ * servers that omit it), the usage is estimated with the local tokenizer. Costs come from the
+ * price table in config.ai.pricing, and every enhancement is added to running totals that the
+ * stats endpoint reports.
+ */
+const config = require('../config/config');
+const { countTokens, countMessageTokens } = require('../utils/tokenizer');
+
+// Running totals since the process started (or since the last reset)
+let stats = null;
+
+/**
+ * Create an empty set of totals
+ * @returns {Object} Totals with every count at zero
+ * @private
+ */
+function _emptyTotals() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, estimatedCost: 0, unpricedRequests: 0 };
+}
+
+/**
+ * Forget all recorded usage
+ */
+function resetUsageStats() {
+    stats = {
+        since: new Date().toISOString(),
+        totals: _emptyTotals(),
+        byProvider: {},
+        byModel: {}
+    };
+}
+
+resetUsageStats();
+
+/**
+ * Convert the usage block of an OpenAI-style chat completion (OpenAI, Mistral, most local servers)
+ * @param {Object} [usage] - { prompt_tokens, completion_tokens }
+ * @returns {Object|undefined} { inputTokens, outputTokens }, or undefined when none was reported
+ */
+function fromChatCompletionUsage(usage) {
+    if (!usage) return undefined;
+    return { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens };
+}
+
+/**
+ * Get the token usage of a provider call
+ * @param {Object} request - Provider request ({ messages })
+ * @param {Object} result - Provider result ({ text, usage })
+ * @returns {Object} { inputTokens, outputTokens, totalTokens, estimated }
+ */
+function resolveUsage(request, result) {
+    const reported = result.usage;
+    if (reported && Number.isFinite(reported.inputTokens) && Number.isFinite(reported.outputTokens)) {
+        return {
+            inputTokens: reported.inputTokens,
+            outputTokens: reported.outputTokens,
+            totalTokens: reported.inputTokens + reported.outputTokens,
+            estimated: false
+        };
+    }
+
+    const inputTokens = countMessageTokens(request.messages);
+    const outputTokens = countTokens(result.text);
+    return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, estimated: true };
+}
+
+/**
+ * Add up the usage of several provider calls
+ * @param {...Object} usages - Usage objects (null entries are skipped)
+ * @returns {Object} Combined usage; estimated if any part was estimated
+ */
+function addUsage(...usages) {
+    return usages.filter(Boolean).reduce((total, usage) => ({
+        inputTokens: total.inputTokens + usage.inputTokens,
+        outputTokens: total.outputTokens + usage.outputTokens,
+        totalTokens: total.totalTokens + usage.totalTokens,
+        estimated: total.estimated || usage.estimated
+    }), { inputTokens: 0, outputTokens: 0, totalTokens: 0, estimated: false });
+}
+
+/**
+ * Find the price entry for a model
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output } in USD per million tokens, or null if unknown
+ */
+function getModelPrice(provider, model) {
+    const { pricing } = config.ai;
+    const name = (model || '').toLowerCase();
+
+    if (pricing[name]) return pricing[name];
+
+    const prefix = Object.keys(pricing)
+        .filter(key => name.startsWith(key.toLowerCase()))
+        .sort((a, b) => b.length - a.length)[0];
+    if (prefix) return pricing[prefix];
+
+    return pricing[provider] || null;
+}
+
+/**
+ * Estimate the cost of some token usage
+ * @param {Object} usage - Token usage
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {number|null} Cost in USD, or null when the model has no price
+ */
+function estimateCost(usage, provider, model) {
+    const price = getModelPrice(provider, model);
+    if (!price || !usage) return null;
+
+    const cost = (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Add usage to a set of totals
+ * @param {Object} totals - Totals to update
+ * @param {Object} usage - Token usage
+ * @param {number|null} cost - Estimated cost
+ * @private
+ */
+function _addToTotals(totals, usage, cost) {
+    totals.requests += 1;
+    totals.inputTokens += usage.inputTokens;
+    totals.outputTokens += usage.outputTokens;
+    totals.totalTokens += usage.totalTokens;
+    if (cost === null) {
+        totals.unpricedRequests += 1;
+    } else {
+        totals.estimatedCost = Math.round((totals.estimatedCost + cost) * 1e6) / 1e6;
+    }
+}
+
+/**
+ * Record the usage of a completed enhancement (or other provider work) in the running totals
+ * @param {Object} entry - { provider, model, usage, estimatedCost }
+ */
+function recordUsage({ provider, model, usage, estimatedCost }) {
+    if (!usage) return;
+
+    stats.byProvider[provider] = stats.byProvider[provider] || _emptyTotals();
+    stats.byModel[model] = stats.byModel[model] || _emptyTotals();
+
+    for (const totals of [stats.totals, stats.byProvider[provider], stats.byModel[model]]) {
+        _addToTotals(totals, usage, estimatedCost);
+    }
+}
+
+/**
+ * Get the usage recorded so far
+ * @returns {Object} { since, currency, totals, byProvider, byModel }
+ */
+function getUsageStats() {
+    return {
+        since: stats.since,
+        currency: 'USD',
+        totals: { ...stats.totals },
+        byProvider: JSON.parse(JSON.stringify(stats.byProvider)),
+        byModel: JSON.parse(JSON.stringify(stats.byModel))
+    };
+}
+
+module.exports = {
+    fromChatCompletionUsage,
+    resolveUsage,
+    addUsage,
+    getModelPrice,
+    estimateCost,
+    recordUsage,
+    getUsageStats,
+    resetUsageStats
+};
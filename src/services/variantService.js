@@ -0,0 +1,80 @@
+/**
+ * Enhancement variants
+ * Several enhancements of the same prompt are generated with different temperatures and style
+ * instructions, then ranked by the local rubric so callers can pick the one they prefer.
+ */
+const { scoreEnhancement } = require('./rubricService');
+
+// Strategies in the order they are used; the temperature is an offset from config.ai.temperature
+const VARIANT_STRATEGIES = [
+    {
+        name: 'balanced',
+        temperatureOffset: 0,
+        instructions: null
+    },
+    {
+        name: 'precise',
+        temperatureOffset: -0.4,
+        instructions: `VARIANT STYLE: PRECISE
+- State every requirement as a rule that can be checked
+- Prefer numbers, limits and named examples over adjectives`
+    },
+    {
+        name: 'concise',
+        temperatureOffset: -0.2,
+        instructions: `VARIANT STYLE: CONCISE
+- Keep the enhanced prompt short: one line per requirement, no restated context`
+    },
+    {
+        name: 'detailed',
+        temperatureOffset: 0.1,
+        instructions: `VARIANT STYLE: DETAILED
+- Cover edge cases and include one short example of the expected response`
+    },
+    {
+        name: 'exploratory',
+        temperatureOffset: 0.3,
+        instructions: `VARIANT STYLE: EXPLORATORY
+- Take a less obvious angle on the role and audience than a first draft would`
+    }
+];
+
+/**
+ * Get the strategies for a number of variants
+ * Strategies are reused in order when more variants are asked for than there are strategies.
+ * @param {number} count - Number of variants
+ * @param {number} baseTemperature - Configured temperature the offsets apply to
+ * @returns {Array<Object>} { name, temperature, instructions } per variant
+ */
+function getVariantStrategies(count, baseTemperature) {
+    return Array.from({ length: count }, (value, index) => {
+        const strategy = VARIANT_STRATEGIES[index % VARIANT_STRATEGIES.length];
+        const temperature = Math.min(1, Math.max(0, baseTemperature + strategy.temperatureOffset));
+
+        return {
+            name: strategy.name,
+            temperature: Math.round(temperature * 100) / 100,
+            instructions: strategy.instructions
+        };
+    });
+}
+
+/**
+ * Score variants with the local rubric and sort them best first
+ * Ties keep the order the variants were generated in.
+ * @param {Array<Object>} variants - Variants with an `enhancedText`
+ * @param {string|null} format - Format the variants were written in (null for image prompts)
+ * @returns {Array<Object>} Variants with `rank` and `score` ({ score, criteria, ... }) added
+ */
+function rankVariants(variants, format) {
+    return variants
+        .map((variant, index) => ({ variant, index, score: scoreEnhancement(variant.enhancedText, { format }) }))
+        .sort((a, b) => b.score.score - a.score.score || a.index - b.index)
+        .map(({ variant, score }, index) => ({ ...variant, rank: index + 1, score }));
+}
+
+module.exports = {
+    VARIANT_STRATEGIES,
+    getVariantStrategies,
+    rankVariants
+};
@@ -0,0 +1,99 @@
+/**
+ * Circuit breaker for calls to external services
+ *
+ * closed    - calls go through, failures are counted
+ * open      - calls are rejected until the cooldown has passed
+ * half_open - a single trial call is let through; success closes the circuit, failure opens it again
+ */
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options - Breaker options
+     * @param {number} [options.failureThreshold=3] - Consecutive failures before the circuit opens
+     * @param {number} [options.cooldownMs=30000] - Time the circuit stays open before a trial call
+     */
+    constructor(options = {}) {
+        const { failureThreshold = 3, cooldownMs = 30000 } = options;
+
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInProgress = false;
+    }
+
+    /**
+     * Check whether a call may be attempted, moving an expired open circuit to half-open
+     * @returns {boolean} True if the call may proceed
+     */
+    canRequest() {
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.state = STATES.HALF_OPEN;
+            this.trialInProgress = false;
+        }
+
+        if (this.state === STATES.CLOSED) {
+            return true;
+        }
+
+        if (this.state === STATES.HALF_OPEN && !this.trialInProgress) {
+            this.trialInProgress = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Record a successful call
+     */
+    recordSuccess() {
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInProgress = false;
+    }
+
+    /**
+     * Record a failed call
+     */
+    recordFailure() {
+        this.failures += 1;
+        this.trialInProgress = false;
+
+        if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+            this.state = STATES.OPEN;
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Record a call that was cancelled by the caller
+     * Cancellations are neither successes nor failures, but they free up a half-open trial slot
+     */
+    recordCancellation() {
+        this.trialInProgress = false;
+    }
+
+    /**
+     * Get the breaker status (safe for logging)
+     * @returns {Object} Status object
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+        };
+    }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,32 @@
+/**
+ * Bounded concurrency
+ * Runs async work over a list without starting more than a set number of calls at once
+ */
+
+/**
+ * Map a list with an async function, running at most `limit` calls at a time
+ * @param {Array} items - Items to map
+ * @param {number} limit - Most calls in flight at once
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in the order of the items; rejects with the first error
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    // Each worker takes the next item as soon as its previous one is done
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
@@ -36,6 +36,12 @@ class KeyManager {
                 required: process.env.AI_PROVIDER === 'mistral'
             });
 
+            // Initialize Anthropic API key if configured
+            this._initializeKey('anthropic', process.env.ANTHROPIC_API_KEY, {
+                required: process.env.AI_PROVIDER === 'anthropic',
+                prefix: 'sk-ant-'
+            });
+
             this.initialized = true;
             return true;
         } catch (error) {
@@ -253,6 +259,10 @@ class KeyManager {
             errors.push('Mistral API key is required when using Mistral provider');
         }
 
+        if (aiProvider === 'anthropic' && !this.isKeyAvailable('anthropic')) {
+            errors.push('Anthropic API key is required when using Anthropic provider');
+        }
+
         // Return validation results
         return {
             valid: errors.length === 0,
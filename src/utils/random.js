@@ -0,0 +1,71 @@
+/**
+ * Seedable pseudo-random numbers
+ * Used wherever output picks items at random but must be reproducible from a seed
+ */
+
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Create a random number generator (mulberry32) from a seed
+ * @param {number} seed - Unsigned 32-bit integer seed
+ * @returns {Function} () => number in [0, 1), the same sequence for the same seed
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate a new seed for callers that did not supply one
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Check whether a value can be used as a seed
+ * @param {any} value - Value to check
+ * @returns {boolean} True for integers between 0 and MAX_SEED
+ */
+function isValidSeed(value) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_SEED;
+}
+
+/**
+ * Pick distinct items from an array
+ * @param {Array} array - The array to select from
+ * @param {number} count - Number of items to select
+ * @param {Function} [random=Math.random] - Random number generator
+ * @returns {Array} Selected items
+ */
+function selectRandomItems(array, count, random = Math.random) {
+    if (!array || array.length === 0) return [];
+
+    const result = [];
+    const arrayCopy = [...array];
+    const itemsToSelect = Math.min(count, arrayCopy.length);
+
+    for (let i = 0; i < itemsToSelect; i++) {
+        const randomIndex = Math.floor(random() * arrayCopy.length);
+        result.push(arrayCopy[randomIndex]);
+        arrayCopy.splice(randomIndex, 1);
+    }
+
+    return result;
+}
+
+module.exports = {
+    MAX_SEED,
+    createRandom,
+    generateSeed,
+    isValidSeed,
+    selectRandomItems
+};
@@ -0,0 +1,111 @@
+/**
+ * Server-Sent Events helpers
+ * Parsing is used for streamed responses from AI providers, writing for our own streaming endpoint
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Parse a text/event-stream body into events
+ * @param {AsyncIterable<Buffer|string>} body - Readable stream of the response body
+ * @returns {AsyncGenerator<Object>} Events ({ event, data }), where data is the raw data string
+ */
+async function* parseEventStream(body) {
+    // Characters can be split across network chunks, so bytes are decoded as one stream
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+        let boundary;
+        while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+            const event = _parseEvent(rawEvent);
+            if (event) yield event;
+        }
+    }
+
+    const event = _parseEvent(buffer + decoder.end());
+    if (event) yield event;
+}
+
+/**
+ * Parse an OpenAI-style chat completion stream (also used by Mistral and OpenAI-compatible servers)
+ * @param {AsyncIterable<Buffer|string>} body - Readable stream of the response body
+ * @returns {AsyncGenerator<Object>} Parsed completion chunks, ending at the [DONE] sentinel
+ */
+async function* parseChatCompletionStream(body) {
+    for await (const { data } of parseEventStream(body)) {
+        if (data === '[DONE]') return;
+        yield JSON.parse(data);
+    }
+}
+
+/**
+ * Parse a single raw event block
+ * @param {string} rawEvent - Lines of one event
+ * @returns {Object|null} { event, data } or null for comments/empty blocks
+ * @private
+ */
+function _parseEvent(rawEvent) {
+    let event = 'message';
+    const data = [];
+
+    for (const line of rawEvent.split(/\r?\n/)) {
+        if (!line || line.startsWith(':')) continue;
+
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+        if (field === 'event') event = value;
+        if (field === 'data') data.push(value);
+    }
+
+    return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+/**
+ * Prepare an Express response for streaming events
+ * @param {Object} res - Express response object
+ */
+function initEventStream(res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+}
+
+/**
+ * Serialize event data as JSON with <, > and & escaped, like the JSON responses
+ * @param {Object} data - Event payload
+ * @returns {string} JSON text
+ * @private
+ */
+function _escapeJson(data) {
+    return JSON.stringify(data).replace(/[<>&]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Write an event to a streaming response
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload, serialized as JSON
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${_escapeJson(data)}\n\n`);
+}
+
+module.exports = {
+    parseEventStream,
+    parseChatCompletionStream,
+    initEventStream,
+    sendEvent
+};
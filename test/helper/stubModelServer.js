@@ -0,0 +1,83 @@
+/**
+ * Minimal HTTP server standing in for a model API in tests
+ */
+const http = require('http');
+
+/**
+ * Start a stub server on a random local port
+ * @param {Function} handler - (req, res, body) => void, where body is the parsed JSON request body
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+function startStubServer(handler) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            handler(req, res, body);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {Object} res - Node response object
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Handle requests to an OpenAI-compatible API by echoing the prompt
+ * Chat completions answer "Enhanced: <prompt>", where the prompt is the text the first delimited
+ * user message wraps in its nonce tags, as JSON or as an event stream when one is asked for.
+ * @param {Object} req - Node request object
+ * @param {Object} res - Node response object
+ * @param {Object} body - Parsed JSON request body
+ */
+function echoChatCompletion(req, res, body) {
+    if (req.url.endsWith('/models')) {
+        return sendJson(res, 200, { object: 'list', data: [{ id: 'stub-model' }] });
+    }
+
+    const delimited = body.messages
+        .filter(message => message.role === 'user')
+        .map(message => message.content.match(/<(user_prompt_[0-9a-f]+)>\n([\s\S]*?)\n<\/\1>/))
+        .find(Boolean);
+    const text = `Enhanced: ${delimited ? delimited[2] : body.messages[body.messages.length - 1].content}`;
+
+    if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ model: body.model, choices: [{ index: 0, delta: { content: text } }] })}\n\n`);
+        res.end('data: [DONE]\n\n');
+        return;
+    }
+
+    sendJson(res, 200, {
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }]
+    });
+}
+
+module.exports = {
+    startStubServer,
+    sendJson,
+    echoChatCompletion
+};
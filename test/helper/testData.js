@@ -28,6 +28,21 @@ module.exports = {
         largePayload: 'a'.repeat(10000)
     },
 
+    // Code and HTML prompts that must reach the provider and come back byte-for-byte
+    codePrompts: [
+        '&lt;div&gt; is how you write <div> in HTML',
+        'const App = () => (\n  <Button\n    onClick={() => setCount(count + 1)}\n  >\n    Count: {count}\n  </Button>\n);',
+        'function first<T>(items: Array<T>): T | undefined {\n    return items[0];\n}',
+        '<a href="/search?q=a&amp;b" title=\'x\'>Tom &amp; Jerry &copy; 2024</a>',
+        'def __init__(self, *args, **kwargs):\n    self._cache = {"a": 1}  # two  spaces\n    return a < b and b > c',
+        'grep -E "^(foo|bar)$" file.txt | sort > out.txt 2>&1',
+        "SELECT * FROM users WHERE name = 'O''Brien' AND age >= 18;",
+        'Rename my_var_name and __main__ in setup_utils.py, keep **kwargs',
+        'Translate “naïve café” → 日本語 😀',
+        '# compute the total\ntotal = sum(items)\n\n## Output\n- print(total)\n1. return total',
+        '<script>alert("XSS")</script>'
+    ],
+
     // Expected response structure
     responseShape: {
         id: expect.any(String),
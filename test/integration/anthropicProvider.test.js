@@ -0,0 +1,98 @@
+const request = require('supertest');
+const app = require('../../app');
+const config = require('../../src/config/config');
+const anthropicProvider = require('../../src/services/providers/anthropic');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+const { startStubServer, sendJson } = require('../helper/stubModelServer');
+
+describe('Anthropic provider', () => {
+    const validApiKey = process.env.TEST_API_KEY || 'test_api_key';
+    const originalAnthropic = { ...config.ai.anthropic };
+    const originalChain = config.ai.fallbackChain;
+    let stub;
+    let nextError = null;
+
+    beforeAll(async () => {
+        stub = await startStubServer((req, res, body) => {
+            if (nextError) {
+                const { status, type, retryAfter } = nextError;
+                nextError = null;
+                res.writeHead(status, { 'Content-Type': 'application/json', 'retry-after': String(retryAfter) });
+                return res.end(JSON.stringify({ type: 'error', error: { type, message: 'Number of requests has exceeded your rate limit' } }));
+            }
+
+            sendJson(res, 200, {
+                id: 'msg_stub',
+                type: 'message',
+                role: 'assistant',
+                model: body.model,
+                content: [
+                    { type: 'text', text: 'ROLE:\nYou are an API design reviewer.\n\n' },
+                    { type: 'text', text: 'TASK:\nReview the endpoints of a REST API.' }
+                ],
+                stop_reason: 'end_turn',
+                usage: { input_tokens: 120, output_tokens: 30 }
+            });
+        });
+    });
+
+    beforeEach(() => {
+        resetCircuitBreakers();
+        config.ai.anthropic.apiKey = 'sk-ant-test-key';
+        config.ai.anthropic.baseUrl = `${stub.url}/v1`;
+        config.ai.fallbackChain = ['anthropic'];
+    });
+
+    afterEach(() => {
+        Object.assign(config.ai.anthropic, originalAnthropic);
+        config.ai.fallbackChain = originalChain;
+    });
+
+    afterAll(async () => {
+        await stub.close();
+    });
+
+    it('should send the system prompt separately and join the content blocks', async () => {
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: 'Review my API' })
+            .expect(200);
+
+        expect(response.body.provider).toBe('anthropic');
+        expect(response.body.enhancedText).toContain('ROLE:\nYou are an API design reviewer.\n\nTASK:\nReview the endpoints');
+        expect(response.body.usage).toEqual({ inputTokens: 120, outputTokens: 30, totalTokens: 150, estimated: false });
+        // claude-3-5-sonnet: $3 input and $15 output per million tokens
+        expect(response.body.estimatedCost).toBe(0.00081);
+
+        const upstream = stub.requests[stub.requests.length - 1];
+        expect(upstream.url).toBe('/v1/messages');
+        expect(upstream.headers['x-api-key']).toBe('sk-ant-test-key');
+        expect(upstream.headers['anthropic-version']).toBe('2023-06-01');
+        expect(upstream.body.system).toContain('expert prompt engineer');
+        expect(upstream.body.max_tokens).toBe(config.ai.maxTokens);
+        expect(upstream.body.messages).toEqual([
+            { role: 'user', content: [{ type: 'text', text: expect.stringContaining('Review my API') }] }
+        ]);
+    });
+
+    it('should map rate limit errors to the error shape used by other providers', async () => {
+        nextError = { status: 429, type: 'rate_limit_error', retryAfter: 12 };
+
+        await expect(anthropicProvider.enhance({ messages: [{ role: 'user', content: 'Hi' }], maxTokens: 10 }))
+            .rejects.toMatchObject({ status: 429, code: 'rate_limit_error', retryAfter: 12 });
+    });
+
+    it('should merge consecutive turns from the same role', () => {
+        const { system, messages } = anthropicProvider.toAnthropicMessages([
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: 'First' },
+            { role: 'user', content: 'Second' },
+            { role: 'assistant', content: 'Reply' }
+        ]);
+
+        expect(system).toBe('Be brief.');
+        expect(messages.map(message => message.role)).toEqual(['user', 'assistant']);
+        expect(messages[0].content[0].text).toBe('First\n\nSecond');
+    });
+});
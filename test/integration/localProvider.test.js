@@ -0,0 +1,101 @@
+const request = require('supertest');
+const app = require('../../app');
+const config = require('../../src/config/config');
+const localProvider = require('../../src/services/providers/local');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+const { startStubServer, sendJson } = require('../helper/stubModelServer');
+
+describe('Local OpenAI-compatible provider', () => {
+    const validApiKey = process.env.TEST_API_KEY || 'test_api_key';
+    const originalLocal = { ...config.ai.local };
+    const originalChain = config.ai.fallbackChain;
+    let stub;
+    let failNextRequest = false;
+
+    beforeAll(async () => {
+        stub = await startStubServer((req, res, body) => {
+            if (req.url === '/v1/models') {
+                return sendJson(res, 200, { object: 'list', data: [{ id: 'llama3' }] });
+            }
+
+            if (failNextRequest) {
+                failNextRequest = false;
+                return sendJson(res, 500, { error: { message: 'model crashed' } });
+            }
+
+            sendJson(res, 200, {
+                model: body.model,
+                choices: [{
+                    message: {
+                        role: 'assistant',
+                        content: 'TASK:\nExplain how REST APIs use HTTP methods.\n\nCONSTRAINTS:\n- Keep it under 300 words'
+                    }
+                }]
+            });
+        });
+    });
+
+    beforeEach(() => {
+        resetCircuitBreakers();
+        config.ai.local.baseUrl = stub.url;
+        config.ai.local.model = 'llama3';
+        config.ai.fallbackChain = ['local'];
+    });
+
+    afterEach(() => {
+        Object.assign(config.ai.local, originalLocal);
+        config.ai.fallbackChain = originalChain;
+    });
+
+    afterAll(async () => {
+        await stub.close();
+    });
+
+    it('should enhance a prompt through the local server', async () => {
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: 'Write about APIs', format: 'structured' })
+            .expect(200);
+
+        expect(response.body.provider).toBe('local');
+        expect(response.body.model).toBe('llama3');
+        expect(response.body.enhancedText).toContain('TASK:\nExplain how REST APIs use HTTP methods.');
+        // The stub reports no usage, so it is estimated; local models cost nothing per token
+        expect(response.body.usage).toMatchObject({ estimated: true });
+        expect(response.body.usage.outputTokens).toBeGreaterThan(0);
+        expect(response.body.estimatedCost).toBe(0);
+
+        const upstream = stub.requests[stub.requests.length - 1];
+        expect(upstream.url).toBe('/v1/chat/completions');
+        expect(upstream.body.model).toBe('llama3');
+        expect(upstream.body.messages[0].role).toBe('system');
+        expect(upstream.body.messages[1].content).toContain('Write about APIs');
+    });
+
+    it('should report upstream failures instead of a silent fallback text', async () => {
+        failNextRequest = true;
+
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: 'Write about APIs' })
+            .expect(503);
+
+        expect(response.body.error.code).toBe('provider_unavailable');
+        expect(response.body.error.details.attempts[0]).toMatchObject({ provider: 'local', status: 'failed' });
+    });
+
+    it('should accept a base URL that already ends in /v1', async () => {
+        config.ai.local.baseUrl = `${stub.url}/v1/`;
+
+        await expect(localProvider.listModels()).resolves.toEqual(['llama3']);
+        await expect(localProvider.health()).resolves.toMatchObject({ status: 'ok' });
+    });
+
+    it('should not be used until a base URL and model are configured', () => {
+        config.ai.local.baseUrl = undefined;
+
+        expect(localProvider.isConfigured()).toBe(false);
+    });
+});
@@ -0,0 +1,79 @@
+const request = require('supertest');
+const app = require('../../app');
+const config = require('../../src/config/config');
+const openaiProvider = require('../../src/services/providers/openai');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+const { startStubServer, echoChatCompletion } = require('../helper/stubModelServer');
+
+describe('OpenAI provider', () => {
+    const validApiKey = process.env.TEST_API_KEY || 'test_api_key';
+    const originalChain = config.ai.fallbackChain;
+    let stub;
+
+    beforeAll(async () => {
+        // The client is created on first use, so it picks up this base URL
+        stub = await startStubServer(echoChatCompletion);
+        config.ai.openai.baseUrl = `${stub.url}/v1`;
+    });
+
+    beforeEach(() => {
+        resetCircuitBreakers();
+        config.ai.fallbackChain = ['openai'];
+        stub.requests.length = 0;
+    });
+
+    afterEach(() => {
+        config.ai.fallbackChain = originalChain;
+    });
+
+    afterAll(async () => {
+        await stub.close();
+    });
+
+    it('should send the enhancement messages to the chat completions API', async () => {
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: 'Write about APIs', guidance: { enabled: false } })
+            .expect(200);
+
+        expect(response.body.provider).toBe('openai');
+        expect(response.body.enhancedText).toContain('Enhanced: Write about APIs');
+
+        const [upstream] = stub.requests;
+        expect(upstream.url).toBe('/v1/chat/completions');
+        expect(upstream.headers.authorization).toBe(`Bearer ${config.ai.openai.apiKey}`);
+        expect(upstream.body).toMatchObject({
+            model: config.ai.openai.defaultModel,
+            temperature: config.ai.temperature,
+            max_tokens: config.ai.maxTokens
+        });
+        expect(upstream.body.messages.map(message => message.role)).toEqual(['system', 'user']);
+        expect(upstream.body).not.toHaveProperty('response_format');
+    });
+
+    it('should turn on JSON mode for JSON requests', async () => {
+        await openaiProvider.enhance({
+            messages: [{ role: 'user', content: 'Rate this prompt' }],
+            temperature: 0,
+            maxTokens: 200,
+            responseFormat: 'json'
+        });
+
+        expect(stub.requests[0].body.response_format).toEqual({ type: 'json_object' });
+    });
+
+    it('should stream the completion and ask for the usage', async () => {
+        const tokens = [];
+
+        const result = await openaiProvider.stream({
+            messages: [{ role: 'user', content: '<user_prompt_0a1b2c3d4e5f>\nWrite about APIs\n</user_prompt_0a1b2c3d4e5f>' }],
+            temperature: 0.7,
+            maxTokens: 800
+        }, token => tokens.push(token));
+
+        expect(result.text).toBe('Enhanced: Write about APIs');
+        expect(tokens.join('')).toBe(result.text);
+        expect(stub.requests[0].body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    });
+});
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const app = require('../../app');
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+
+describe('Batch enhancement', () => {
+    const validApiKey = process.env.TEST_API_KEY || 'test_api_key';
+    const originalChain = config.ai.fallbackChain;
+    const originalBatch = config.ai.batch;
+    let stub;
+    let inFlight;
+    let maxInFlight;
+
+    /**
+     * Send a batch request
+     */
+    function sendBatch(body) {
+        return request(app)
+            .post('/v1/prompts/batch')
+            .set('X-API-Key', validApiKey)
+            .send(body);
+    }
+
+    beforeEach(() => {
+        resetCircuitBreakers();
+        inFlight = 0;
+        maxInFlight = 0;
+        stub = providerRegistry.register({
+            name: 'batch-stub',
+            isConfigured: () => true,
+            enhance: jest.fn(async req => {
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+                await new Promise(resolve => setTimeout(resolve, 10));
+                inFlight--;
+                if (req.originalPrompt.includes('fail')) {
+                    throw new Error('Upstream error');
+                }
+                return { text: `TASK:\n${req.originalPrompt} for developers.`, model: 'stub-model' };
+            }),
+            listModels: async () => [],
+            health: async () => ({ status: 'ok' }),
+            capabilities: () => ({ streaming: false })
+        });
+        config.ai.fallbackChain = ['batch-stub'];
+        config.ai.batch = { maxItems: 10, concurrency: 2 };
+    });
+
+    afterEach(() => {
+        config.ai.fallbackChain = originalChain;
+        config.ai.batch = originalBatch;
+        providerRegistry.unregister('batch-stub');
+        resetCircuitBreakers();
+    });
+
+    it('should enhance each item with its own format and options, in order', async () => {
+        const response = await sendBatch({
+            items: [
+                { text: 'Write about APIs', format: 'bullet', seed: 7 },
+                { text: 'Explain caching', targetModel: 'claude' },
+                { text: 'Describe queues', guidance: { enabled: false } }
+            ]
+        }).expect(200);
+
+        expect(response.body.summary).toEqual({ total: 3, succeeded: 3, failed: 0 });
+        expect(response.body.results.map(result => result.index)).toEqual([0, 1, 2]);
+
+        const [first, second, third] = response.body.results.map(result => result.prompt);
+        expect(first).toMatchObject({ originalText: 'Write about APIs', format: 'bullet', seed: 7 });
+        expect(second).toMatchObject({ originalText: 'Explain caching', targetModel: 'claude' });
+        expect(third.enhancedText).not.toContain('WRITING GUIDANCE');
+
+        const stored = await request(app)
+            .get(`/v1/prompts/${second.id}`)
+            .set('X-API-Key', validApiKey)
+            .expect(200);
+        expect(stored.body.originalText).toBe('Explain caching');
+    });
+
+    it('should call the provider for at most the configured number of items at a time', async () => {
+        const items = Array.from({ length: 6 }, (_, index) => ({ text: `Write about topic ${index}` }));
+
+        await sendBatch({ items }).expect(200);
+
+        expect(stub.enhance).toHaveBeenCalledTimes(6);
+        expect(maxInFlight).toBe(2);
+    });
+
+    it('should report failed items without failing the batch', async () => {
+        const response = await sendBatch({
+            items: [
+                { text: 'Write about APIs' },
+                { text: 'Please fail this one' },
+                { format: 'bullet' },
+                'Write about queues'
+            ]
+        }).expect(200);
+
+        expect(response.body.summary).toEqual({ total: 4, succeeded: 1, failed: 3 });
+        expect(response.body.results[0].status).toBe('succeeded');
+        expect(response.body.results[1]).toMatchObject({ index: 1, status: 'failed', statusCode: 503, error: { code: 'provider_unavailable' } });
+        expect(response.body.results[2]).toMatchObject({ status: 'failed', statusCode: 400, error: { param: 'text' } });
+        expect(response.body.results[3]).toMatchObject({ status: 'failed', statusCode: 400, error: { param: 'items[3]' } });
+    });
+
+    it('should keep the other results when an item cannot be handled', async () => {
+        const response = await sendBatch({
+            items: [
+                { text: 'Write a blog post' },
+                { text: 123, mode: 'clarify' },
+                { text: 'Write about queues' }
+            ]
+        }).expect(200);
+
+        expect(response.body.summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+        expect(response.body.results[0]).toMatchObject({ index: 0, status: 'succeeded' });
+        expect(response.body.results[1]).toMatchObject({ index: 1, status: 'failed', statusCode: 400, error: { code: 'invalid_parameter', param: 'text' } });
+        expect(response.body.results[2]).toMatchObject({ index: 2, status: 'succeeded' });
+    });
+
+    it('should reject a missing, empty or oversized batch', async () => {
+        const missing = await sendBatch({}).expect(400);
+        expect(missing.body.error.param).toBe('items');
+
+        await sendBatch({ items: [] }).expect(400);
+
+        const oversized = await sendBatch({ items: Array.from({ length: 11 }, () => ({ text: 'Write about APIs' })) }).expect(400);
+        expect(oversized.body.error.message).toContain('1 to 10');
+        expect(stub.enhance).not.toHaveBeenCalled();
+    });
+
+    it('should reject items that ask for variants', async () => {
+        const response = await sendBatch({
+            items: [{ text: 'Write about APIs' }, { text: 'Explain caching', variants: 5 }]
+        }).expect(400);
+
+        expect(response.body.error).toMatchObject({ code: 'invalid_parameter', param: 'items[1].variants' });
+        expect(stub.enhance).not.toHaveBeenCalled();
+    });
+
+    it('should accept bodies larger than the limit for single prompts', async () => {
+        const text = `Write about ${'APIs and queues '.repeat(450)}`;
+        const items = Array.from({ length: 8 }, () => ({ text }));
+
+        const response = await sendBatch({ items }).expect(200);
+
+        expect(response.body.summary.succeeded).toBe(8);
+    });
+});
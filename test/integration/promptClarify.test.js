@@ -0,0 +1,200 @@
+const request = require('supertest');
+const app = require('../../app');
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+
+describe('Clarifying questions', () => {
+    const validApiKey = process.env.TEST_API_KEY || 'test_api_key';
+    const originalChain = config.ai.fallbackChain;
+    let stub;
+
+    /**
+     * Create a prompt in clarify mode through the API
+     */
+    async function clarify(body) {
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ mode: 'clarify', guidance: { enabled: false }, ...body })
+            .expect(200);
+        return response.body;
+    }
+
+    beforeEach(() => {
+        resetCircuitBreakers();
+        stub = providerRegistry.register({
+            name: 'clarify-stub',
+            isConfigured: () => true,
+            enhance: jest.fn(async () => ({ text: 'TASK:\nExplain recursion to beginners.', model: 'stub-model' })),
+            listModels: async () => [],
+            health: async () => ({ status: 'ok' }),
+            capabilities: () => ({ streaming: false })
+        });
+        config.ai.fallbackChain = ['clarify-stub'];
+    });
+
+    afterEach(() => {
+        config.ai.fallbackChain = originalChain;
+        providerRegistry.unregister('clarify-stub');
+        resetCircuitBreakers();
+    });
+
+    it('should return questions for a vague prompt without calling the provider', async () => {
+        const prompt = await clarify({ text: 'Explain recursion', seed: 42 });
+
+        expect(stub.enhance).not.toHaveBeenCalled();
+        expect(prompt.enhancedText).toBeNull();
+        expect(prompt.revision).toBe(0);
+        expect(prompt.revisions).toEqual([]);
+        expect(prompt.clarification).toMatchObject({ status: 'pending', answers: null, options: { seed: 42 } });
+        expect(prompt.clarification.questions.length).toBeGreaterThanOrEqual(3);
+        expect(prompt.clarification.questions[0]).toEqual({
+            id: 'q1',
+            type: expect.any(String),
+            question: expect.any(String),
+            suggestedAnswers: expect.any(Array)
+        });
+    });
+
+    it('should enhance specific prompts right away', async () => {
+        const prompt = await clarify({ text: 'Summarize this quarterly report for executives in 5 bullet points' });
+
+        expect(stub.enhance).toHaveBeenCalled();
+        expect(prompt.enhancedText).toContain('Explain recursion to beginners.');
+        expect(prompt.clarification).toBeNull();
+        expect(prompt.revision).toBe(1);
+    });
+
+    it('should enhance the prompt with the answers and the options of the first request', async () => {
+        const prompt = await clarify({ text: 'Explain recursion', seed: 42 });
+        const [first, second] = prompt.clarification.questions;
+
+        const response = await request(app)
+            .post(`/v1/prompts/${prompt.id}/answers`)
+            .set('X-API-Key', validApiKey)
+            .send({ answers: { [first.id]: 'Beginners', [second.id]: '' } })
+            .expect(200);
+
+        const sent = stub.enhance.mock.calls[0][0];
+        expect(sent.originalPrompt).toMatch(/^Explain recursion\n\nDetails:\n- \w+: Beginners$/);
+        expect(response.body.originalText).toBe('Explain recursion');
+        expect(response.body.seed).toBe(42);
+        expect(response.body.enhancedText).toContain('Explain recursion to beginners.');
+        expect(response.body.revision).toBe(1);
+        expect(response.body.clarification).toMatchObject({
+            status: 'answered',
+            answers: { [first.id]: 'Beginners', [second.id]: '' }
+        });
+
+        await request(app)
+            .post(`/v1/prompts/${prompt.id}/answers`)
+            .set('X-API-Key', validApiKey)
+            .send({ answers: { [first.id]: 'Experts' } })
+            .expect(409);
+    });
+
+    it('should keep the answers when the prompt is refined or updated', async () => {
+        const prompt = await clarify({ text: 'Explain recursion' });
+        const [first] = prompt.clarification.questions;
+        await request(app)
+            .post(`/v1/prompts/${prompt.id}/answers`)
+            .set('X-API-Key', validApiKey)
+            .send({ answers: { [first.id]: 'Beginners' } })
+            .expect(200);
+
+        await request(app)
+            .post(`/v1/prompts/${prompt.id}/refine`)
+            .set('X-API-Key', validApiKey)
+            .send({ feedback: 'Make it shorter' })
+            .expect(200);
+
+        const refined = stub.enhance.mock.calls[1][0];
+        expect(refined.originalPrompt).toMatch(/^Explain recursion\n\nDetails:\n- \w+: Beginners$/);
+
+        const updated = await request(app)
+            .put(`/v1/prompts/${prompt.id}`)
+            .set('X-API-Key', validApiKey)
+            .send({ text: 'Explain recursion in Python' })
+            .expect(200);
+
+        expect(stub.enhance.mock.calls[2][0].originalPrompt).toMatch(/^Explain recursion in Python\n\nDetails:\n- \w+: Beginners$/);
+        expect(updated.body.originalText).toBe('Explain recursion in Python');
+        expect(updated.body.clarification.status).toBe('answered');
+    });
+
+    it('should reject answers to questions that were not asked', async () => {
+        const prompt = await clarify({ text: 'Explain recursion' });
+
+        const unknown = await request(app)
+            .post(`/v1/prompts/${prompt.id}/answers`)
+            .set('X-API-Key', validApiKey)
+            .send({ answers: { q9: 'Beginners' } })
+            .expect(400);
+        expect(unknown.body.error.param).toBe('answers.q9');
+
+        const notObject = await request(app)
+            .post(`/v1/prompts/${prompt.id}/answers`)
+            .set('X-API-Key', validApiKey)
+            .send({ answers: ['Beginners'] })
+            .expect(400);
+        expect(notObject.body.error.param).toBe('answers');
+    });
+
+    it('should not refine a prompt that is waiting for answers', async () => {
+        const prompt = await clarify({ text: 'Explain recursion' });
+
+        const response = await request(app)
+            .post(`/v1/prompts/${prompt.id}/refine`)
+            .set('X-API-Key', validApiKey)
+            .send({ feedback: 'Make it shorter' })
+            .expect(409);
+
+        expect(response.body.error.code).toBe('clarification_pending');
+    });
+
+    it('should skip the questions when a pending prompt is updated', async () => {
+        const prompt = await clarify({ text: 'Explain recursion' });
+
+        const response = await request(app)
+            .put(`/v1/prompts/${prompt.id}`)
+            .set('X-API-Key', validApiKey)
+            .send({})
+            .expect(200);
+
+        expect(response.body.enhancedText).toContain('Explain recursion to beginners.');
+        expect(response.body.clarification.status).toBe('skipped');
+    });
+
+    it('should reject unknown modes, streaming and image targets', async () => {
+        const unknown = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: 'Explain recursion', mode: 'interview' })
+            .expect(400);
+        expect(unknown.body.error.param).toBe('mode');
+
+        await request(app)
+            .post('/v1/prompts/stream')
+            .set('X-API-Key', validApiKey)
+            .send({ text: 'Explain recursion', mode: 'clarify' })
+            .expect(400);
+
+        const image = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: 'a castle', mode: 'clarify', targetModel: 'midjourney' })
+            .expect(400);
+        expect(image.body.error.param).toBe('mode');
+    });
+
+    it('should return 404 for unknown prompts', async () => {
+        const response = await request(app)
+            .post('/v1/prompts/prompt_missing/answers')
+            .set('X-API-Key', validApiKey)
+            .send({ answers: { q1: 'Beginners' } })
+            .expect(404);
+
+        expect(response.body.error.code).toBe('prompt_not_found');
+    });
+});
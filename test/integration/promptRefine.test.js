@@ -0,0 +1,202 @@
+const request = require('supertest');
+const app = require('../../app');
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+
+describe('Prompt refinement', () => {
+    const validApiKey = process.env.TEST_API_KEY || 'test_api_key';
+    const originalChain = config.ai.fallbackChain;
+    let stub;
+
+    /**
+     * Create a prompt through the API with the stub provider
+     */
+    async function createPrompt(body) {
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ guidance: { enabled: false }, ...body })
+            .expect(200);
+        return response.body;
+    }
+
+    beforeEach(() => {
+        resetCircuitBreakers();
+        stub = providerRegistry.register({
+            name: 'refine-stub',
+            isConfigured: () => true,
+            enhance: jest.fn(async req => ({
+                text: req.messages.length > 2
+                    ? 'ROLE:\nYou are a staff engineer.\n\nTASK:\nReview the API design in 5 bullet points.'
+                    : 'ROLE:\nYou are an engineer.\n\nTASK:\nReview the API design.',
+                model: 'stub-model'
+            })),
+            listModels: async () => [],
+            health: async () => ({ status: 'ok' }),
+            capabilities: () => ({ streaming: false })
+        });
+        config.ai.fallbackChain = ['refine-stub'];
+    });
+
+    afterEach(() => {
+        config.ai.fallbackChain = originalChain;
+        providerRegistry.unregister('refine-stub');
+        resetCircuitBreakers();
+    });
+
+    it('should revise the current enhancement and store it as a new revision', async () => {
+        const prompt = await createPrompt({ text: 'Review our API design' });
+        expect(prompt.revision).toBe(1);
+
+        const response = await request(app)
+            .post(`/v1/prompts/${prompt.id}/refine`)
+            .set('X-API-Key', validApiKey)
+            .send({ feedback: 'Target senior engineers and ask for 5 bullet points' })
+            .expect(200);
+
+        expect(response.body.id).toBe(prompt.id);
+        expect(response.body.originalText).toBe('Review our API design');
+        expect(response.body.enhancedText).toContain('You are a staff engineer.');
+        expect(response.body.seed).toBe(prompt.seed);
+        expect(response.body.revision).toBe(2);
+        expect(response.body.revisions).toEqual([
+            expect.objectContaining({ revision: 1, enhancedText: prompt.enhancedText, feedback: null }),
+            expect.objectContaining({
+                revision: 2,
+                enhancedText: response.body.enhancedText,
+                feedback: 'Target senior engineers and ask for 5 bullet points',
+                provider: 'refine-stub'
+            })
+        ]);
+
+        const stored = await request(app)
+            .get(`/v1/prompts/${prompt.id}`)
+            .set('X-API-Key', validApiKey)
+            .expect(200);
+        expect(stored.body.revision).toBe(2);
+    });
+
+    it('should send the prompt, the current enhancement and the feedback as one conversation', async () => {
+        const prompt = await createPrompt({ text: 'Review our API design' });
+
+        await request(app)
+            .post(`/v1/prompts/${prompt.id}/refine`)
+            .set('X-API-Key', validApiKey)
+            .send({ feedback: 'Make it shorter' })
+            .expect(200);
+
+        const { messages, delimiter } = stub.enhance.mock.calls[1][0];
+        expect(messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+        expect(messages[1].content).toContain(`<${delimiter}>\nReview our API design\n</${delimiter}>`);
+        expect(messages[2].content).toBe(prompt.enhancedText);
+        expect(messages[3].content).toContain('Make it shorter');
+        expect(messages[3].content).toContain('Return only the revised enhanced prompt.');
+    });
+
+    it('should leave the writing guidance out of the earlier enhancement', async () => {
+        const prompt = await createPrompt({ text: 'Review our API design', guidance: { enabled: true } });
+        expect(prompt.enhancedText).toContain('WRITING GUIDANCE');
+
+        await request(app)
+            .post(`/v1/prompts/${prompt.id}/refine`)
+            .set('X-API-Key', validApiKey)
+            .send({ feedback: 'Make it shorter' })
+            .expect(200);
+
+        expect(stub.enhance.mock.calls[1][0].messages[2].content).not.toContain('WRITING GUIDANCE');
+    });
+
+    it('should send section prompts back as JSON', async () => {
+        stub.enhance.mockResolvedValue({
+            text: JSON.stringify({ role: 'Engineer', context: 'A public REST API.', task: 'Review the API design.', constraints: ['Be brief'], outputFormat: 'A list' }),
+            model: 'stub-model'
+        });
+        const prompt = await createPrompt({ text: 'Review our API design', sections: true });
+
+        const response = await request(app)
+            .post(`/v1/prompts/${prompt.id}/refine`)
+            .set('X-API-Key', validApiKey)
+            .send({ feedback: 'Mention latency' })
+            .expect(200);
+
+        const { messages } = stub.enhance.mock.calls[1][0];
+        expect(JSON.parse(messages[2].content)).toMatchObject({ role: 'Engineer', task: 'Review the API design.' });
+        expect(messages[3].content).toContain('Return the revised sections as JSON');
+        expect(response.body.sections.task).toBe('Review the API design.');
+    });
+
+    it('should keep redacted values out of the conversation', async () => {
+        const prompt = await createPrompt({ text: 'Write a reply to customer John Smith about the outage' });
+        stub.enhance.mockResolvedValueOnce({ text: 'TASK:\nApologize to [NAME_1] and email [EMAIL_1].', model: 'stub-model' });
+
+        const response = await request(app)
+            .post(`/v1/prompts/${prompt.id}/refine`)
+            .set('X-API-Key', validApiKey)
+            .send({ feedback: 'Address John Smith by name and cc ops@example.com' })
+            .expect(200);
+
+        const sent = JSON.stringify(stub.enhance.mock.calls[1][0].messages);
+        expect(sent).not.toContain('John Smith');
+        expect(sent).not.toContain('ops@example.com');
+        expect(response.body.enhancedText).toContain('Apologize to John Smith and email ops@example.com.');
+    });
+
+    it('should not use rule-based providers, which cannot take feedback', async () => {
+        const prompt = await createPrompt({ text: 'Review our API design' });
+        config.ai.fallbackChain = ['offline'];
+
+        const response = await request(app)
+            .post(`/v1/prompts/${prompt.id}/refine`)
+            .set('X-API-Key', validApiKey)
+            .send({ feedback: 'Make it shorter' })
+            .expect(503);
+
+        expect(response.body.error.code).toBe('provider_unavailable');
+        expect(response.body.error.details.attempts).toEqual([
+            { provider: 'offline', status: 'skipped', reason: 'cannot_refine' }
+        ]);
+    });
+
+    it('should move on to a language model provider after a rule-based one', async () => {
+        const prompt = await createPrompt({ text: 'Review our API design' });
+        config.ai.fallbackChain = ['offline', 'refine-stub'];
+
+        const response = await request(app)
+            .post(`/v1/prompts/${prompt.id}/refine`)
+            .set('X-API-Key', validApiKey)
+            .send({ feedback: 'Make it shorter' })
+            .expect(200);
+
+        expect(response.body.provider).toBe('refine-stub');
+        expect(response.body.enhancedText).toContain('You are a staff engineer.');
+    });
+
+    it('should require feedback', async () => {
+        const prompt = await createPrompt({ text: 'Review our API design' });
+
+        const missing = await request(app)
+            .post(`/v1/prompts/${prompt.id}/refine`)
+            .set('X-API-Key', validApiKey)
+            .send({})
+            .expect(400);
+        expect(missing.body.error.param).toBe('feedback');
+
+        const blank = await request(app)
+            .post(`/v1/prompts/${prompt.id}/refine`)
+            .set('X-API-Key', validApiKey)
+            .send({ feedback: '   ' })
+            .expect(400);
+        expect(blank.body.error.code).toBe('invalid_parameter');
+    });
+
+    it('should return 404 for unknown prompts', async () => {
+        const response = await request(app)
+            .post('/v1/prompts/prompt_missing/refine')
+            .set('X-API-Key', validApiKey)
+            .send({ feedback: 'Make it shorter' })
+            .expect(404);
+
+        expect(response.body.error.code).toBe('prompt_not_found');
+    });
+});
@@ -0,0 +1,157 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../../app');
+const config = require('../../src/config/config');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+const { startStubServer } = require('../helper/stubModelServer');
+const { wait } = require('../helper/testUtils');
+
+/**
+ * Parse a raw text/event-stream body into { event, data } pairs
+ */
+function parseEvents(raw) {
+    return raw
+        .split('\n\n')
+        .filter(Boolean)
+        .map(block => {
+            const event = block.match(/^event: (.*)$/m)[1];
+            const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+            return { event, data };
+        });
+}
+
+describe('Streaming prompt enhancement', () => {
+    const validApiKey = process.env.TEST_API_KEY || 'test_api_key';
+
+    it('should stream tokens and finish with the stored prompt', async () => {
+        const response = await request(app)
+            .post('/v1/prompts/stream')
+            .set('X-API-Key', validApiKey)
+            .send({ text: 'Write about APIs', format: 'bullet' })
+            .expect('Content-Type', /text\/event-stream/)
+            .expect(200);
+
+        const events = parseEvents(response.text);
+        expect(events[0]).toEqual({ event: 'token', data: { text: 'Enhanced: Write about APIs' } });
+
+        const done = events[events.length - 1];
+        expect(done.event).toBe('done');
+        expect(done.data.enhancedText).toMatch(/^- Enhanced: Write about APIs/);
+        expect(done.data.provider).toBe('openai');
+
+        await request(app)
+            .get(`/v1/prompts/${done.data.id}`)
+            .set('X-API-Key', validApiKey)
+            .expect(200);
+    });
+
+    it('should stream when the client sends Accept: text/event-stream', async () => {
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .set('Accept', 'text/event-stream')
+            .send({ text: 'Write about APIs' })
+            .expect('Content-Type', /text\/event-stream/);
+
+        expect(parseEvents(response.text).map(e => e.event)).toEqual(['token', 'done']);
+    });
+
+    it('should validate the request before opening the stream', async () => {
+        const response = await request(app)
+            .post('/v1/prompts/stream')
+            .set('X-API-Key', validApiKey)
+            .send({})
+            .expect(400);
+
+        expect(response.body.error.code).toBe('missing_required_field');
+    });
+
+    describe('with an upstream streaming provider', () => {
+        const originalLocal = { ...config.ai.local };
+        const originalChain = config.ai.fallbackChain;
+        let stub;
+        let holdStream = false;
+        let upstreamClosed = false;
+
+        beforeAll(async () => {
+            stub = await startStubServer((req, res, body) => {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.on('close', () => { upstreamClosed = true; });
+
+                const chunk = content => `data: ${JSON.stringify({ model: body.model, choices: [{ delta: { content } }] })}\n\n`;
+                res.write(chunk('TASK:\n'));
+
+                // Leave the stream open to simulate a long-running completion
+                if (holdStream) return;
+
+                res.write(chunk('Explain REST '));
+                res.write(chunk('APIs.'));
+                res.end('data: [DONE]\n\n');
+            });
+        });
+
+        beforeEach(() => {
+            resetCircuitBreakers();
+            config.ai.local.baseUrl = stub.url;
+            config.ai.local.model = 'llama3';
+            config.ai.fallbackChain = ['local'];
+        });
+
+        afterEach(() => {
+            Object.assign(config.ai.local, originalLocal);
+            config.ai.fallbackChain = originalChain;
+        });
+
+        afterAll(async () => {
+            await stub.close();
+        });
+
+        it('should forward each upstream delta as a token event', async () => {
+            const response = await request(app)
+                .post('/v1/prompts/stream')
+                .set('X-API-Key', validApiKey)
+                .send({ text: 'Explain APIs' })
+                .expect(200);
+
+            const events = parseEvents(response.text);
+            const tokens = events.filter(e => e.event === 'token').map(e => e.data.text);
+
+            expect(tokens).toEqual(['TASK:\n', 'Explain REST ', 'APIs.']);
+            expect(events[events.length - 1].data.enhancedText).toContain('TASK:\nExplain REST APIs.');
+            expect(stub.requests[stub.requests.length - 1].body.stream).toBe(true);
+        });
+
+        it('should cancel the upstream call when the client disconnects', async () => {
+            holdStream = true;
+            upstreamClosed = false;
+            const server = app.listen(0);
+            const { port } = server.address();
+
+            await new Promise((resolve, reject) => {
+                const clientRequest = http.request({
+                    port,
+                    method: 'POST',
+                    path: '/v1/prompts/stream',
+                    headers: { 'Content-Type': 'application/json', 'X-API-Key': validApiKey }
+                }, res => {
+                    res.once('data', () => {
+                        clientRequest.destroy();
+                        resolve();
+                    });
+                });
+                clientRequest.on('error', error => {
+                    if (error.code !== 'ECONNRESET') reject(error);
+                });
+                clientRequest.end(JSON.stringify({ text: 'Explain APIs' }));
+            });
+
+            for (let i = 0; i < 50 && !upstreamClosed; i++) {
+                await wait(20);
+            }
+
+            holdStream = false;
+            await new Promise(resolve => server.close(resolve));
+            expect(upstreamClosed).toBe(true);
+        });
+    });
+});
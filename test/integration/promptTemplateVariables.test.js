@@ -0,0 +1,146 @@
+const request = require('supertest');
+const app = require('../../app');
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+
+describe('Template variables', () => {
+    const validApiKey = process.env.TEST_API_KEY || 'test_api_key';
+    const originalChain = config.ai.fallbackChain;
+    const originalSyntaxes = config.ai.templateVariables.syntaxes;
+    const template = 'Write a welcome email to {{customer_name}} about ${product} on the __plan_name__ plan';
+    const kept = 'TASK:\nWelcome {{customer_name}} to {{product}}. Explain what the {{plan_name}} plan includes.';
+    let stub;
+
+    /**
+     * Create a prompt through the API with the stub provider
+     */
+    function createPrompt(body) {
+        return request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ guidance: { enabled: false }, ...body });
+    }
+
+    beforeEach(() => {
+        resetCircuitBreakers();
+        stub = providerRegistry.register({
+            name: 'template-stub',
+            isConfigured: () => true,
+            enhance: jest.fn(async () => ({ text: kept, model: 'stub-model' })),
+            listModels: async () => [],
+            health: async () => ({ status: 'ok' }),
+            capabilities: () => ({ streaming: false })
+        });
+        config.ai.fallbackChain = ['template-stub'];
+        config.ai.templateVariables.syntaxes = ['mustache', 'dollar', 'underscore'];
+    });
+
+    afterEach(() => {
+        config.ai.fallbackChain = originalChain;
+        config.ai.templateVariables.syntaxes = originalSyntaxes;
+        providerRegistry.unregister('template-stub');
+        resetCircuitBreakers();
+    });
+
+    it('should send tokens to the provider and return the placeholders in their own syntax', async () => {
+        const response = await createPrompt({ text: template }).expect(200);
+
+        const { originalPrompt, messages } = stub.enhance.mock.calls[0][0];
+        expect(originalPrompt).toBe('Write a welcome email to {{customer_name}} about {{product}} on the {{plan_name}} plan');
+        expect(messages[0].content).toContain('TEMPLATE VARIABLES:');
+
+        expect(response.body.enhancedText).toContain('Welcome {{customer_name}} to ${product}. Explain what the __plan_name__ plan includes.');
+        expect(response.body.variables).toEqual([
+            { name: 'customer_name', syntax: 'mustache', placeholder: '{{customer_name}}' },
+            { name: 'product', syntax: 'dollar', placeholder: '${product}' },
+            { name: 'plan_name', syntax: 'underscore', placeholder: '__plan_name__' }
+        ]);
+    });
+
+    it('should ask the provider once to put back variables it dropped', async () => {
+        stub.enhance.mockResolvedValueOnce({ text: 'TASK:\nWelcome the customer to {{product}}.', model: 'stub-model' });
+
+        const response = await createPrompt({ text: template }).expect(200);
+
+        expect(stub.enhance).toHaveBeenCalledTimes(2);
+        expect(stub.enhance.mock.calls[1][0].messages.at(-1).content).toContain('{{customer_name}}, {{plan_name}}');
+        expect(response.body.enhancedText).toContain('Welcome {{customer_name}}');
+    });
+
+    it('should fail when the variables are still missing after the repair attempt', async () => {
+        stub.enhance.mockResolvedValue({ text: 'TASK:\nWelcome the customer.', model: 'stub-model' });
+
+        const response = await createPrompt({ text: template }).expect(502);
+
+        expect(response.body.error.code).toBe('template_variables_missing');
+        expect(response.body.error.details.variables).toEqual({ missing: ['{{customer_name}}', '${product}', '__plan_name__'] });
+    });
+
+    it('should report no variables for prompts without placeholders', async () => {
+        const response = await createPrompt({ text: 'Write a welcome email' }).expect(200);
+
+        expect(response.body.variables).toEqual([]);
+    });
+
+    it('should fill the variables of the enhanced text', async () => {
+        const { body: prompt } = await createPrompt({ text: template }).expect(200);
+
+        const response = await request(app)
+            .post(`/v1/prompts/${prompt.id}/render`)
+            .set('X-API-Key', validApiKey)
+            .send({ variables: { customer_name: 'Ada', product: 'Acme', plan_name: 'Pro', unused: 'x' } })
+            .expect(200);
+
+        expect(response.body).toEqual({
+            id: prompt.id,
+            revision: 1,
+            renderedText: expect.stringContaining('Welcome Ada to Acme. Explain what the Pro plan includes.'),
+            renderedSections: null
+        });
+    });
+
+    it('should leave ${name} and __name__ as text unless their syntax is turned on', async () => {
+        config.ai.templateVariables.syntaxes = originalSyntaxes;
+        stub.enhance.mockResolvedValue({ text: 'TASK:\nGreet {{customer_name}} and print ${HOME}.', model: 'stub-model' });
+        const { body: prompt } = await createPrompt({ text: 'Greet {{customer_name}} and print ${HOME}' }).expect(200);
+
+        expect(prompt.variables).toEqual([{ name: 'customer_name', syntax: 'mustache', placeholder: '{{customer_name}}' }]);
+
+        const response = await request(app)
+            .post(`/v1/prompts/${prompt.id}/render`)
+            .set('X-API-Key', validApiKey)
+            .send({ variables: { customer_name: 'Ada' } })
+            .expect(200);
+        expect(response.body.renderedText).toContain('Greet Ada and print ${HOME}.');
+    });
+
+    it('should require a value for every variable', async () => {
+        const { body: prompt } = await createPrompt({ text: template }).expect(200);
+
+        const missing = await request(app)
+            .post(`/v1/prompts/${prompt.id}/render`)
+            .set('X-API-Key', validApiKey)
+            .send({ variables: { customer_name: 'Ada' } })
+            .expect(400);
+        expect(missing.body.error.code).toBe('missing_variables');
+        expect(missing.body.error.message).toContain('product, plan_name');
+
+        const nested = await request(app)
+            .post(`/v1/prompts/${prompt.id}/render`)
+            .set('X-API-Key', validApiKey)
+            .send({ variables: { customer_name: { first: 'Ada' }, product: 'Acme', plan_name: 'Pro' } })
+            .expect(400);
+        expect(nested.body.error.param).toBe('variables.customer_name');
+    });
+
+    it('should return 404 for unknown prompts', async () => {
+        const response = await request(app)
+            .post('/v1/prompts/prompt_missing/render')
+            .set('X-API-Key', validApiKey)
+            .send({ variables: {} })
+            .expect(404);
+
+        expect(response.body.error.code).toBe('prompt_not_found');
+    });
+});
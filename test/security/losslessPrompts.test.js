@@ -0,0 +1,82 @@
+const request = require('supertest');
+const app = require('../../app');
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+const { getFormatNames } = require('../../src/services/formatService');
+const { getOutputStyleNames } = require('../../src/services/outputStyleService');
+const { codePrompts } = require('../helper/testData');
+
+describe('Security - Lossless code and HTML prompts', () => {
+    const validApiKey = process.env.TEST_API_KEY || 'test_api_key';
+    const originalChain = config.ai.fallbackChain;
+    let echo;
+
+    beforeEach(() => {
+        resetCircuitBreakers();
+        // Echo the prompt back inside a code block, the way a model quotes code it was given
+        echo = providerRegistry.register({
+            name: 'echo',
+            isConfigured: () => true,
+            enhance: jest.fn(async ({ originalPrompt }) => ({
+                text: `ROLE:\nYou are a careful reviewer.\n\nTASK:\nReview this:\n\`\`\`\n${originalPrompt}\n\`\`\``,
+                model: 'echo-model'
+            })),
+            listModels: async () => [],
+            health: async () => ({ status: 'ok' }),
+            capabilities: () => ({ streaming: false })
+        });
+        config.ai.fallbackChain = ['echo'];
+    });
+
+    afterEach(() => {
+        config.ai.fallbackChain = originalChain;
+        providerRegistry.unregister('echo');
+    });
+
+    // Every prompt in every format and output style, since each of them reshapes the output
+    const cases = getFormatNames().flatMap(format => getOutputStyleNames()
+        .flatMap(outputStyle => codePrompts.map(prompt => [format, outputStyle, prompt])));
+
+    it.each(cases)('should keep the prompt byte-for-byte in %s format and %s style: %j', async (format, outputStyle, prompt) => {
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: prompt, format, outputStyle, guidance: { enabled: false } })
+            .expect(200);
+
+        const providerRequest = echo.enhance.mock.calls[0][0];
+        expect(providerRequest.originalPrompt).toBe(prompt);
+        expect(providerRequest.messages[1].content).toContain(prompt);
+
+        expect(response.body.originalText).toBe(prompt);
+        expect(response.body.enhancedText).toContain(prompt);
+        expect(response.text).not.toMatch(/[<>]/);
+    });
+
+    it('should keep prompts intact in markdown style, code fences included', async () => {
+        const prompt = codePrompts[1];
+
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: prompt, outputStyle: 'markdown', guidance: { enabled: false } })
+            .expect(200);
+
+        expect(response.body.enhancedText).toContain(`\`\`\`\n${prompt}\n\`\`\``);
+    });
+
+    it('should escape markup in streamed events', async () => {
+        const prompt = codePrompts[0];
+
+        const response = await request(app)
+            .post('/v1/prompts/stream')
+            .set('X-API-Key', validApiKey)
+            .send({ text: prompt, guidance: { enabled: false } })
+            .expect(200);
+
+        expect(response.text).not.toMatch(/[<>]/);
+        const done = response.text.split('\n\n').find(block => block.startsWith('event: done'));
+        expect(JSON.parse(done.split('data: ')[1]).enhancedText).toContain(prompt);
+    });
+});
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const app = require('../../app');
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+
+describe('Security - PII and secret redaction', () => {
+    const validApiKey = process.env.TEST_API_KEY || 'test_api_key';
+    const originalChain = config.ai.fallbackChain;
+    const originalRedaction = config.ai.redaction;
+    // Built at runtime so the security check does not take it for a real key
+    const leakedKey = `sk-proj-${'Ab3'.repeat(12)}`;
+    const prompt = `Write a reply to customer John Smith (john.smith@example.com) explaining why ${leakedKey} stopped working`;
+    let stub;
+
+    beforeEach(() => {
+        resetCircuitBreakers();
+        stub = providerRegistry.register({
+            name: 'redaction-stub',
+            isConfigured: () => true,
+            // Echo the prompt back the way a model would reuse the placeholders
+            enhance: jest.fn(async request => ({
+                text: request.responseFormat === 'json' && request.messages[0].content.includes('Rate')
+                    ? '{"clarity": 8, "specificity": 7, "structure": 6, "constraints": 5, "audience": 7, "outputFormat": 4, "summary": "Names [NAME_1] clearly."}'
+                    : `TASK:\nDraft a polite reply to [NAME_1] at [EMAIL_1] about the key [CREDENTIAL_1].`,
+                model: 'stub-model'
+            })),
+            listModels: async () => [],
+            health: async () => ({ status: 'ok' }),
+            capabilities: () => ({ streaming: false })
+        });
+        config.ai.fallbackChain = ['redaction-stub'];
+    });
+
+    afterEach(() => {
+        config.ai.fallbackChain = originalChain;
+        config.ai.redaction = originalRedaction;
+        providerRegistry.unregister('redaction-stub');
+    });
+
+    it('should send placeholders to the provider and restore the values in the output', async () => {
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: prompt })
+            .expect(200);
+
+        const sent = JSON.stringify(stub.enhance.mock.calls[0][0]);
+        expect(sent).not.toContain('John Smith');
+        expect(sent).not.toContain('john.smith@example.com');
+        expect(sent).not.toContain(leakedKey);
+        expect(sent).toContain('customer [NAME_1] ([EMAIL_1])');
+
+        expect(response.body.enhancedText).toContain(`Draft a polite reply to John Smith at john.smith@example.com about the key ${leakedKey}.`);
+        expect(response.body.originalText).toBe(prompt);
+        expect(response.body.redaction).toEqual({ redacted: 3, types: { name: 1, email: 1, credential: 1 } });
+    });
+
+    it('should restore the values in each section', async () => {
+        stub.enhance.mockResolvedValueOnce({
+            text: JSON.stringify({ role: 'Support agent', context: 'Writing to [NAME_1].', task: 'Reply to [EMAIL_1].', constraints: [], outputFormat: 'Email' }),
+            model: 'stub-model'
+        });
+
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: prompt, sections: true })
+            .expect(200);
+
+        expect(response.body.sections.context).toBe('Writing to John Smith.');
+        expect(response.body.sections.task).toBe('Reply to john.smith@example.com.');
+    });
+
+    it('should reject the prompt without calling the provider when a kind is set to reject', async () => {
+        config.ai.redaction = { ...originalRedaction, credential: 'reject' };
+
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: prompt })
+            .expect(400);
+
+        expect(response.body.error.code).toBe('sensitive_data_detected');
+        expect(response.body.error.details.redaction).toEqual({ rejected: ['credential'] });
+        expect(JSON.stringify(response.body)).not.toContain(leakedKey);
+        expect(stub.enhance).not.toHaveBeenCalled();
+    });
+
+    it('should send kinds that are turned off as written', async () => {
+        config.ai.redaction = { ...originalRedaction, name: 'off', email: 'off', credential: 'off' };
+
+        const response = await request(app)
+            .post('/v1/prompts')
+            .set('X-API-Key', validApiKey)
+            .send({ text: prompt })
+            .expect(200);
+
+        expect(stub.enhance.mock.calls[0][0].originalPrompt).toBe(prompt);
+        expect(response.body.redaction).toEqual({ redacted: 0, types: {} });
+    });
+
+    it('should redact prompts sent to the judge', async () => {
+        const response = await request(app)
+            .post('/v1/prompts/score')
+            .set('X-API-Key', validApiKey)
+            .send({ text: prompt, judge: true })
+            .expect(200);
+
+        const sent = JSON.stringify(stub.enhance.mock.calls[0][0]);
+        expect(sent).not.toContain(leakedKey);
+        expect(sent).not.toContain('John Smith');
+        expect(response.body.judge.summary).toBe('Names John Smith clearly.');
+    });
+});
@@ -12,29 +12,22 @@ process.env.OPENAI_API_KEY = 'sk-test123456789';
 // Set up global test timeouts
 jest.setTimeout(30000); // 30 second timeout for tests
 
-// Instead of importing OpenAI directly, mock it at the module level
-jest.mock('openai', () => {
-    return {
-        OpenAI: jest.fn().mockImplementation(() => ({
-            chat: {
-                completions: {
-                    create: jest.fn().mockResolvedValue({
-                        choices: [{ message: { content: 'Mocked enhanced prompt response' } }]
-                    })
-                }
-            }
-        }))
-    };
-});
+const config = require('../src/config/config');
+const { startStubServer, echoChatCompletion } = require('./helper/stubModelServer');
+
+// The OpenAI and Mistral providers talk to a local stub of their API, which echoes the prompt
+let modelServer;
 
 // Global setup before all tests
 beforeAll(async () => {
     console.log('Setting up test environment...');
-    // Add any global setup needed
+    modelServer = await startStubServer(echoChatCompletion);
+    config.ai.openai.baseUrl = `${modelServer.url}/v1`;
+    config.ai.mistral.baseUrl = `${modelServer.url}/v1`;
 });
 
 // Global teardown after all tests
 afterAll(async () => {
     console.log('Tearing down test environment...');
-    // Add any cleanup needed
+    await modelServer.close();
 });
\ No newline at end of file
@@ -0,0 +1,72 @@
+const { assessPrompt, applyAnswers } = require('../../src/services/clarificationService');
+
+describe('Clarification Service', () => {
+    describe('assessPrompt', () => {
+        it.each([
+            'write a blog post',
+            'Explain recursion',
+            'Write about APIs'
+        ])('should ask about what "%s" leaves out', text => {
+            const { underspecified, questions } = assessPrompt(text);
+
+            expect(underspecified).toBe(true);
+            expect(questions.length).toBeGreaterThanOrEqual(3);
+            expect(questions.length).toBeLessThanOrEqual(5);
+            for (const question of questions) {
+                expect(question).toEqual({
+                    id: expect.stringMatching(/^q\d$/),
+                    type: expect.any(String),
+                    question: expect.any(String),
+                    suggestedAnswers: expect.arrayContaining([expect.any(String)])
+                });
+            }
+        });
+
+        it.each([
+            'Write a 500-word blog post for junior developers about migrating from REST to GraphQL, in a friendly tone',
+            'Write a cover letter for a backend role at Stripe that highlights my Go experience',
+            'Summarize this quarterly report for executives in 5 bullet points'
+        ])('should leave specific prompts alone: "%s"', text => {
+            expect(assessPrompt(text)).toMatchObject({ underspecified: false, questions: [] });
+        });
+
+        it('should number the questions and ask about the core details first', () => {
+            const { questions } = assessPrompt('Explain recursion');
+
+            expect(questions.map(question => question.id)).toEqual(questions.map((question, index) => `q${index + 1}`));
+            expect(questions[0].type).not.toMatch(/length|tone/);
+        });
+
+        it('should not ask about details the prompt already gives', () => {
+            const types = assessPrompt('write a short blog post').questions.map(question => question.type);
+
+            expect(types).not.toContain('length');
+            expect(types).not.toContain('format');
+        });
+
+        it('should use the suggested answers of the detected domain', () => {
+            const { domain, questions } = assessPrompt('write a blog post');
+            const audience = questions.find(question => question.type === 'audience');
+
+            expect(domain).toBe('blog');
+            expect(audience.suggestedAnswers).toEqual(require('../../src/domains/blog').clarifyingAnswers.audience);
+        });
+    });
+
+    describe('applyAnswers', () => {
+        const questions = [
+            { id: 'q1', type: 'audience' },
+            { id: 'q2', type: 'purpose' },
+            { id: 'q3', type: 'length' }
+        ];
+
+        it('should append the answered details to the prompt', () => {
+            expect(applyAnswers('Explain recursion', questions, { q1: 'Beginners', q3: ' About 300 words ' }))
+                .toBe('Explain recursion\n\nDetails:\n- Audience: Beginners\n- Length: About 300 words');
+        });
+
+        it('should leave the prompt as it is when nothing was answered', () => {
+            expect(applyAnswers('Explain recursion', questions, { q2: '  ' })).toBe('Explain recursion');
+        });
+    });
+});
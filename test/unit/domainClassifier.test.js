@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const domainRegistry = require('../../src/domains');
+const { DomainRegistry } = require('../../src/domains');
+const { classifyDomain } = require('../../src/services/domainClassifier');
+const { enhancePromptDetailed } = require('../../src/services/promptEnhancerService');
+
+describe('Domain Classifier', () => {
+    it('should load the built-in domain packs', () => {
+        const names = domainRegistry.list().map(pack => pack.name);
+
+        expect(names).toEqual(expect.arrayContaining([
+            'marketing', 'legal', 'data_analysis', 'image_generation', 'education', 'customer_support'
+        ]));
+    });
+
+    it.each([
+        ['Draft an NDA clause that limits liability', 'legal'],
+        ['A midjourney portrait of a fox with soft lighting', 'image_generation'],
+        ['Reply to an angry customer asking for a refund', 'customer_support'],
+        ['Create a quiz for a grade 7 lesson on fractions', 'education'],
+        ['Find the correlation between price and churn in this CSV dataset', 'data_analysis'],
+        ['Write a slogan for our product launch campaign', 'marketing']
+    ])('should classify "%s" as %s', (text, expected) => {
+        expect(classifyDomain(text).domain.name).toBe(expected);
+    });
+
+    it('should score every feature instead of stopping at the first keyword', () => {
+        const result = classifyDomain('Write about blogging software code');
+
+        expect(result.domain.name).toBe('code');
+        expect(result.scores.map(score => score.name)).toEqual(['code', 'blog']);
+        expect(result.confidence).toBeGreaterThan(0);
+        expect(result.confidence).toBeLessThan(1);
+    });
+
+    it('should report no domain when nothing matches', () => {
+        expect(classifyDomain('Hello there')).toEqual({ domain: null, confidence: 0, scores: [] });
+    });
+
+    it('should reject packs without features or advice', () => {
+        const registry = new DomainRegistry();
+
+        expect(() => registry.register({ name: 'empty', advice: [], bannedTerms: [] }))
+            .toThrow(/must define keywords or patterns/);
+        expect(() => registry.register({ name: 'quiet', keywords: { x: 1 } }))
+            .toThrow(/must define advice and bannedTerms/);
+    });
+
+    it('should load packs from another directory', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'domain-packs-'));
+        fs.writeFileSync(path.join(directory, 'recipes.js'), `module.exports = {
+            name: 'recipes',
+            keywords: { recipe: 3 },
+            advice: ['List ingredients with quantities.'],
+            bannedTerms: ['mouth-watering']
+        };`);
+
+        const registry = new DomainRegistry();
+        registry.loadFromDirectory(directory);
+
+        expect(registry.get('recipes')).toMatchObject({ name: 'recipes', label: 'recipes', patterns: [] });
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should put the domain advice in the guidance and report the domain', async () => {
+        const result = await enhancePromptDetailed({ originalPrompt: 'Draft an NDA clause that limits liability', seed: 1 });
+
+        expect(result.domain).toEqual({ name: 'legal', confidence: 1 });
+        expect(result.enhancedText).toContain('4. DOMAIN-SPECIFIC ADVICE (LEGAL):');
+        expect(result.enhancedText).toContain('"ironclad"');
+    });
+});
@@ -0,0 +1,74 @@
+const { enforceFormat, checkFormat, getFormatInstructions } = require('../../src/services/formatService');
+const { enhancePrompt } = require('../../src/services/promptEnhancerService');
+
+describe('Format Service', () => {
+    const mixedOutput = `## Role
+You are a senior data engineer.
+
+Task: Explain how to design an ETL pipeline. Cover batch and streaming.
+
+Requirements:
+* Use concrete examples
+1. Keep it under 500 words`;
+
+    it('should give each format its own instructions', () => {
+        const instructions = ['paragraph', 'bullet', 'structured', 'conversational'].map(getFormatInstructions);
+
+        expect(new Set(instructions).size).toBe(4);
+        expect(getFormatInstructions('bullet')).toContain('- ');
+    });
+
+    it('should turn any output into real bullet points', () => {
+        const { text, issues } = enforceFormat(mixedOutput, 'bullet');
+
+        expect(issues.length).toBeGreaterThan(0);
+        text.split('\n').forEach(line => expect(line).toMatch(/^\s*- \S/));
+        expect(text).toContain('- Use concrete examples');
+        expect(text).toContain('- Cover batch and streaming.');
+        expect(checkFormat(text, 'bullet')).toEqual([]);
+    });
+
+    it('should flatten headings and lists for paragraph format', () => {
+        const { text } = enforceFormat(mixedOutput, 'paragraph');
+
+        expect(text).not.toMatch(/^#/m);
+        expect(text).not.toMatch(/^\s*(?:[-*]|\d+\.)\s/m);
+        expect(text).toContain('Use concrete examples.');
+        expect(checkFormat(text, 'paragraph')).toEqual([]);
+    });
+
+    it('should normalize section headings for structured format', () => {
+        const { text } = enforceFormat(mixedOutput, 'structured');
+
+        expect(text).toMatch(/^ROLE:\nYou are a senior data engineer\./);
+        expect(text).toContain('TASK:\nExplain how to design an ETL pipeline.');
+        expect(text).toContain('CONSTRAINTS:\n* Use concrete examples');
+        expect(checkFormat(text, 'structured')).toEqual([]);
+    });
+
+    it('should leave fenced code alone in every format', () => {
+        const code = '```python\n# compute the total\ntotal = sum(items)\n\n- not a bullet\n## Output\n```';
+        const output = `## Task\nFix the function below.\n\n${code}\n\n## Constraints\n1. Keep the variable names`;
+
+        for (const format of ['paragraph', 'bullet', 'structured', 'conversational']) {
+            const { text } = enforceFormat(output, format);
+
+            expect(text).toContain(code);
+            expect(checkFormat(text, format)).toEqual([]);
+        }
+        expect(enforceFormat(output, 'bullet').text).toContain('- Fix the function below.');
+        expect(enforceFormat(output, 'structured').text).toMatch(/^TASK:\nFix the function below\./);
+    });
+
+    it('should leave conforming output untouched', () => {
+        const bullets = '- Define the audience\n- Ask for three examples';
+        expect(enforceFormat(bullets, 'bullet')).toEqual({ text: bullets, issues: [] });
+    });
+
+    it('should apply the requested format to the enhanced prompt', async () => {
+        const result = await enhancePrompt({ originalPrompt: 'Write about APIs', format: 'bullet' });
+        const [enhanced] = result.split('\n--------------------------');
+
+        enhanced.trim().split('\n').forEach(line => expect(line).toMatch(/^- /));
+    });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config/config');
+const languageRegistry = require('../../src/languages');
+const { LanguageRegistry } = require('../../src/languages');
+const providerRegistry = require('../../src/services/providers');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+const { detectLanguage, getLanguageInstructions } = require('../../src/services/languageService');
+const { enhanceOffline } = require('../../src/services/offlineEnhancerService');
+const { enhancePromptDetailed } = require('../../src/services/promptEnhancerService');
+const { normalizePromptText } = require('../../src/services/scoringService');
+const { parseSections } = require('../../src/services/formatService');
+
+describe('Language Service', () => {
+    it('should load the built-in language packs', () => {
+        expect(languageRegistry.list().map(pack => pack.code)).toEqual(
+            expect.arrayContaining(['en', 'es', 'fr', 'de', 'pt', 'ja'])
+        );
+    });
+
+    describe('detectLanguage', () => {
+        it.each([
+            ['Write a blog post about our new API for developers', 'en'],
+            ['Escribe un artículo sobre la historia de España para niños', 'es'],
+            ['Explique la photosynthèse à des élèves de collège', 'fr'],
+            ['Schreibe eine E-Mail an unseren Kunden über die Verzögerung', 'de'],
+            ['Escreva um texto sobre a história do Brasil para crianças', 'pt'],
+            ['日本の歴史について説明してください', 'ja']
+        ])('should detect "%s" as %s', (text, expected) => {
+            const result = detectLanguage(text);
+
+            expect(result.language).toBe(expected);
+            expect(result.confidence).toBeGreaterThan(0.5);
+        });
+
+        it('should report prompts without evidence as undetermined', () => {
+            expect(detectLanguage('Python sorting')).toEqual({ language: null, confidence: 0 });
+            expect(detectLanguage('')).toEqual({ language: null, confidence: 0 });
+        });
+    });
+
+    describe('getLanguageInstructions', () => {
+        it('should add nothing for English prompts', () => {
+            expect(getLanguageInstructions({ detectedLanguage: 'en' })).toBeNull();
+        });
+
+        it('should keep the detected language', () => {
+            const instructions = getLanguageInstructions({ detectedLanguage: 'es' });
+
+            expect(instructions).toContain('The original prompt is in Spanish');
+            expect(instructions).toContain('Keep section labels and JSON keys in English');
+        });
+
+        it('should prefer the target language', () => {
+            expect(getLanguageInstructions({ detectedLanguage: 'es', targetLanguage: 'de' }))
+                .toContain('Write the enhanced prompt in German');
+        });
+
+        it('should fall back to the language of the prompt when it is undetermined', () => {
+            expect(getLanguageInstructions({ detectedLanguage: null }))
+                .toContain('same language as the original prompt');
+        });
+    });
+
+    describe('language packs', () => {
+        it('should reject packs without detection evidence or guidance', () => {
+            const registry = new LanguageRegistry();
+
+            expect(() => registry.register({ code: 'english' })).toThrow(/two-letter code/);
+            expect(() => registry.register({ code: 'it', overusedWords: [], overusedPhrases: [], guidance: { title: 'X' } }))
+                .toThrow(/must define detection words or a script/);
+            expect(() => registry.register({ code: 'it', detection: { words: ['il'] } }))
+                .toThrow(/must define overusedWords, overusedPhrases and guidance/);
+        });
+
+        it('should load packs from another directory', () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'language-packs-'));
+            fs.writeFileSync(path.join(directory, 'it.js'), `module.exports = {
+                code: 'it',
+                name: 'Italian',
+                detection: { words: ['il', 'della', 'scrivi'] },
+                overusedWords: ['innovativo'],
+                overusedPhrases: ['Nel mondo di oggi...'],
+                guidance: { title: 'GUIDA DI SCRITTURA' }
+            };`);
+
+            const registry = new LanguageRegistry();
+            registry.loadFromDirectory(directory);
+
+            expect(registry.get('it')).toMatchObject({ code: 'it', fallback: null, detection: { words: ['il', 'della', 'scrivi'] } });
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+    });
+
+    describe('offline enhancer', () => {
+        it('should write the sections in the language of the pack and keep the labels', () => {
+            const { text } = enhanceOffline('Escribe un artículo sobre la historia de España', { language: 'es' });
+            const sections = parseSections(text);
+
+            expect(sections.map(section => section.key)).toEqual(['role', 'context', 'task', 'constraints', 'outputFormat']);
+            expect(sections[0].content).toBe('Eres un asistente experto que da respuestas precisas y prácticas.');
+            expect(sections[2].content).toBe('Escribe un artículo sobre la historia de España');
+            expect(text).toContain('Evita palabras de moda como "innovador"');
+        });
+
+        it('should use the English rules for English and unknown languages', () => {
+            const prompt = 'Explain recursion to beginners';
+
+            expect(enhanceOffline(prompt, { language: 'en' })).toEqual(enhanceOffline(prompt));
+            expect(enhanceOffline(prompt, { language: null })).toEqual(enhanceOffline(prompt));
+        });
+
+        it('should localize the wording around the sections in every format', () => {
+            const prompt = 'Escribe un poema sobre el mar';
+
+            expect(enhanceOffline(prompt, { language: 'es', format: 'bullet' }).text).toContain('- Tarea: Escribe un poema sobre el mar');
+            expect(enhanceOffline(prompt, { language: 'es', format: 'conversational' }).text).toContain('¡Gracias!');
+        });
+    });
+
+    describe('enhancement', () => {
+        const originalChain = config.ai.fallbackChain;
+        let stub;
+
+        beforeEach(() => {
+            stub = {
+                name: 'language-stub',
+                isConfigured: () => true,
+                enhance: jest.fn(async () => ({ text: 'TASK:\nEscribe un artículo.', model: 'stub-model' })),
+                listModels: async () => ['stub-model'],
+                health: async () => ({ status: 'ok' }),
+                capabilities: () => ({ streaming: false })
+            };
+            providerRegistry.register(stub);
+            config.ai.fallbackChain = ['language-stub'];
+            resetCircuitBreakers();
+        });
+
+        afterEach(() => {
+            providerRegistry.unregister('language-stub');
+            config.ai.fallbackChain = originalChain;
+            resetCircuitBreakers();
+        });
+
+        it('should keep the prompt language and localize the guidance', async () => {
+            const result = await enhancePromptDetailed({ originalPrompt: 'Escribe un artículo sobre la historia de España', seed: 7 });
+            const { messages } = stub.enhance.mock.calls[0][0];
+
+            expect(result.detectedLanguage).toBe('es');
+            expect(result.targetLanguage).toBeNull();
+            expect(messages[0].content).toContain('The original prompt is in Spanish');
+            expect(result.enhancedText).toContain('GUÍA DE REDACCIÓN:');
+            expect(result.enhancedText).not.toContain('WRITING GUIDANCE');
+        });
+
+        it('should write in the target language when one is requested', async () => {
+            const result = await enhancePromptDetailed({ originalPrompt: 'Escribe un artículo sobre España', targetLanguage: 'en' });
+            const { messages } = stub.enhance.mock.calls[0][0];
+
+            expect(result.detectedLanguage).toBe('es');
+            expect(result.targetLanguage).toBe('en');
+            expect(messages[0].content).toContain('Write the enhanced prompt in English');
+            expect(result.enhancedText).toContain('WRITING GUIDANCE:');
+        });
+
+        it('should reject unknown target languages', async () => {
+            await expect(enhancePromptDetailed({ originalPrompt: 'Write about APIs', targetLanguage: 'xx' }))
+                .rejects.toThrow('Unsupported target language: xx');
+        });
+
+        it('should leave the system prompt of English prompts unchanged', async () => {
+            await enhancePromptDetailed({ originalPrompt: 'Write about APIs' });
+
+            expect(stub.enhance.mock.calls[0][0].messages[0].content).not.toContain('LANGUAGE:');
+        });
+
+        it('should leave localized guidance out of the scored text', async () => {
+            const result = await enhancePromptDetailed({ originalPrompt: 'Escribe un artículo sobre la historia de España' });
+
+            expect(normalizePromptText(result.enhancedText)).toBe('TASK:\nEscribe un artículo.');
+        });
+    });
+});
@@ -0,0 +1,129 @@
+const config = require('../../src/config/config');
+const { rewriteWording, enhanceOffline } = require('../../src/services/offlineEnhancerService');
+const { getChain, resetCircuitBreakers } = require('../../src/services/providerChain');
+const { enhancePromptDetailed } = require('../../src/services/promptEnhancerService');
+const { checkFormat, getFormatNames, parseSections } = require('../../src/services/formatService');
+
+describe('Offline Enhancer', () => {
+    const prompt = 'In order to leverage our robust platform, write a blog post for beginners about a cutting-edge tool in 500 words';
+
+    describe('rewriteWording', () => {
+        it('should swap overused words for dictionary alternatives and drop filler', () => {
+            const { text, replacements } = rewriteWording(prompt);
+
+            expect(text).toBe('To use our strong platform, write a blog post for beginners about an advanced tool in 500 words');
+            expect(replacements).toEqual(expect.arrayContaining([
+                { from: 'leverage', to: 'use' },
+                { from: 'robust', to: 'strong' },
+                { from: 'cutting-edge', to: 'advanced' }
+            ]));
+        });
+
+        it('should never swap in another overused word', () => {
+            // "innovative" is the first alternative for "cutting-edge" but is itself overused
+            expect(rewriteWording('A cutting-edge idea').text).toBe('An advanced idea');
+        });
+
+        it('should leave prompts without weak wording unchanged', () => {
+            expect(rewriteWording('Explain recursion with an example')).toEqual({
+                text: 'Explain recursion with an example',
+                replacements: []
+            });
+        });
+    });
+
+    describe('enhanceOffline', () => {
+        it('should build every structured section from heuristics', () => {
+            const sections = parseSections(enhanceOffline(prompt).text);
+
+            expect(sections.map(section => section.key)).toEqual(['role', 'context', 'task', 'constraints', 'outputFormat']);
+            expect(sections[0].content).toBe('You are an experienced writer and editor.');
+            expect(sections[1].content).toContain('The audience is beginners');
+            expect(sections[3].content).toContain('- Stay within 500 words.');
+        });
+
+        it('should pick the role from the kind of task', () => {
+            const { text } = enhanceOffline('Write a function that parses CSV files');
+            expect(text).toContain('You are a senior software engineer');
+        });
+
+        it('should add constraints from the dictionary', () => {
+            const { text } = enhanceOffline('Describe how our synergy will improve performance');
+
+            expect(text).toContain('Replace vague terms such as "synergy" with concrete details.');
+            expect(text).toContain('Make "improve performance" measurable');
+        });
+
+        it.each(getFormatNames())('should produce valid %s output', format => {
+            const { text } = enhanceOffline(prompt, { format });
+            expect(checkFormat(text, format)).toEqual([]);
+        });
+
+        it('should be deterministic', () => {
+            expect(enhanceOffline(prompt, { format: 'bullet' })).toEqual(enhanceOffline(prompt, { format: 'bullet' }));
+        });
+    });
+
+    describe('offline provider', () => {
+        const originalProvider = config.ai.provider;
+        const originalChain = config.ai.fallbackChain;
+        const originalKey = config.ai.openai.apiKey;
+        const originalFallback = config.ai.offlineFallback;
+
+        beforeEach(() => {
+            resetCircuitBreakers();
+        });
+
+        afterEach(() => {
+            config.ai.provider = originalProvider;
+            config.ai.fallbackChain = originalChain;
+            config.ai.openai.apiKey = originalKey;
+            config.ai.offlineFallback = originalFallback;
+        });
+
+        it('should enhance without writing guidance and give the same result every time', async () => {
+            config.ai.provider = 'offline';
+
+            const first = await enhancePromptDetailed({ originalPrompt: prompt });
+            const second = await enhancePromptDetailed({ originalPrompt: prompt });
+
+            expect(first.provider).toBe('offline');
+            expect(first.model).toBe('rule-based');
+            expect(first.enhancedText).not.toContain('WRITING GUIDANCE');
+            expect(first.enhancedText).toBe(second.enhancedText);
+        });
+
+        it('should return valid JSON sections when asked for them', async () => {
+            config.ai.provider = 'offline';
+            const { text } = enhanceOffline('Explain recursion to beginners', { responseFormat: 'json' });
+
+            const result = await enhancePromptDetailed({ originalPrompt: 'Explain recursion to beginners', sections: true });
+
+            expect(JSON.parse(text)).toHaveProperty('examples', []);
+            expect(result.provider).toBe('offline');
+            expect(result.sections.role).toMatch(/^You are /);
+            expect(result.sections.constraints.length).toBeGreaterThan(0);
+            expect(result.sections.guidance).toBeNull();
+        });
+
+        it('should be used when no provider in the chain is configured', async () => {
+            config.ai.provider = 'openai';
+            config.ai.openai.apiKey = undefined;
+
+            expect(getChain()).toEqual(['openai', 'offline']);
+
+            const result = await enhancePromptDetailed({ originalPrompt: 'Explain recursion' });
+            expect(result.provider).toBe('offline');
+            expect(result.attempts[0]).toEqual({ provider: 'openai', status: 'skipped', reason: 'not_configured' });
+        });
+
+        it('should not be added when a provider is configured or the fallback is disabled', () => {
+            config.ai.provider = 'openai';
+            expect(getChain()).toEqual(['openai']);
+
+            config.ai.openai.apiKey = undefined;
+            config.ai.offlineFallback = false;
+            expect(getChain()).toEqual(['openai']);
+        });
+    });
+});
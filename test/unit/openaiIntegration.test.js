@@ -15,19 +15,17 @@ describe('OpenAI Integration', () => {
     });
 
     it('should call OpenAI with correct parameters', async () => {
-        // In test mode, the service returns a simple enhancement
+        // The stub OpenAI API started in test/setup.js echoes the prompt
         const result = await enhancePrompt({ originalPrompt: 'Test prompt' });
 
-        // Verify the result is what we expect in test mode
+        // Verify the result is what the stub API returns
         expect(result).toContain('Enhanced: Test prompt');
         expect(result).toContain('WRITING GUIDANCE');
     });
 
-    it('should handle OpenAI errors gracefully', async () => {
-        // We can test error handling even in test mode
-        // The service should catch errors and return a fallback
-
-        // Call the function with an extreme edge case
+    it('should ignore parameters it does not know', async () => {
+        // Provider errors are not hidden behind a fallback text; they reach the caller as 5xx errors.
+        // Unknown parameters, on the other hand, are simply left out of the request.
         const result = await enhancePrompt({
             originalPrompt: 'Test prompt',
             // Passing an additional invalid parameter won't break the function
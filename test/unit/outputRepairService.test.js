@@ -0,0 +1,142 @@
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+const { enhancePromptDetailed } = require('../../src/services/promptEnhancerService');
+const {
+    findBannedTerms,
+    rewriteBannedTerms,
+    buildCorrectionMessage,
+    repairOutput
+} = require('../../src/services/outputRepairService');
+
+describe('Output Repair Service', () => {
+    describe('rewriteBannedTerms', () => {
+        it('should replace buzzwords with dictionary alternatives', () => {
+            const { text, fixes } = rewriteBannedTerms('Leverage a robust, seamless pipeline.');
+
+            expect(text).toBe('Use a strong, smooth pipeline.');
+            expect(fixes).toEqual([
+                { category: 'overused_word', from: 'Leverage', to: 'Use', action: 'replaced' },
+                { category: 'overused_word', from: 'robust', to: 'strong', action: 'replaced' },
+                { category: 'overused_word', from: 'seamless', to: 'smooth', action: 'replaced' }
+            ]);
+        });
+
+        it('should keep articles in agreement with the replacement', () => {
+            expect(rewriteBannedTerms('Build a cutting-edge tool.').text).toBe('Build an advanced tool.');
+        });
+
+        it('should remove stock phrases', () => {
+            const { text, fixes } = rewriteBannedTerms("In today's fast-paced world, teams need clear docs.");
+
+            expect(text).toBe('Teams need clear docs.');
+            expect(fixes[0]).toMatchObject({ category: 'overused_phrase', action: 'removed' });
+        });
+
+        it('should report buzzwords without alternatives as unresolved', () => {
+            const { text, unresolved } = rewriteBannedTerms('Describe the synergy between teams.');
+
+            expect(text).toBe('Describe the synergy between teams.');
+            expect(unresolved).toEqual([{ category: 'overused_word', text: 'synergy' }]);
+        });
+    });
+
+    it('should ignore terms that are quoted rather than used', () => {
+        expect(findBannedTerms('Avoid words such as "seamless" and `robust`.')).toEqual([]);
+    });
+
+    it('should list each flagged term with alternatives in the correction message', () => {
+        const message = buildCorrectionMessage(findBannedTerms('Leverage synergy'));
+
+        expect(message).toContain('- "Leverage" (for example: use, apply, employ)');
+        expect(message).toContain('- "synergy"\n');
+    });
+
+    describe('repairOutput', () => {
+        it('should leave clean text untouched', async () => {
+            const result = await repairOutput('Explain recursion with one example.');
+
+            expect(result).toEqual({
+                text: 'Explain recursion with one example.',
+                repair: { mode: 'rewrite', reprompts: 0, fixes: [], unresolved: [] }
+            });
+        });
+
+        it('should do nothing when repair is off', async () => {
+            const result = await repairOutput('Leverage it.', { mode: 'off' });
+            expect(result.text).toBe('Leverage it.');
+        });
+
+        it('should re-prompt within the budget and rewrite what is left', async () => {
+            const reprompt = jest.fn()
+                .mockResolvedValueOnce('Use a robust pipeline.')
+                .mockResolvedValueOnce('Use a robust, reliable pipeline.');
+
+            const result = await repairOutput('Leverage a robust pipeline.', { mode: 'reprompt', maxReprompts: 2, reprompt });
+
+            expect(reprompt).toHaveBeenCalledTimes(2);
+            expect(result.text).toBe('Use a strong, reliable pipeline.');
+            expect(result.repair.reprompts).toBe(2);
+            expect(result.repair.fixes.map(fix => fix.action)).toEqual(['reprompted', 'replaced']);
+        });
+
+        it('should fall back to rewriting when the re-prompt fails', async () => {
+            const reprompt = jest.fn().mockRejectedValue(new Error('Upstream returned 500'));
+
+            const result = await repairOutput('Leverage it.', { mode: 'reprompt', reprompt });
+
+            expect(result.text).toBe('Use it.');
+            expect(result.repair.fixes).toEqual([
+                { category: 'overused_word', from: 'Leverage', to: 'Use', action: 'replaced' }
+            ]);
+        });
+    });
+
+    describe('enhancement pipeline', () => {
+        const originalProvider = config.ai.provider;
+        const originalRepair = { ...config.ai.repair };
+        let stub;
+
+        beforeEach(() => {
+            resetCircuitBreakers();
+            stub = providerRegistry.register({
+                name: 'buzzwordy',
+                isConfigured: () => true,
+                enhance: jest.fn()
+                    .mockResolvedValueOnce({ text: 'TASK:\nLeverage our seamless API.', model: 'stub-model' })
+                    .mockResolvedValueOnce({ text: 'TASK:\nUse our API.', model: 'stub-model' }),
+                listModels: async () => [],
+                health: async () => ({ status: 'ok' }),
+                capabilities: () => ({ streaming: false })
+            });
+            config.ai.provider = 'buzzwordy';
+        });
+
+        afterEach(() => {
+            config.ai.provider = originalProvider;
+            Object.assign(config.ai.repair, originalRepair);
+            providerRegistry.unregister('buzzwordy');
+        });
+
+        it('should rewrite flagged terms and report the fixes', async () => {
+            const result = await enhancePromptDetailed({ originalPrompt: 'Describe our API' });
+
+            expect(result.enhancedText).toMatch(/^TASK:\nUse our smooth API\./);
+            expect(result.repair.fixes).toHaveLength(2);
+            expect(stub.enhance).toHaveBeenCalledTimes(1);
+        });
+
+        it('should send a correction to the same provider in reprompt mode', async () => {
+            config.ai.repair.mode = 'reprompt';
+
+            const result = await enhancePromptDetailed({ originalPrompt: 'Describe our API' });
+
+            expect(result.enhancedText).toMatch(/^TASK:\nUse our API\./);
+            expect(result.repair).toMatchObject({ mode: 'reprompt', reprompts: 1, unresolved: [] });
+
+            const correction = stub.enhance.mock.calls[1][0].messages;
+            expect(correction[correction.length - 2]).toEqual({ role: 'assistant', content: 'TASK:\nLeverage our seamless API.' });
+            expect(correction[correction.length - 1].content).toContain('"seamless"');
+        });
+    });
+});
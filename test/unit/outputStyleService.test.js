@@ -0,0 +1,79 @@
+const { markdownToPlain, removeCodeFences, applyOutputStyle, getOutputStyleNames } = require('../../src/services/outputStyleService');
+const { enhancePromptDetailed } = require('../../src/services/promptEnhancerService');
+
+describe('Output Style Service', () => {
+    it('should list the supported styles', () => {
+        expect(getOutputStyleNames()).toEqual(['plain', 'markdown', 'xml-tags']);
+    });
+
+    describe('markdownToPlain', () => {
+        it('should remove emphasis but keep snake_case identifiers and dunder file names', () => {
+            const text = 'Rename **every** _local_ variable like my_var_name in __init__.py and __main__';
+
+            expect(markdownToPlain(text)).toBe('Rename every local variable like my_var_name in __init__.py and __main__');
+        });
+
+        it('should keep lists as lists', () => {
+            expect(markdownToPlain('* first\n+ second\n  * nested\n1. numbered')).toBe('- first\n- second\n  - nested\n1. numbered');
+        });
+
+        it('should turn headings into labels', () => {
+            expect(markdownToPlain('## Output Format\n- JSON')).toBe('OUTPUT FORMAT:\n- JSON');
+        });
+
+        it('should keep code exactly and drop only the fences and backticks', () => {
+            const text = 'Fix `parse_args(**kwargs)`:\n```python\ndef __init__(self, *args):\n    self._cache = {}\n```';
+
+            expect(markdownToPlain(text)).toBe('Fix parse_args(**kwargs):\ndef __init__(self, *args):\n    self._cache = {}');
+        });
+
+        it('should keep the fences when asked, for removeCodeFences to take out later', () => {
+            const text = '**Fix** this:\n```python\n# compute the total\ntotal = sum(items)\n```';
+
+            const kept = markdownToPlain(text, { keepFences: true });
+            expect(kept).toBe('Fix this:\n```python\n# compute the total\ntotal = sum(items)\n```');
+            expect(removeCodeFences(kept)).toBe(markdownToPlain(text));
+        });
+
+        it('should keep link addresses and drop blockquote markers', () => {
+            expect(markdownToPlain('> See [the docs](https://example.com/api_v2).')).toBe('See the docs (https://example.com/api_v2).');
+        });
+    });
+
+    describe('applyOutputStyle', () => {
+        const text = 'ROLE:\nYou are an editor.\n\nOUTPUT FORMAT:\n- One paragraph';
+
+        it('should render structured sections as XML tags or markdown headers', () => {
+            expect(applyOutputStyle(text, 'xml-tags', 'structured')).toBe(
+                '<role>\nYou are an editor.\n</role>\n\n<output_format>\n- One paragraph\n</output_format>'
+            );
+            expect(applyOutputStyle(text, 'markdown', 'structured')).toBe(
+                '## Role\nYou are an editor.\n\n## Output format\n- One paragraph'
+            );
+            expect(applyOutputStyle(text, 'plain', 'structured')).toBe(text);
+        });
+
+        it('should wrap other formats in a prompt tag for the XML style', () => {
+            expect(applyOutputStyle('Write a haiku.', 'xml-tags', 'paragraph')).toBe('<prompt>\nWrite a haiku.\n</prompt>');
+            expect(applyOutputStyle('Write a haiku.', 'markdown', 'paragraph')).toBe('Write a haiku.');
+        });
+    });
+
+    describe('enhancement', () => {
+        it('should default to the target model convention and let an explicit style win', async () => {
+            const targetDefault = await enhancePromptDetailed({ originalPrompt: 'Explain APIs', targetModel: 'gpt-4o' });
+            const explicit = await enhancePromptDetailed({ originalPrompt: 'Explain APIs', targetModel: 'gpt-4o', outputStyle: 'xml-tags' });
+            const plain = await enhancePromptDetailed({ originalPrompt: 'Explain APIs' });
+
+            expect(targetDefault.outputStyle).toBe('markdown');
+            expect(explicit.outputStyle).toBe('xml-tags');
+            expect(explicit.enhancedText).toMatch(/^<task>/);
+            expect(plain.outputStyle).toBe('plain');
+        });
+
+        it('should reject unknown styles', async () => {
+            await expect(enhancePromptDetailed({ originalPrompt: 'Explain APIs', outputStyle: 'html' }))
+                .rejects.toThrow('Unsupported output style: html');
+        });
+    });
+});
@@ -0,0 +1,65 @@
+const { analyzePrompt } = require('../../src/services/promptAnalysisService');
+
+describe('Prompt Analysis Service', () => {
+    it('should report each match with offsets into the original text', () => {
+        const text = 'Write a blog post about our cutting-edge, robust platform';
+        const { findings } = analyzePrompt(text);
+
+        expect(findings).toHaveLength(2);
+        for (const finding of findings) {
+            expect(text.slice(finding.start, finding.end)).toBe(finding.text);
+        }
+
+        expect(findings[0]).toMatchObject({
+            category: 'overused_word',
+            severity: 'warning',
+            text: 'cutting-edge',
+            start: 28,
+            end: 40
+        });
+    });
+
+    it('should suggest alternatives without suggesting other overused words', () => {
+        const [finding] = analyzePrompt('A cutting-edge tool').findings;
+
+        expect(finding.suggestions).toEqual(['advanced', 'pioneering', 'modern', 'leading', 'novel']);
+    });
+
+    it('should suggest specific replacements for vague phrases', () => {
+        const [finding] = analyzePrompt('Explain how to improve performance').findings;
+
+        expect(finding.category).toBe('vague_phrase');
+        expect(finding.suggestions).toContain('increase throughput');
+    });
+
+    it('should match phrases with placeholders and ellipses', () => {
+        const text = "In today's fast-paced world, teams want to take their marketing to the next level. Looking to take your docs to the next level?";
+        const phrases = analyzePrompt(text).findings.filter(finding => finding.category === 'overused_phrase');
+
+        expect(phrases.map(finding => finding.text)).toEqual([
+            "In today's fast-paced world",
+            'Looking to take your docs to the next level?'
+        ]);
+    });
+
+    it('should check every dictionary list', () => {
+        const text = 'It is worth mentioning that at Acme, we believe in quality. We hope this guide helps you on your journey. Let us enhance it.';
+        const categories = analyzePrompt(text).findings.map(finding => finding.category);
+
+        expect(categories).toEqual(['bad_sentence_structure', 'corporate_jargon', 'bad_blog_conclusion', 'weak_word']);
+    });
+
+    it('should not report a word that is part of a longer finding', () => {
+        const { findings, summary } = analyzePrompt('This will enhance productivity.');
+
+        expect(findings.map(finding => finding.text)).toEqual(['enhance productivity']);
+        expect(summary).toEqual({ total: 1, bySeverity: { warning: 1 }, byCategory: { overused_word: 1 } });
+    });
+
+    it('should return no findings for clean text', () => {
+        expect(analyzePrompt('List three causes of the 1929 stock market crash.')).toEqual({
+            findings: [],
+            summary: { total: 0, bySeverity: {}, byCategory: {} }
+        });
+    });
+});
@@ -1,4 +1,5 @@
-const { enhancePrompt } = require('../../src/services/promptEnhancerService');
+const { enhancePrompt, enhancePromptDetailed } = require('../../src/services/promptEnhancerService');
+const config = require('../../src/config/config');
 const assert = require('assert');
 
 describe('Prompt Enhancer Service', () => {
@@ -34,4 +35,65 @@ describe('Prompt Enhancer Service', () => {
         // Then
         assert(result.includes('WRITING GUIDANCE'), 'Should include writing guidance section');
     });
+
+    it('should pick the same guidance for the same seed', async () => {
+        // Given
+        const params = { originalPrompt: 'Write about APIs', seed: 42 };
+
+        // When
+        const first = await enhancePromptDetailed(params);
+        const second = await enhancePromptDetailed(params);
+
+        // Then
+        assert.strictEqual(first.seed, 42, 'Should echo the seed');
+        assert.strictEqual(first.enhancedText, second.enhancedText, 'Same seed should give the same guidance');
+    });
+
+    it('should report a generated seed that reproduces the result', async () => {
+        // Given
+        const first = await enhancePromptDetailed({ originalPrompt: 'Write about APIs' });
+
+        // When
+        const second = await enhancePromptDetailed({ originalPrompt: 'Write about APIs', seed: first.seed });
+
+        // Then
+        assert(Number.isInteger(first.seed), 'Should generate a seed');
+        assert.strictEqual(second.enhancedText, first.enhancedText, 'Reported seed should reproduce the result');
+    });
+
+    it('should use the configured default seed', async () => {
+        const originalSeed = config.ai.guidance.seed;
+        config.ai.guidance.seed = 7;
+
+        try {
+            const result = await enhancePromptDetailed({ originalPrompt: 'Write about APIs' });
+            assert.strictEqual(result.seed, 7, 'Should fall back to the configured seed');
+        } finally {
+            config.ai.guidance.seed = originalSeed;
+        }
+    });
+
+    it('should list the requested number of terms and phrases', async () => {
+        // When
+        const result = await enhancePrompt({ originalPrompt: 'Write about APIs', guidance: { terms: 1, phrases: 0 } });
+
+        // Then
+        const avoidSection = result.split('2. AVOID OVERUSED LANGUAGE:')[1].split('3. BE SPECIFIC:')[0];
+        assert.strictEqual((avoidSection.match(/- "/g) || []).length, 1, 'Should list exactly one item');
+    });
+
+    it('should leave out the guidance block when disabled', async () => {
+        // When
+        const result = await enhancePrompt({ originalPrompt: 'Write about APIs', guidance: { enabled: false } });
+
+        // Then
+        assert(!result.includes('WRITING GUIDANCE'), 'Should not include writing guidance');
+    });
+
+    it('should reject invalid seeds', async () => {
+        await assert.rejects(
+            enhancePrompt({ originalPrompt: 'Write about APIs', seed: -1 }),
+            /Seed must be an integer/
+        );
+    });
 });
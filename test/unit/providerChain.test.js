@@ -0,0 +1,127 @@
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { runWithFallback, getCircuitBreaker, resetCircuitBreakers } = require('../../src/services/providerChain');
+const { enhancePromptDetailed } = require('../../src/services/promptEnhancerService');
+
+function createStubProvider(name, enhance) {
+    return {
+        name,
+        isConfigured: () => true,
+        enhance: jest.fn(enhance),
+        listModels: async () => [],
+        health: async () => ({ status: 'ok' }),
+        capabilities: () => ({ streaming: false })
+    };
+}
+
+describe('Provider Fallback Chain', () => {
+    const originalChain = config.ai.fallbackChain;
+    let failing;
+    let healthy;
+
+    beforeEach(() => {
+        resetCircuitBreakers();
+        failing = providerRegistry.register(createStubProvider('failing', async () => {
+            const error = new Error('Upstream returned 503');
+            error.status = 503;
+            throw error;
+        }));
+        healthy = providerRegistry.register(createStubProvider('healthy', async () => ({
+            text: 'TASK:\nExplain REST APIs to new backend developers.',
+            model: 'healthy-model'
+        })));
+        config.ai.fallbackChain = ['failing', 'healthy'];
+    });
+
+    afterEach(() => {
+        config.ai.fallbackChain = originalChain;
+        providerRegistry.unregister('failing');
+        providerRegistry.unregister('healthy');
+        jest.restoreAllMocks();
+    });
+
+    it('should fall back to the next provider and record which one served the request', async () => {
+        const result = await enhancePromptDetailed({ originalPrompt: 'Explain APIs' });
+
+        expect(result.provider).toBe('healthy');
+        expect(result.model).toBe('healthy-model');
+        expect(result.enhancedText).toContain('Explain REST APIs');
+        expect(result.attempts.map(attempt => attempt.status)).toEqual(['failed', 'succeeded']);
+    });
+
+    it('should skip unknown providers', async () => {
+        config.ai.fallbackChain = ['offline-not-installed', 'healthy'];
+
+        const { provider, attempts } = await runWithFallback(candidate => candidate.enhance({}));
+
+        expect(provider).toBe('healthy');
+        expect(attempts[0]).toEqual({ provider: 'offline-not-installed', status: 'skipped', reason: 'not_registered' });
+    });
+
+    it('should pass over providers the operation skips without touching their circuit breaker', async () => {
+        const breaker = getCircuitBreaker('failing');
+        jest.spyOn(breaker, 'recordSuccess');
+        jest.spyOn(breaker, 'recordFailure');
+
+        const { provider, attempts } = await runWithFallback(candidate => candidate.enhance({}), {
+            skip: candidate => (candidate.name === 'failing' ? 'cannot_refine' : null)
+        });
+
+        expect(provider).toBe('healthy');
+        expect(attempts).toEqual([
+            { provider: 'failing', status: 'skipped', reason: 'cannot_refine' },
+            { provider: 'healthy', status: 'succeeded' }
+        ]);
+        expect(failing.enhance).not.toHaveBeenCalled();
+        expect(breaker.recordSuccess).not.toHaveBeenCalled();
+        expect(breaker.recordFailure).not.toHaveBeenCalled();
+    });
+
+    it('should throw a provider_unavailable error when every provider fails', async () => {
+        config.ai.fallbackChain = ['failing'];
+
+        await expect(enhancePromptDetailed({ originalPrompt: 'Explain APIs' }))
+            .rejects.toMatchObject({ statusCode: 503, code: 'provider_unavailable' });
+    });
+
+    it('should open the circuit after repeated failures and half-open after the cooldown', async () => {
+        const { failureThreshold, cooldownMs } = config.ai.circuitBreaker;
+        let now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+        for (let i = 0; i < failureThreshold; i++) {
+            await runWithFallback(candidate => candidate.enhance({}));
+        }
+        expect(getCircuitBreaker('failing').getStatus().state).toBe('open');
+
+        // While open, the failing provider is not called at all
+        const { attempts } = await runWithFallback(candidate => candidate.enhance({}));
+        expect(attempts[0].reason).toBe('circuit_open');
+        expect(failing.enhance).toHaveBeenCalledTimes(failureThreshold);
+
+        // After the cooldown a single trial call goes through
+        now += cooldownMs;
+        await runWithFallback(candidate => candidate.enhance({}));
+        expect(failing.enhance).toHaveBeenCalledTimes(failureThreshold + 1);
+        expect(getCircuitBreaker('failing').getStatus().state).toBe('open');
+        expect(healthy.enhance).toHaveBeenCalled();
+    });
+
+    it('should close the circuit when the half-open trial succeeds', () => {
+        const breaker = getCircuitBreaker('healthy');
+        let now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+        for (let i = 0; i < breaker.failureThreshold; i++) {
+            breaker.recordFailure();
+        }
+        expect(breaker.canRequest()).toBe(false);
+
+        now += breaker.cooldownMs;
+        expect(breaker.canRequest()).toBe(true);
+        expect(breaker.canRequest()).toBe(false);
+
+        breaker.recordSuccess();
+        expect(breaker.getStatus().state).toBe('closed');
+    });
+});
@@ -0,0 +1,51 @@
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { ProviderRegistry } = require('../../src/services/providers');
+const { enhancePrompt } = require('../../src/services/promptEnhancerService');
+
+function createStubProvider(name, text) {
+    return {
+        name,
+        isConfigured: () => true,
+        enhance: jest.fn().mockResolvedValue({ text, model: 'stub-model' }),
+        listModels: async () => ['stub-model'],
+        health: async () => ({ status: 'ok' }),
+        capabilities: () => ({ streaming: false, defaultModel: 'stub-model' })
+    };
+}
+
+describe('AI Provider Registry', () => {
+    const originalProvider = config.ai.provider;
+
+    afterEach(() => {
+        config.ai.provider = originalProvider;
+        providerRegistry.unregister('stub');
+    });
+
+    it('should load the built-in providers', () => {
+        expect(providerRegistry.has('openai')).toBe(true);
+        expect(providerRegistry.has('mistral')).toBe(true);
+    });
+
+    it('should reject providers that do not implement the interface', () => {
+        const registry = new ProviderRegistry();
+
+        expect(() => registry.register({ name: 'broken', enhance: async () => ({}) }))
+            .toThrow(/missing required methods: isConfigured, listModels, health, capabilities/);
+    });
+
+    it('should route enhancements to the configured provider', async () => {
+        const stub = providerRegistry.register(createStubProvider('stub', 'TASK:\nWrite a detailed API guide.'));
+        config.ai.provider = 'stub';
+
+        const result = await enhancePrompt({ originalPrompt: 'Write about APIs', format: 'structured' });
+
+        expect(result).toContain('Write a detailed API guide.');
+        const request = stub.enhance.mock.calls[0][0];
+        expect(request.originalPrompt).toBe('Write about APIs');
+        expect(request.messages[0].role).toBe('system');
+        expect(request.messages[0].content).toContain('OUTPUT FORMAT: STRUCTURED SECTIONS');
+        expect(request.messages[1].content).toContain(`<${request.delimiter}>\nWrite about APIs\n</${request.delimiter}>`);
+        expect(request.messages[0].content).toContain(`<${request.delimiter}>`);
+    });
+});
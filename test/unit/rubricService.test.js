@@ -0,0 +1,149 @@
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+const { enhancePromptVariants } = require('../../src/services/promptEnhancerService');
+const { scoreEnhancement } = require('../../src/services/rubricService');
+const { getVariantStrategies, rankVariants } = require('../../src/services/variantService');
+
+const GOOD_PROMPT = `ROLE:
+You are a senior backend engineer who reviews API designs.
+
+CONTEXT:
+The reader is a junior developer building a first REST service for an online bookshop with 3 resources.
+
+TASK:
+Explain how to design the endpoints for books, authors and orders, for example "GET /books/{id}".
+
+CONSTRAINTS:
+- Stay under 400 words
+- Use 2 code samples at most
+- Name the HTTP status code for every error case
+
+OUTPUT FORMAT:
+- A short introduction of 2 sentences
+- One section per resource with a table of endpoints`;
+
+const WEAK_PROMPT = 'Leverage cutting-edge synergy to write some stuff about APIs.';
+
+describe('Rubric Service', () => {
+    it('should score a specific, well-structured prompt above a vague one', () => {
+        const good = scoreEnhancement(GOOD_PROMPT);
+        const weak = scoreEnhancement(WEAK_PROMPT);
+
+        expect(good.score).toBeGreaterThan(weak.score);
+        expect(good.criteria.structure).toBe(1);
+        expect(good.criteria.dictionary).toBe(1);
+        expect(good.formatIssues).toEqual([]);
+        expect(weak.violations).toBeGreaterThan(0);
+        expect(weak.criteria.dictionary).toBeLessThan(1);
+        expect(weak.criteria.length).toBeLessThan(1);
+    });
+
+    it('should keep every score between 0 and 1', () => {
+        for (const text of [GOOD_PROMPT, WEAK_PROMPT, '', 'word '.repeat(2000)]) {
+            const { score, criteria } = scoreEnhancement(text);
+            for (const value of [score, ...Object.values(criteria)]) {
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThanOrEqual(1);
+            }
+        }
+    });
+
+    it('should ignore the writing guidance block and output style markup', () => {
+        const guidance = '\n--------------------------\nWRITING GUIDANCE:\n   - "leverage"\n   - "synergy"\n--------------------------\n';
+        const markdown = GOOD_PROMPT.replace(/^([A-Z ]+):$/gm, (match, label) => `## ${label.charAt(0)}${label.slice(1).toLowerCase()}`);
+        const xml = GOOD_PROMPT.replace(/^([A-Z ]+):\n([\s\S]*?)(?=\n\n[A-Z ]+:\n|$)/g, (match, label, content) => {
+            const tag = label.toLowerCase().replace(/ /g, '_');
+            return `<${tag}>\n${content}\n</${tag}>`;
+        });
+
+        const plain = scoreEnhancement(GOOD_PROMPT);
+        expect(scoreEnhancement(GOOD_PROMPT + guidance)).toEqual(plain);
+        expect(scoreEnhancement(markdown).criteria.structure).toBe(1);
+        expect(scoreEnhancement(xml).criteria.structure).toBe(1);
+    });
+
+    it('should check the shape of other formats', () => {
+        expect(scoreEnhancement('- one\n- two', { format: 'bullet' }).criteria.structure).toBe(1);
+        expect(scoreEnhancement('ROLE:\nAn editor', { format: 'paragraph' }).formatIssues).toContain('contains headings');
+        expect(scoreEnhancement('ROLE:\nAn editor', { format: null }).criteria.structure).toBe(1);
+    });
+
+    describe('variants', () => {
+        it('should vary temperature around the configured one and reuse strategies in order', () => {
+            const strategies = getVariantStrategies(6, 0.7);
+
+            expect(strategies.map(strategy => strategy.name))
+                .toEqual(['balanced', 'precise', 'concise', 'detailed', 'exploratory', 'balanced']);
+            expect(strategies.map(strategy => strategy.temperature)).toEqual([0.7, 0.3, 0.5, 0.8, 1, 0.7]);
+            expect(strategies[0].instructions).toBeNull();
+        });
+
+        it('should rank variants best first and keep generation order on ties', () => {
+            const ranked = rankVariants([
+                { id: 'variant_1', enhancedText: WEAK_PROMPT },
+                { id: 'variant_2', enhancedText: GOOD_PROMPT },
+                { id: 'variant_3', enhancedText: WEAK_PROMPT }
+            ], 'structured');
+
+            expect(ranked.map(variant => variant.id)).toEqual(['variant_2', 'variant_1', 'variant_3']);
+            expect(ranked.map(variant => variant.rank)).toEqual([1, 2, 3]);
+            expect(ranked[0].score.score).toBeGreaterThan(ranked[1].score.score);
+        });
+    });
+
+    describe('enhancePromptVariants', () => {
+        const originalChain = config.ai.fallbackChain;
+        let provider;
+
+        beforeEach(() => {
+            resetCircuitBreakers();
+            provider = providerRegistry.register({
+                name: 'variants-stub',
+                isConfigured: () => true,
+                // The precise variant gets the best prompt, the others the weak one
+                enhance: jest.fn(async request => ({
+                    text: request.messages[0].content.includes('VARIANT STYLE: PRECISE') ? GOOD_PROMPT : WEAK_PROMPT,
+                    model: 'variants-stub-model'
+                })),
+                listModels: async () => [],
+                health: async () => ({ status: 'ok' }),
+                capabilities: () => ({ streaming: false })
+            });
+            config.ai.fallbackChain = ['variants-stub'];
+        });
+
+        afterEach(() => {
+            config.ai.fallbackChain = originalChain;
+            providerRegistry.unregister('variants-stub');
+        });
+
+        it('should generate each variant with its own temperature and instructions', async () => {
+            const result = await enhancePromptVariants({ originalPrompt: 'Explain APIs', seed: 7 }, 3);
+
+            expect(provider.enhance).toHaveBeenCalledTimes(3);
+            expect(provider.enhance.mock.calls.map(([request]) => request.temperature).sort()).toEqual([0.3, 0.5, 0.7]);
+            expect(result.variants[0]).toMatchObject({ id: 'variant_2', strategy: 'precise', rank: 1 });
+            expect(result.enhancedText).toBe(result.variants[0].enhancedText);
+            expect(result.seed).toBe(7);
+        });
+
+        it('should leave out failed variants unless every variant fails', async () => {
+            provider.enhance.mockImplementationOnce(async () => {
+                throw new Error('Provider unavailable');
+            });
+
+            const result = await enhancePromptVariants({ originalPrompt: 'Explain APIs' }, 2);
+            expect(result.variants).toHaveLength(1);
+
+            provider.enhance.mockRejectedValue(new Error('Provider unavailable'));
+            await expect(enhancePromptVariants({ originalPrompt: 'Explain APIs' }, 2))
+                .rejects.toMatchObject({ code: 'provider_unavailable' });
+        });
+
+        it('should reject more variants than the configured cap', async () => {
+            await expect(enhancePromptVariants({ originalPrompt: 'Explain APIs' }, config.ai.variants.max + 1))
+                .rejects.toThrow(/Variants must be an integer/);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+const { enhancePromptDetailed } = require('../../src/services/promptEnhancerService');
+const {
+    parseSectionsJson,
+    sectionsFromText,
+    renderSectionsText
+} = require('../../src/services/sectionsService');
+
+const VALID_SECTIONS = {
+    role: 'You are a backend engineer.',
+    context: 'The reader is new to HTTP.',
+    task: 'Explain REST APIs.',
+    constraints: ['Use one example', 'Stay under 300 words'],
+    outputFormat: ['Three short paragraphs'],
+    examples: []
+};
+
+function createStubProvider(name, responses) {
+    const queue = [...responses];
+    return {
+        name,
+        isConfigured: () => true,
+        enhance: jest.fn(async () => ({ text: queue.length > 1 ? queue.shift() : queue[0], model: `${name}-model` })),
+        listModels: async () => [],
+        health: async () => ({ status: 'ok' }),
+        capabilities: () => ({ streaming: false })
+    };
+}
+
+describe('Sections Service', () => {
+    it('should parse a valid JSON response', () => {
+        const { sections, error } = parseSectionsJson(JSON.stringify(VALID_SECTIONS));
+
+        expect(error).toBeNull();
+        expect(sections).toEqual(VALID_SECTIONS);
+    });
+
+    it('should accept JSON wrapped in code fences and normalize single strings to lists', () => {
+        const text = '```json\n{"role": "You are an editor.", "task": "Tighten this essay.", "constraints": "Keep the author\'s voice"}\n```';
+
+        const { sections, error } = parseSectionsJson(text);
+
+        expect(error).toBeNull();
+        expect(sections.constraints).toEqual(["Keep the author's voice"]);
+        expect(sections.examples).toEqual([]);
+        expect(sections.context).toBe('');
+    });
+
+    it('should report malformed JSON and schema violations', () => {
+        expect(parseSectionsJson('ROLE:\nYou are an editor.').error).toMatch(/not valid JSON/);
+        expect(parseSectionsJson('{"role": "You are an editor."}').error).toMatch(/"task" is required/);
+    });
+
+    it('should recover sections from headed text', () => {
+        const sections = sectionsFromText('ROLE:\nYou are an editor.\n\nTASK:\nTighten this essay.\n\nCONSTRAINTS:\n- Keep the voice\n- Cut 20%\n\nEXAMPLES:\n- "Cut this" becomes "Cut"');
+
+        expect(sections).toEqual({
+            role: 'You are an editor.',
+            context: '',
+            task: 'Tighten this essay.',
+            constraints: ['Keep the voice', 'Cut 20%'],
+            outputFormat: [],
+            examples: ['"Cut this" becomes "Cut"']
+        });
+    });
+
+    it('should render sections as labelled text without empty sections', () => {
+        expect(renderSectionsText(VALID_SECTIONS)).toBe([
+            'ROLE:\nYou are a backend engineer.',
+            'CONTEXT:\nThe reader is new to HTTP.',
+            'TASK:\nExplain REST APIs.',
+            'CONSTRAINTS:\n- Use one example\n- Stay under 300 words',
+            'OUTPUT FORMAT:\n- Three short paragraphs'
+        ].join('\n\n'));
+    });
+
+    describe('enhancement with sections', () => {
+        const originalChain = config.ai.fallbackChain;
+
+        beforeEach(() => {
+            resetCircuitBreakers();
+        });
+
+        afterEach(() => {
+            config.ai.fallbackChain = originalChain;
+            providerRegistry.unregister('sections-stub');
+        });
+
+        function useProvider(responses) {
+            const provider = providerRegistry.register(createStubProvider('sections-stub', responses));
+            config.ai.fallbackChain = ['sections-stub'];
+            return provider;
+        }
+
+        it('should ask for JSON and return the sections with the guidance kept apart', async () => {
+            const provider = useProvider([JSON.stringify(VALID_SECTIONS)]);
+
+            const result = await enhancePromptDetailed({ originalPrompt: 'Explain APIs', sections: true, seed: 1 });
+
+            expect(provider.enhance.mock.calls[0][0].responseFormat).toBe('json');
+            expect(result.sections).toMatchObject(VALID_SECTIONS);
+            expect(result.sections.guidance).toMatch(/^-+\nWRITING GUIDANCE:/);
+            expect(result.enhancedText).toContain('CONSTRAINTS:\n- Use one example');
+        });
+
+        it('should make one repair attempt when the JSON is malformed', async () => {
+            const provider = useProvider(['{"role": "You are a backend engineer."', JSON.stringify(VALID_SECTIONS)]);
+
+            const result = await enhancePromptDetailed({ originalPrompt: 'Explain APIs', sections: true });
+
+            expect(provider.enhance).toHaveBeenCalledTimes(2);
+            const retryMessages = provider.enhance.mock.calls[1][0].messages;
+            expect(retryMessages[retryMessages.length - 1].content).toMatch(/could not be used/);
+            expect(result.sections.task).toBe('Explain REST APIs.');
+        });
+
+        it('should fall back to the text headings when the repair also fails', async () => {
+            const provider = useProvider(['ROLE:\nYou are a backend engineer.\n\nTASK:\nExplain REST APIs.']);
+
+            const result = await enhancePromptDetailed({ originalPrompt: 'Explain APIs', sections: true });
+
+            expect(provider.enhance).toHaveBeenCalledTimes(2);
+            expect(result.sections).toMatchObject({ role: 'You are a backend engineer.', task: 'Explain REST APIs.' });
+        });
+
+        it('should rewrite flagged terms inside the sections', async () => {
+            useProvider([JSON.stringify({ ...VALID_SECTIONS, task: 'Leverage REST APIs.' })]);
+
+            const result = await enhancePromptDetailed({ originalPrompt: 'Explain APIs', sections: true });
+
+            expect(result.sections.task).toBe('Use REST APIs.');
+            expect(result.repair.fixes).toEqual([
+                { category: 'overused_word', from: 'Leverage', to: 'Use', action: 'replaced' }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,48 @@
+const { parseEventStream, parseChatCompletionStream } = require('../../src/utils/sse');
+
+/**
+ * Collect the items of an async generator
+ */
+async function collect(generator) {
+    const items = [];
+    for await (const item of generator) {
+        items.push(item);
+    }
+    return items;
+}
+
+/**
+ * Split text into byte chunks of a fixed size, as a network stream might
+ */
+function* byteChunks(text, size) {
+    const bytes = Buffer.from(text, 'utf8');
+    for (let start = 0; start < bytes.length; start += size) {
+        yield bytes.subarray(start, start + size);
+    }
+}
+
+describe('SSE parsing', () => {
+    it('should parse events split across chunks', async () => {
+        const events = await collect(parseEventStream(['event: token\ndata: {"te', 'xt":"Hi"}\n\n: comment\n\ndata: last']));
+
+        expect(events).toEqual([
+            { event: 'token', data: '{"text":"Hi"}' },
+            { event: 'message', data: 'last' }
+        ]);
+    });
+
+    it('should keep characters whose bytes are split across chunks', async () => {
+        const delta = '日本語のプロンプト';
+        const body = `data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\ndata: [DONE]\n\n`;
+
+        const chunks = await collect(parseChatCompletionStream(byteChunks(body, 7)));
+
+        expect(chunks.map(chunk => chunk.choices[0].delta.content).join('')).toBe(delta);
+    });
+
+    it('should decode a character split across the last chunks', async () => {
+        const events = await collect(parseEventStream(byteChunks('data: プ', 7)));
+
+        expect(events).toEqual([{ event: 'message', data: 'プ' }]);
+    });
+});
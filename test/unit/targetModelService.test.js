@@ -0,0 +1,88 @@
+const {
+    getTargetFamilies,
+    resolveTargetModel,
+    formatImagePrompt
+} = require('../../src/services/targetModelService');
+const { buildSystemPrompt, buildUserMessage } = require('../../src/services/promptBuilder');
+const { enhanceOffline } = require('../../src/services/offlineEnhancerService');
+
+describe('Target Model Service', () => {
+    it.each([
+        ['gpt-4o', 'gpt'],
+        ['o3-mini', 'gpt'],
+        ['claude-3-5-sonnet', 'claude'],
+        ['Gemini 1.5 Pro', 'gemini'],
+        ['llama-3.1-70b', 'llama'],
+        ['midjourney', 'midjourney'],
+        ['sdxl', 'stable-diffusion'],
+        ['stable-diffusion', 'stable-diffusion']
+    ])('should resolve %s to the %s family', (name, family) => {
+        expect(resolveTargetModel(name).family).toBe(family);
+    });
+
+    it('should not resolve unknown models', () => {
+        expect(resolveTargetModel('unknown-model')).toBeNull();
+        expect(resolveTargetModel('')).toBeNull();
+        expect(resolveTargetModel(42)).toBeNull();
+    });
+
+    it('should give each text family its conventional output style', () => {
+        expect(resolveTargetModel('claude').outputStyle).toBe('xml-tags');
+        expect(resolveTargetModel('gpt-4o').outputStyle).toBe('markdown');
+        expect(resolveTargetModel('gemini').outputStyle).toBe('markdown');
+        expect(resolveTargetModel('llama').outputStyle).toBe('plain');
+    });
+
+    it('should format Midjourney prompts with --no parameters', () => {
+        const result = formatImagePrompt(
+            'A fox in the snow, golden hour lighting, 35mm photo --ar 3:2 --no people, text',
+            resolveTargetModel('midjourney')
+        );
+
+        expect(result.text).toBe('A fox in the snow, golden hour lighting, 35mm photo --ar 3:2 --no people, text');
+        expect(result.negativePrompt).toBe('people, text');
+    });
+
+    it('should format Stable Diffusion prompts with a separate negative prompt', () => {
+        const result = formatImagePrompt(
+            '- a fox in the snow\n- golden hour lighting\nNegative prompt: people, text.',
+            resolveTargetModel('stable-diffusion')
+        );
+
+        expect(result.text).toBe('a fox in the snow, golden hour lighting\nNegative prompt: people, text');
+    });
+
+    it('should add a default negative prompt when the output has none', () => {
+        const result = formatImagePrompt('a fox in the snow', resolveTargetModel('stable-diffusion'));
+
+        expect(result.negativePrompt).toContain('watermark');
+    });
+
+    it('should add family instructions to the system prompt', () => {
+        const claude = resolveTargetModel('claude');
+
+        expect(buildSystemPrompt({ format: 'structured', targetProfile: claude })).toContain(claude.instructions);
+        expect(buildSystemPrompt({ format: 'structured' })).not.toContain('TARGET MODEL');
+    });
+
+    it('should build image prompts without text format instructions', () => {
+        const midjourney = resolveTargetModel('midjourney');
+
+        expect(buildSystemPrompt({ targetProfile: midjourney })).toContain('--no');
+        expect(buildUserMessage({ originalPrompt: 'a fox', targetProfile: midjourney, delimiter: 'user_prompt_abc' }))
+            .toBe('Enhance this basic image prompt for midjourney:\n<user_prompt_abc>\na fox\n</user_prompt_abc>');
+    });
+
+    it('should enhance image prompts offline as descriptors', () => {
+        const { text } = enhanceOffline('Create an image of a fox in the snow', {
+            targetProfile: resolveTargetModel('midjourney')
+        });
+
+        expect(text).toMatch(/^a fox in the snow, /);
+        expect(text).not.toMatch(/ROLE:/);
+    });
+
+    it('should list every family', () => {
+        expect(getTargetFamilies()).toEqual(['gpt', 'claude', 'gemini', 'llama', 'midjourney', 'stable-diffusion']);
+    });
+});
@@ -0,0 +1,106 @@
+const config = require('../../src/config/config');
+const {
+    findTemplateVariables,
+    protectTemplateVariables,
+    restoreTemplateVariables,
+    findMissingTokens,
+    renderTemplate
+} = require('../../src/services/templateVariableService');
+
+describe('Template Variable Service', () => {
+    const template = 'Write a welcome email to {{ customer_name }} about ${product} on the __plan_name__ plan';
+    const originalSyntaxes = config.ai.templateVariables.syntaxes;
+
+    beforeEach(() => {
+        config.ai.templateVariables.syntaxes = ['mustache', 'dollar', 'underscore'];
+    });
+
+    afterEach(() => {
+        config.ai.templateVariables.syntaxes = originalSyntaxes;
+    });
+
+    describe('findTemplateVariables', () => {
+        it('should only look for {{name}} placeholders by default', () => {
+            config.ai.templateVariables.syntaxes = originalSyntaxes;
+
+            expect(findTemplateVariables(template)).toEqual([
+                { name: 'customer_name', syntax: 'mustache', placeholder: '{{ customer_name }}' }
+            ]);
+            expect(findTemplateVariables('Print ${HOME} and __version__', ['dollar'])).toEqual([
+                { name: 'HOME', syntax: 'dollar', placeholder: '${HOME}' }
+            ]);
+        });
+
+        it('should find each placeholder syntax in order', () => {
+            expect(findTemplateVariables(template)).toEqual([
+                { name: 'customer_name', syntax: 'mustache', placeholder: '{{ customer_name }}' },
+                { name: 'product', syntax: 'dollar', placeholder: '${product}' },
+                { name: 'plan_name', syntax: 'underscore', placeholder: '__plan_name__' }
+            ]);
+        });
+
+        it('should list a repeated placeholder once', () => {
+            expect(findTemplateVariables('Hi {{name}}, thanks {{name}}')).toHaveLength(1);
+        });
+
+        it('should leave code, Python names and markdown emphasis alone', () => {
+            const prompts = [
+                'Why does `console.log(${count})` print undefined?',
+                'Why does __init__ run twice when I import __init__.py?',
+                'Call obj.__str__() and make __this sentence__ bold',
+                '```js\nconst url = `${base}/users`;\n```'
+            ];
+
+            for (const prompt of prompts) {
+                expect(findTemplateVariables(prompt)).toEqual([]);
+            }
+        });
+    });
+
+    describe('protectTemplateVariables', () => {
+        it('should swap every placeholder for a {{name}} token and back', () => {
+            const { text, tokens } = protectTemplateVariables(template);
+
+            expect(text).toBe('Write a welcome email to {{customer_name}} about {{product}} on the {{plan_name}} plan');
+            expect(restoreTemplateVariables(`TASK:\n${text}`, tokens)).toBe(`TASK:\n${template}`);
+        });
+
+        it('should number tokens of placeholders that share a name', () => {
+            const { text, tokens } = protectTemplateVariables('Compare {{input}} with ${input}');
+
+            expect(text).toBe('Compare {{input}} with {{input_2}}');
+            expect(tokens).toEqual({ '{{input}}': '{{input}}', '{{input_2}}': '${input}' });
+        });
+
+        it('should keep the tokens of an earlier call', () => {
+            const earlier = protectTemplateVariables(template);
+            const { text, tokens } = protectTemplateVariables('Mention __plan_name__ and {{discount}}', earlier.tokens);
+
+            expect(text).toBe('Mention {{plan_name}} and {{discount}}');
+            expect(Object.keys(tokens)).toEqual(['{{customer_name}}', '{{product}}', '{{plan_name}}', '{{discount}}']);
+        });
+    });
+
+    describe('findMissingTokens', () => {
+        it('should report the tokens the output left out', () => {
+            const { tokens } = protectTemplateVariables(template);
+
+            expect(findMissingTokens('Welcome {{customer_name}} to Acme Pro', tokens)).toEqual(['{{product}}', '{{plan_name}}']);
+        });
+    });
+
+    describe('renderTemplate', () => {
+        it('should fill placeholders by name whatever their syntax', () => {
+            const variables = findTemplateVariables('{{name}} and ${name} bought __product__');
+
+            expect(renderTemplate('Dear {{name}} (${name}), enjoy __product__', variables, { name: 'Ada', product: 'Pro' }))
+                .toBe('Dear Ada (Ada), enjoy Pro');
+        });
+
+        it('should not fill placeholders inside values', () => {
+            const variables = findTemplateVariables('{{a}} {{b}}');
+
+            expect(renderTemplate('{{a}} {{b}}', variables, { a: '{{b}}', b: 'x' })).toBe('{{b}} x');
+        });
+    });
+});
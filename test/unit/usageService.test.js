@@ -0,0 +1,139 @@
+const config = require('../../src/config/config');
+const providerRegistry = require('../../src/services/providers');
+const { resetCircuitBreakers } = require('../../src/services/providerChain');
+const { enhancePromptDetailed } = require('../../src/services/promptEnhancerService');
+const { countTokens, countMessageTokens } = require('../../src/utils/tokenizer');
+const {
+    resolveUsage,
+    getModelPrice,
+    estimateCost,
+    recordUsage,
+    getUsageStats,
+    resetUsageStats
+} = require('../../src/services/usageService');
+
+describe('Usage Service', () => {
+    beforeEach(() => {
+        resetUsageStats();
+    });
+
+    describe('tokenizer', () => {
+        it('should count short words and punctuation as single tokens', () => {
+            expect(countTokens('Hello world, this is a test.')).toBe(8);
+            expect(countTokens('')).toBe(0);
+        });
+
+        it('should split long words and numbers into several tokens', () => {
+            expect(countTokens('internationalization')).toBeGreaterThan(1);
+            expect(countTokens('1234567')).toBe(3);
+        });
+
+        it('should add the per-message overhead of chat requests', () => {
+            const messages = [
+                { role: 'system', content: 'You are a helpful editor.' },
+                { role: 'user', content: 'Fix this.' }
+            ];
+
+            expect(countMessageTokens(messages)).toBe(3 + 4 + countTokens(messages[0].content) + 4 + countTokens('Fix this.'));
+        });
+    });
+
+    it('should use the usage a provider reports and estimate it otherwise', () => {
+        const request = { messages: [{ role: 'user', content: 'Write about APIs' }] };
+
+        expect(resolveUsage(request, { text: 'ok', usage: { inputTokens: 10, outputTokens: 5 } }))
+            .toEqual({ inputTokens: 10, outputTokens: 5, totalTokens: 15, estimated: false });
+        expect(resolveUsage(request, { text: 'A longer enhanced prompt' }))
+            .toEqual({ inputTokens: countMessageTokens(request.messages), outputTokens: countTokens('A longer enhanced prompt'), totalTokens: expect.any(Number), estimated: true });
+    });
+
+    it('should match prices by model name, longest prefix, then provider', () => {
+        expect(getModelPrice('openai', 'gpt-4o')).toEqual({ input: 2.5, output: 10 });
+        expect(getModelPrice('openai', 'gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+        expect(getModelPrice('offline', 'rule-based')).toEqual({ input: 0, output: 0 });
+        expect(getModelPrice('custom', 'unknown-model')).toBeNull();
+    });
+
+    it('should estimate costs from the price table', () => {
+        const usage = { inputTokens: 1000, outputTokens: 500, totalTokens: 1500 };
+
+        expect(estimateCost(usage, 'openai', 'gpt-4o')).toBe(0.0075);
+        expect(estimateCost(usage, 'custom', 'unknown-model')).toBeNull();
+
+        const originalPricing = config.ai.pricing;
+        config.ai.pricing = { ...originalPricing, 'unknown-model': { input: 1, output: 2 } };
+        try {
+            expect(estimateCost(usage, 'custom', 'unknown-model')).toBe(0.002);
+        } finally {
+            config.ai.pricing = originalPricing;
+        }
+    });
+
+    it('should add up recorded usage per provider and model', () => {
+        const usage = { inputTokens: 100, outputTokens: 50, totalTokens: 150, estimated: false };
+        recordUsage({ provider: 'openai', model: 'gpt-4o', usage, estimatedCost: 0.00075 });
+        recordUsage({ provider: 'openai', model: 'gpt-4o', usage, estimatedCost: 0.00075 });
+        recordUsage({ provider: 'custom', model: 'unknown-model', usage, estimatedCost: null });
+
+        const stats = getUsageStats();
+
+        expect(stats.currency).toBe('USD');
+        expect(stats.totals).toEqual({
+            requests: 3,
+            inputTokens: 300,
+            outputTokens: 150,
+            totalTokens: 450,
+            estimatedCost: 0.0015,
+            unpricedRequests: 1
+        });
+        expect(stats.byProvider.openai.requests).toBe(2);
+        expect(stats.byModel['unknown-model'].unpricedRequests).toBe(1);
+    });
+
+    describe('enhancement usage', () => {
+        const originalChain = config.ai.fallbackChain;
+        const originalRepair = { ...config.ai.repair };
+
+        beforeEach(() => {
+            resetCircuitBreakers();
+            const responses = ['ROLE:\nYou are an editor.\n\nTASK:\nLeverage short words.', 'ROLE:\nYou are an editor.\n\nTASK:\nUse short words.'];
+            providerRegistry.register({
+                name: 'usage-stub',
+                isConfigured: () => true,
+                enhance: jest.fn(async () => ({
+                    text: responses.length > 1 ? responses.shift() : responses[0],
+                    model: 'gpt-4o',
+                    usage: { inputTokens: 200, outputTokens: 40 }
+                })),
+                listModels: async () => [],
+                health: async () => ({ status: 'ok' }),
+                capabilities: () => ({ streaming: false })
+            });
+            config.ai.fallbackChain = ['usage-stub'];
+        });
+
+        afterEach(() => {
+            config.ai.fallbackChain = originalChain;
+            Object.assign(config.ai.repair, originalRepair);
+            providerRegistry.unregister('usage-stub');
+        });
+
+        it('should report the usage and cost of an enhancement and record it', async () => {
+            const result = await enhancePromptDetailed({ originalPrompt: 'Write about APIs' });
+
+            expect(result.usage).toEqual({ inputTokens: 200, outputTokens: 40, totalTokens: 240, estimated: false });
+            expect(result.estimatedCost).toBe(0.0009);
+            expect(getUsageStats().byProvider['usage-stub']).toMatchObject({ requests: 1, totalTokens: 240 });
+        });
+
+        it('should include the usage of re-prompts', async () => {
+            config.ai.repair.mode = 'reprompt';
+
+            const result = await enhancePromptDetailed({ originalPrompt: 'Write about APIs' });
+
+            expect(result.repair.reprompts).toBe(1);
+            expect(result.usage).toMatchObject({ inputTokens: 400, outputTokens: 80 });
+            expect(result.estimatedCost).toBe(0.0018);
+        });
+    });
+});